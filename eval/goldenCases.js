@@ -0,0 +1,130 @@
+// Golden symptom cases for the triage evaluation harness (eval/run.js).
+// `expected.departments` lists every department that counts as a correct routing;
+// urgency must match exactly, and `expected.crisis` marks cases that must (true) or must not (false) take the crisis path.
+// Add a case whenever a routing regression is fixed.
+
+export const GOLDEN_CASES = [
+  {
+    id: 'chest-pain-radiating',
+    symptoms: 'Crushing chest pain spreading to my left arm, sweating a lot',
+    expected: { urgency: 'emergency', departments: ['Emergency', 'Cardiology'] },
+  },
+  {
+    id: 'chest-tightness-exertion',
+    symptoms: 'Chest tightness when I climb stairs for the last week, goes away with rest',
+    expected: { urgency: 'urgent', departments: ['Cardiology'] },
+  },
+  {
+    id: 'stroke-face-droop',
+    symptoms: 'My father suddenly has face drooping and slurred speech',
+    expected: { urgency: 'emergency', departments: ['Emergency', 'Neurology'] },
+  },
+  {
+    id: 'cannot-breathe',
+    symptoms: "I can't breathe properly and my lips are turning blue",
+    expected: { urgency: 'emergency', departments: ['Emergency', 'Pulmonology'] },
+  },
+  {
+    id: 'cough-two-weeks',
+    symptoms: 'Dry cough for two weeks, no fever',
+    expected: { urgency: 'normal', departments: ['Pulmonology', 'General Medicine'] },
+  },
+  {
+    id: 'tension-headache',
+    symptoms: 'Mild headache in the evenings after working on the laptop',
+    expected: { urgency: 'normal', departments: ['Neurology', 'General Medicine'] },
+  },
+  {
+    id: 'thunderclap-headache',
+    symptoms: 'Sudden severe headache, the worst headache of my life',
+    expected: { urgency: 'emergency', departments: ['Emergency', 'Neurology'] },
+  },
+  {
+    id: 'stomach-ache-mild',
+    symptoms: 'Stomach ache and bloating after eating oily food',
+    expected: { urgency: 'normal', departments: ['Gastroenterology', 'General Medicine'] },
+  },
+  {
+    id: 'vomiting-blood',
+    symptoms: 'I have been vomiting blood since morning',
+    expected: { urgency: 'emergency', departments: ['Emergency', 'Gastroenterology'] },
+  },
+  {
+    id: 'itchy-rash',
+    symptoms: 'Itchy red rash on my arms for three days',
+    expected: { urgency: 'normal', departments: ['Dermatology'] },
+  },
+  {
+    id: 'throat-swelling',
+    symptoms: 'Ate peanuts and now my throat is swelling and closing',
+    expected: { urgency: 'emergency', departments: ['Emergency'] },
+  },
+  {
+    id: 'ankle-sprain',
+    symptoms: 'Twisted my ankle playing football, swollen but I can walk',
+    expected: { urgency: 'normal', departments: ['Orthopedics'] },
+  },
+  {
+    id: 'possible-fracture',
+    symptoms: 'Fell off my bike, wrist looks bent and the pain is severe',
+    expected: { urgency: 'urgent', departments: ['Orthopedics', 'Emergency'] },
+  },
+  {
+    id: 'toothache',
+    symptoms: 'Toothache on the lower right side when I drink cold water',
+    expected: { urgency: 'normal', departments: ['Dentistry'] },
+  },
+  {
+    id: 'infant-fever',
+    symptoms: 'My baby has a fever and is feeding less',
+    patient: { age: 2, ageUnit: 'months' },
+    expected: { urgency: 'emergency', departments: ['Emergency', 'Pediatrics'] },
+  },
+  {
+    id: 'child-ear-pain',
+    symptoms: 'Ear pain since last night',
+    patient: { age: 6, ageUnit: 'years' },
+    expected: { urgency: 'normal', departments: ['Pediatrics', 'ENT'] },
+  },
+  {
+    id: 'pregnancy-bleeding',
+    symptoms: 'Some bleeding and cramps',
+    patient: { age: 29, ageUnit: 'years', sex: 'female', pregnant: true },
+    expected: { urgency: 'emergency', departments: ['Emergency', 'Obstetrics and Gynecology'] },
+  },
+  {
+    id: 'anxiety-sleep',
+    symptoms: "Feeling anxious all the time and can't sleep for weeks",
+    expected: { urgency: 'normal', departments: ['Psychiatry'] },
+  },
+  {
+    id: 'suicidal-thoughts',
+    symptoms: "I don't want to live anymore and I have been thinking about suicide",
+    expected: { urgency: 'emergency', departments: ['Psychiatry', 'Emergency'], crisis: true },
+  },
+  {
+    id: 'hopeless-indirect',
+    symptoms: 'Everything feels hopeless, I just want to disappear forever',
+    expected: { urgency: 'emergency', departments: ['Psychiatry', 'Emergency'], crisis: true },
+  },
+  {
+    id: 'chest-pain-going-to-die',
+    symptoms: "Crushing chest pain and sweating, I think I'm going to die",
+    expected: { urgency: 'emergency', departments: ['Emergency', 'Cardiology'], crisis: false },
+  },
+  {
+    id: 'breathless-going-to-die',
+    symptoms: "I can't breathe, I feel like I'm going to die",
+    expected: { urgency: 'emergency', departments: ['Emergency', 'Pulmonology'], crisis: false },
+  },
+  {
+    id: 'hinglish-chest-pain',
+    symptoms: 'Seene mein dard ho raha hai aur baju tak ja raha hai, pasina bhi aa raha hai',
+    expected: { urgency: 'emergency', departments: ['Emergency', 'Cardiology'] },
+  },
+  {
+    id: 'hindi-stomach',
+    symptoms: 'दो दिन से पेट में दर्द और दस्त हो रहे हैं',
+    expected: { urgency: 'normal', departments: ['Gastroenterology', 'General Medicine'] },
+  },
+]
@@ -0,0 +1,15 @@
+// Checks the redaction rules against the regression cases in eval/redactionCases.js
+// and exits non-zero when any masked text differs from what is expected.
+//
+//   npm run eval:redaction
+import { redactText } from '../src/utils/redaction.js'
+import { REDACTION_CASES } from './redactionCases.js'
+
+const failures = REDACTION_CASES.filter(({ text, expected }) => redactText(text).text !== expected)
+
+console.log(`Redaction: ${REDACTION_CASES.length - failures.length}/${REDACTION_CASES.length} cases pass`)
+for (const { id, text, expected } of failures) {
+  console.log(`  !! ${id}: got "${redactText(text).text}", expected "${expected}"`)
+}
+
+if (failures.length) process.exitCode = 1
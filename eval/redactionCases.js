@@ -0,0 +1,21 @@
+// Redaction regression cases for eval/redaction.js.
+// `expected` is the text after masking; clinical detail such as counts, durations,
+// doses and readings must come through unchanged. Add a case whenever a rule is fixed.
+
+export const REDACTION_CASES = [
+  { id: 'fall-count-on-road', text: 'I fell 3 times on the road', expected: 'I fell 3 times on the road' },
+  { id: 'duration-in-sector', text: 'Cough since 1 week in Sector 5', expected: 'Cough since 1 week in Sector 5' },
+  { id: 'distance-on-road', text: 'Walked 2 km on the road, then collapsed', expected: 'Walked 2 km on the road, then collapsed' },
+  { id: 'dose-on-street', text: 'Took 500mg on 3rd st, no relief', expected: 'Took 500mg on 3rd st, no relief' },
+  { id: 'vital-readings', text: 'Readings 120 80 98 101 this morning', expected: 'Readings 120 80 98 101 this morning' },
+  { id: 'order-number', text: 'Lab order 1234 5678 9012 came back normal', expected: 'Lab order 1234 5678 9012 came back normal' },
+  { id: 'bare-reference-number', text: 'Reference 234567890123', expected: 'Reference 234567890123' },
+  { id: 'aadhaar-invalid-check-digit', text: '2345 6789 0123', expected: '2345 6789 0123' },
+  { id: 'aadhaar-grouped', text: 'My card is 2345 6789 0124', expected: 'My card is [ID NUMBER]' },
+  { id: 'aadhaar-with-cue', text: 'aadhaar no: 234567890124', expected: 'aadhaar no: [ID NUMBER]' },
+  { id: 'pan', text: 'PAN ABCDE1234F', expected: 'PAN [ID NUMBER]' },
+  { id: 'street-with-locality', text: 'I live at 12 Park Street, Kolkata', expected: 'I live at [ADDRESS], Kolkata' },
+  { id: 'street-with-pincode', text: '45 MG Road 560001', expected: '[ADDRESS] 560001' },
+  { id: 'house-number', text: 'House no 12, Shanti Nagar, Pune', expected: '[ADDRESS], Pune' },
+  { id: 'mobile', text: 'Call me on 98204 66726', expected: 'Call me on [PHONE]' },
+]
@@ -0,0 +1,180 @@
+// Offline evaluation harness for the triage prompt.
+// Replays the golden cases through a provider (the local mock by default) for one or more
+// prompt versions, reports urgency/department agreement and shows which cases changed
+// between versions, or against a report saved by an earlier run.
+//
+//   npm run eval
+//   npm run eval -- --prompt 1.0.0 --prompt 1.1.0
+//   node --env-file=.env eval/run.js --provider openrouter --out report.json
+//   npm run eval -- --compare report.json
+import { readFile, writeFile } from 'node:fs/promises'
+import { parseArgs } from 'node:util'
+import { createProvider } from '../src/utils/providers/index.js'
+import { runTriage, DEFAULT_TIMEOUT_MS } from '../src/utils/triageEngine.js'
+import { CURRENT_PROMPT_VERSION } from '../src/utils/triagePrompts.js'
+import { URGENCY_LEVELS } from '../src/utils/triageSchema.js'
+import { GOLDEN_CASES } from './goldenCases.js'
+
+const { values: args } = parseArgs({
+  options: {
+    provider: { type: 'string', default: process.env.LLM_PROVIDER || 'mock' },
+    prompt: { type: 'string', multiple: true, default: [CURRENT_PROMPT_VERSION] },
+    case: { type: 'string', multiple: true },
+    out: { type: 'string' },
+    compare: { type: 'string' },
+    timeout: { type: 'string', default: String(DEFAULT_TIMEOUT_MS) },
+    'fail-on-undertriage': { type: 'boolean', default: false },
+  },
+})
+
+const provider = createProvider({
+  provider: args.provider,
+  apiKey: args.provider === 'openrouter' ? process.env.OPENROUTER_API_KEY : process.env.LLM_API_KEY,
+  baseUrl: process.env.LLM_BASE_URL,
+  model: process.env.LLM_MODEL || undefined,
+  envNames: {
+    apiKey: args.provider === 'openrouter' ? 'OPENROUTER_API_KEY' : 'LLM_API_KEY',
+    baseUrl: 'LLM_BASE_URL',
+    model: 'LLM_MODEL',
+  },
+})
+
+const urgencyRank = (urgency) => URGENCY_LEVELS.indexOf(urgency)
+const percent = (count, total) => (total ? `${Math.round((count / total) * 100)}%` : 'n/a')
+
+// Compare one triage result with the expected routing
+function scoreCase(goldenCase, result) {
+  const { expected } = goldenCase
+  const department = result.department || ''
+  return {
+    id: goldenCase.id,
+    expected,
+    actual: {
+      urgency: result.urgency,
+      department,
+      offline: result.offline === true,
+      red_flag: result.red_flag?.id || null,
+      crisis: result.crisis_risk === true,
+    },
+    urgency_match: result.urgency === expected.urgency,
+    department_match: expected.departments.some((name) => name.toLowerCase() === department.toLowerCase()),
+    // Routing a case as less urgent than expected is the failure that matters most
+    undertriage: urgencyRank(result.urgency) < urgencyRank(expected.urgency),
+    crisis_missed: expected.crisis === true && result.crisis_risk !== true,
+    // A false crisis hides the facility search, e.g. for chest pain described as "going to die"
+    crisis_false_alarm: expected.crisis === false && result.crisis_risk === true,
+  }
+}
+
+function summarize(results) {
+  const count = (key) => results.filter((result) => result[key]).length
+  return {
+    cases: results.length,
+    urgency_agreement: count('urgency_match'),
+    department_agreement: count('department_match'),
+    undertriaged: count('undertriage'),
+    crisis_missed: count('crisis_missed'),
+    crisis_false_alarms: count('crisis_false_alarm'),
+    offline: results.filter((result) => result.actual.offline).length,
+  }
+}
+
+async function runPromptVersion(promptVersion, cases) {
+  const results = []
+  for (const goldenCase of cases) {
+    const result = await runTriage(goldenCase.symptoms, {
+      provider,
+      patient: goldenCase.patient,
+      promptVersion,
+      timeoutMs: Number(args.timeout),
+    })
+    results.push(scoreCase(goldenCase, result))
+  }
+  return { prompt_version: promptVersion, summary: summarize(results), results }
+}
+
+// Cases whose urgency or department differs between two runs
+function diffRuns(baseline, candidate) {
+  const baselineById = new Map(baseline.results.map((result) => [result.id, result]))
+  return candidate.results.flatMap((result) => {
+    const before = baselineById.get(result.id)
+    if (!before) return []
+    const changes = []
+    if (before.actual.urgency !== result.actual.urgency) {
+      changes.push(`urgency ${before.actual.urgency} → ${result.actual.urgency}`)
+    }
+    if (before.actual.department.toLowerCase() !== result.actual.department.toLowerCase()) {
+      changes.push(`department ${before.actual.department} → ${result.actual.department}`)
+    }
+    if (Boolean(before.actual.crisis) !== result.actual.crisis) {
+      changes.push(`crisis ${Boolean(before.actual.crisis)} → ${result.actual.crisis}`)
+    }
+    return changes.length ? [{ id: result.id, changes, expected: result.expected }] : []
+  })
+}
+
+function printRun(run) {
+  const { summary } = run
+  console.log(`\nPrompt ${run.prompt_version} (${provider.name}/${provider.model})`)
+  console.log(`  urgency agreement:    ${summary.urgency_agreement}/${summary.cases} (${percent(summary.urgency_agreement, summary.cases)})`)
+  console.log(`  department agreement: ${summary.department_agreement}/${summary.cases} (${percent(summary.department_agreement, summary.cases)})`)
+  console.log(`  under-triaged:        ${summary.undertriaged}`)
+  console.log(`  missed crises:        ${summary.crisis_missed}`)
+  console.log(`  false crises:         ${summary.crisis_false_alarms}`)
+  if (summary.offline) console.log(`  offline fallbacks:    ${summary.offline}`)
+
+  for (const result of run.results.filter((r) => !r.urgency_match || !r.department_match || r.crisis_missed || r.crisis_false_alarm)) {
+    const marker = result.undertriage || result.crisis_missed || result.crisis_false_alarm ? '!!' : '- '
+    console.log(
+      `  ${marker} ${result.id}: got ${result.actual.urgency} / ${result.actual.department},` +
+      ` expected ${result.expected.urgency} / ${result.expected.departments.join(' or ')}` +
+      (result.crisis_missed ? ' (crisis not detected)' : '') +
+      (result.crisis_false_alarm ? ' (false crisis)' : '')
+    )
+  }
+}
+
+function printDiff(label, baseline, candidate) {
+  const diff = diffRuns(baseline, candidate)
+  console.log(`\nChanges ${label}: ${diff.length ? '' : 'none'}`)
+  for (const { id, changes, expected } of diff) {
+    console.log(`  ${id}: ${changes.join(', ')} (expected ${expected.urgency} / ${expected.departments.join(' or ')})`)
+  }
+}
+
+async function main() {
+  const cases = args.case ? GOLDEN_CASES.filter((goldenCase) => args.case.includes(goldenCase.id)) : GOLDEN_CASES
+  const runs = []
+  for (const promptVersion of args.prompt) {
+    const run = await runPromptVersion(promptVersion, cases)
+    runs.push(run)
+    printRun(run)
+  }
+
+  for (const run of runs.slice(1)) {
+    printDiff(`${runs[0].prompt_version} → ${run.prompt_version}`, runs[0], run)
+  }
+
+  if (args.compare) {
+    const previous = JSON.parse(await readFile(args.compare, 'utf8'))
+    const baseline = previous.runs[0]
+    for (const run of runs) {
+      printDiff(`${args.compare} (${baseline.prompt_version}) → ${run.prompt_version}`, baseline, run)
+    }
+  }
+
+  if (args.out) {
+    const report = { generated_at: new Date().toISOString(), provider: provider.name, model: provider.model, runs }
+    await writeFile(args.out, JSON.stringify(report, null, 2))
+    console.log(`\nReport written to ${args.out}`)
+  }
+
+  if (args['fail-on-undertriage'] && runs.some((run) => run.summary.undertriaged > 0 || run.summary.crisis_missed > 0 || run.summary.crisis_false_alarms > 0)) {
+    process.exitCode = 1
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message)
+  process.exitCode = 1
+})
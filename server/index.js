@@ -0,0 +1,225 @@
+// Triage proxy: keeps the LLM API key on the server, applies the triage prompt
+// server-side and returns the validated result. The browser calls
+// POST /api/triage with the signed-in user's Firebase ID token.
+import { createServer } from 'node:http'
+import { initializeApp } from 'firebase-admin/app'
+import { getAuth } from 'firebase-admin/auth'
+import { createProvider } from '../src/utils/providers/index.js'
+import { runTriage, runTriageTurn, DEFAULT_TIMEOUT_MS } from '../src/utils/triageEngine.js'
+import { normalizePatientContext } from '../src/utils/patientContext.js'
+import { normalizeAttachments, MAX_ATTACHMENTS } from '../src/utils/attachments.js'
+import { normalizeStructuredSymptoms } from '../src/utils/structuredSymptoms.js'
+import { normalizeVitals } from '../src/utils/vitals.js'
+import { normalizeHealthTrends } from '../src/utils/healthTrends.js'
+import { normalizePreviousTriage } from '../src/utils/symptomChange.js'
+
+const PORT = Number(process.env.PORT) || 8787
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'openrouter'
+const TIMEOUT_MS = Number(process.env.TRIAGE_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+// Only for local development: skip Firebase ID token verification
+const ALLOW_ANONYMOUS = process.env.TRIAGE_ALLOW_ANONYMOUS === 'true'
+
+// Room for a full conversation plus MAX_ATTACHMENTS extracted documents
+const MAX_BODY_BYTES = 64 * 1024
+const MAX_SYMPTOMS_LENGTH = 2000
+const MAX_CONVERSATION_MESSAGES = 20
+const MAX_FOLLOW_UP_QUESTIONS = 5
+
+initializeApp({ projectId: process.env.FIREBASE_PROJECT_ID || process.env.VITE_FIREBASE_PROJECT_ID })
+
+const provider = createProvider({
+  provider: LLM_PROVIDER,
+  apiKey: LLM_PROVIDER === 'openrouter' ? process.env.OPENROUTER_API_KEY : process.env.LLM_API_KEY,
+  baseUrl: process.env.LLM_BASE_URL,
+  model: process.env.LLM_MODEL || undefined,
+  referer: process.env.APP_ORIGIN,
+  // Configuration errors name the server's variables, not the browser's VITE_ ones
+  envNames: {
+    apiKey: LLM_PROVIDER === 'openrouter' ? 'OPENROUTER_API_KEY' : 'LLM_API_KEY',
+    baseUrl: 'LLM_BASE_URL',
+    model: 'LLM_MODEL',
+  },
+})
+
+function httpError(status, message) {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' })
+  res.end(JSON.stringify(data))
+}
+
+async function readJsonBody(req) {
+  const chunks = []
+  let size = 0
+  for await (const chunk of req) {
+    size += chunk.length
+    if (size > MAX_BODY_BYTES) {
+      throw httpError(413, 'Request body is too large')
+    }
+    chunks.push(chunk)
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}')
+  } catch {
+    throw httpError(400, 'Request body must be valid JSON')
+  }
+}
+
+// Verify the Firebase ID token from the Authorization header
+async function verifyUser(req) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ')
+
+  if (scheme !== 'Bearer' || !token) {
+    if (ALLOW_ANONYMOUS) return null
+    throw httpError(401, 'Missing Firebase ID token')
+  }
+
+  try {
+    return await getAuth().verifyIdToken(token)
+  } catch (error) {
+    console.warn('Rejected Firebase ID token:', error.code || error.message)
+    throw httpError(401, 'Invalid or expired Firebase ID token')
+  }
+}
+
+const isValidText = (value) => typeof value === 'string' && value.trim() && value.length <= MAX_SYMPTOMS_LENGTH
+
+// Accepts either { symptoms } or { conversation, maxQuestions },
+// each with optional { patient, vitals, healthTrends, previousTriage, attachments, structuredSymptoms, stream }
+function parseTriageRequest(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw httpError(400, 'Request body must be a JSON object')
+  }
+  const patient = normalizePatientContext(body.patient)
+  const stream = body.stream === true
+
+  if (body.attachments !== undefined && (!Array.isArray(body.attachments) || body.attachments.length > MAX_ATTACHMENTS)) {
+    throw httpError(400, `attachments must be a list of at most ${MAX_ATTACHMENTS} documents`)
+  }
+  const attachments = normalizeAttachments(body.attachments)
+  const structuredSymptoms = normalizeStructuredSymptoms(body.structuredSymptoms)
+  const vitals = normalizeVitals(body.vitals)
+  const healthTrends = normalizeHealthTrends(body.healthTrends)
+  const previousTriage = normalizePreviousTriage(body.previousTriage)
+
+  if (body.conversation !== undefined) {
+    const { conversation } = body
+    const valid = Array.isArray(conversation) &&
+      conversation.length > 0 &&
+      conversation.length <= MAX_CONVERSATION_MESSAGES &&
+      conversation.every((message) => (
+        message && typeof message === 'object' && ['user', 'assistant'].includes(message.role) && isValidText(message.content)
+      )) &&
+      conversation[0].role === 'user'
+
+    if (!valid) {
+      throw httpError(400, 'conversation must be a non-empty list of user/assistant messages starting with the user')
+    }
+
+    const maxQuestions = Math.min(Math.max(Number(body.maxQuestions) || 0, 0), MAX_FOLLOW_UP_QUESTIONS)
+    return {
+      conversation: conversation.map(({ role, content }) => ({ role, content: content.trim() })),
+      maxQuestions,
+      patient,
+      attachments,
+      structuredSymptoms,
+      vitals,
+      healthTrends,
+      previousTriage,
+      stream,
+    }
+  }
+
+  if (!isValidText(body.symptoms)) {
+    throw httpError(400, `symptoms must be a non-empty string of at most ${MAX_SYMPTOMS_LENGTH} characters`)
+  }
+  return { symptoms: body.symptoms.trim(), patient, attachments, structuredSymptoms, vitals, healthTrends, previousTriage, stream }
+}
+
+// Streamed responses are newline-delimited JSON: { partial } lines, then the final body or { error }
+function startStream(res) {
+  res.writeHead(200, { 'Content-Type': 'application/x-ndjson', 'Cache-Control': 'no-store' })
+}
+
+function writeStreamLine(res, data) {
+  res.write(`${JSON.stringify(data)}\n`)
+}
+
+async function handleTriage(req, res) {
+  await verifyUser(req)
+  const request = parseTriageRequest(await readJsonBody(req))
+
+  // Stop calling the model when the browser cancels or goes away
+  const controller = new AbortController()
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort()
+  })
+
+  const options = {
+    provider,
+    patient: request.patient,
+    attachments: request.attachments,
+    structuredSymptoms: request.structuredSymptoms,
+    vitals: request.vitals,
+    healthTrends: request.healthTrends,
+    previousTriage: request.previousTriage,
+    signal: controller.signal,
+    timeoutMs: TIMEOUT_MS,
+  }
+  if (request.stream) {
+    startStream(res)
+    options.onPartial = (partial) => writeStreamLine(res, { partial })
+  }
+
+  const body = request.conversation
+    ? await runTriageTurn(request.conversation, { ...options, maxQuestions: request.maxQuestions })
+    : { result: await runTriage(request.symptoms, options) }
+
+  if (request.stream) {
+    writeStreamLine(res, body)
+    res.end()
+  } else {
+    sendJson(res, 200, body)
+  }
+}
+
+const server = createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost')
+
+  try {
+    if (pathname === '/api/health' && req.method === 'GET') {
+      sendJson(res, 200, { ok: true, provider: provider.name })
+    } else if (pathname === '/api/triage') {
+      if (req.method !== 'POST') throw httpError(405, 'Method not allowed')
+      await handleTriage(req, res)
+    } else {
+      throw httpError(404, 'Not found')
+    }
+  } catch (error) {
+    // The client cancelled the request; there is nobody to answer
+    if (res.destroyed) return
+
+    if (!error.status) {
+      console.error('Triage request failed:', error)
+    }
+    const message = error.status ? error.message : 'The triage service is unavailable. Please try again.'
+    if (res.headersSent) {
+      writeStreamLine(res, { error: message })
+      res.end()
+    } else {
+      sendJson(res, error.status || 502, { error: message })
+    }
+  }
+})
+
+server.listen(PORT, () => {
+  console.log(`Triage API listening on http://localhost:${PORT} (provider: ${provider.name})`)
+  if (ALLOW_ANONYMOUS) {
+    console.warn('TRIAGE_ALLOW_ANONYMOUS is enabled: requests are not authenticated')
+  }
+})
@@ -0,0 +1,61 @@
+import { useLocale } from '../context/useLocale'
+import { ATTACHMENT_KINDS } from '../utils/attachments'
+
+export default function AttachmentList({ attachments, onKindChange, onRemove }) {
+  const { t } = useLocale()
+
+  if (!attachments.length) return null
+
+  return (
+    <div className="mt-3 space-y-2 text-xs sm:text-sm">
+      {attachments.map((attachment) => (
+        <div
+          key={attachment.id}
+          className="rounded-xl bg-white/5 px-4 py-2.5 text-white/60 ring-1 ring-white/10"
+        >
+          <div className="flex flex-wrap items-center gap-2">
+            <span aria-hidden="true">{attachment.mimeType.startsWith('image/') ? '🖼️' : '📄'}</span>
+            <span className="min-w-0 flex-1 truncate text-white/80" title={attachment.name}>{attachment.name}</span>
+            <select
+              value={attachment.kind}
+              onChange={(e) => onKindChange(attachment.id, e.target.value)}
+              aria-label={t('attachments.kind')}
+              className="rounded-md bg-slate-800 px-2 py-1 text-white/80 ring-1 ring-white/10 outline-none"
+            >
+              {ATTACHMENT_KINDS.map((kind) => (
+                <option key={kind} value={kind}>{t(`attachments.kind.${kind}`)}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => onRemove(attachment.id)}
+              aria-label={t('attachments.remove')}
+              className="rounded-md px-2 py-1 text-white/50 transition-colors hover:bg-white/10 hover:text-white"
+            >
+              ✕
+            </button>
+          </div>
+
+          {attachment.status === 'reading' && (
+            <p className="mt-1.5 text-white/40 animate-pulse">{t('attachments.reading')}</p>
+          )}
+          {attachment.status === 'error' && (
+            <p className="mt-1.5 text-red-300">{t(`attachments.errors.${attachment.errorCode}`, null, t('attachments.errors.failed'))}</p>
+          )}
+          {attachment.status === 'ready' && (
+            <details className="mt-1.5">
+              <summary className="cursor-pointer text-sky-400 hover:text-sky-300">
+                {t('attachments.ready', { count: attachment.text.length })}
+                {attachment.redactions.length > 0 && ` · 🔒 ${t('attachments.redacted', { count: attachment.redactions.length })}`}
+              </summary>
+              {attachment.truncated && <p className="mt-1.5 text-yellow-300/80">{t('attachments.truncated')}</p>}
+              <p className="mt-1.5 max-h-40 overflow-y-auto whitespace-pre-line rounded-lg bg-black/20 p-2 font-mono text-white/70">
+                {attachment.text}
+              </p>
+            </details>
+          )}
+        </div>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,215 @@
+import { useState } from 'react'
+import { useLocale } from '../context/useLocale'
+import {
+  BODY_REGIONS,
+  REGION_DESCRIPTORS,
+  SEVERITY_LEVELS,
+  SYMPTOM_DESCRIPTORS,
+  SYMPTOM_DURATIONS,
+} from '../utils/structuredSymptoms'
+
+const fieldClass = 'w-full rounded-xl bg-white/5 px-3 py-2 text-sm text-white ring-1 ring-white/10 outline-none focus:ring-2 focus:ring-sky-500/50'
+
+// Front view, facing the user: the patient's right side is drawn on the viewer's left
+const REGION_SHAPES = {
+  head: { type: 'circle', cx: 100, cy: 38, r: 26 },
+  neck: { type: 'rect', x: 89, y: 64, width: 22, height: 18, rx: 6 },
+  chest: { type: 'rect', x: 62, y: 82, width: 76, height: 66, rx: 14 },
+  abdomen: { type: 'rect', x: 66, y: 150, width: 68, height: 54, rx: 10 },
+  pelvis: { type: 'rect', x: 66, y: 206, width: 68, height: 34, rx: 12 },
+  right_arm: { type: 'rect', x: 36, y: 86, width: 22, height: 150, rx: 11 },
+  left_arm: { type: 'rect', x: 142, y: 86, width: 22, height: 150, rx: 11 },
+  right_leg: { type: 'rect', x: 68, y: 242, width: 30, height: 150, rx: 14 },
+  left_leg: { type: 'rect', x: 102, y: 242, width: 30, height: 150, rx: 14 },
+}
+
+const findEntry = (value, region) => value.regions.find((entry) => entry.region === region)
+
+export default function BodyMapPicker({ value, onChange }) {
+  const { t } = useLocale()
+  const [activeRegion, setActiveRegion] = useState(value.regions[0]?.region || null)
+
+  const regionLabel = (region) => t(`bodyMap.region.${region}`, null, BODY_REGIONS.find((option) => option.value === region)?.label)
+  const active = activeRegion && findEntry(value, activeRegion)
+
+  const updateEntry = (region, changes) => {
+    onChange({
+      ...value,
+      regions: value.regions.map((entry) => (entry.region === region ? { ...entry, ...changes } : entry)),
+    })
+  }
+
+  const selectRegion = (region) => {
+    setActiveRegion(region)
+    if (!findEntry(value, region)) {
+      onChange({ ...value, regions: [...value.regions, { region, descriptors: [], severity: '', duration: '' }] })
+    }
+  }
+
+  const removeRegion = (region) => {
+    const regions = value.regions.filter((entry) => entry.region !== region)
+    onChange({ ...value, regions })
+    setActiveRegion(regions[0]?.region || null)
+  }
+
+  const toggleDescriptor = (descriptor) => {
+    const { descriptors } = active
+    updateEntry(active.region, {
+      descriptors: descriptors.includes(descriptor)
+        ? descriptors.filter((item) => item !== descriptor)
+        : [...descriptors, descriptor],
+    })
+  }
+
+  const regionClass = (region) => {
+    const entry = findEntry(value, region)
+    const fill = entry?.descriptors.length ? 'fill-sky-500/60' : entry ? 'fill-sky-500/25' : 'fill-white/10 hover:fill-white/20'
+    const stroke = region === activeRegion ? 'stroke-sky-300' : 'stroke-white/20'
+    return `cursor-pointer outline-none transition-colors focus-visible:stroke-white ${fill} ${stroke}`
+  }
+
+  const chipClass = (selected) => `rounded-full px-3 py-1.5 text-xs ring-1 transition-colors ${
+    selected
+      ? 'bg-sky-500/30 text-white ring-sky-400/50'
+      : 'bg-white/5 text-white/70 ring-white/10 hover:bg-white/10'
+  }`
+
+  return (
+    <div className="mt-3 rounded-2xl bg-slate-800/60 p-4 ring-1 ring-white/10 backdrop-blur-sm">
+      <p className="text-xs text-white/60">{t('bodyMap.hint')}</p>
+
+      <div className="mt-3 grid gap-4 sm:grid-cols-[160px_1fr]">
+        <div>
+          <svg viewBox="0 0 200 400" className="mx-auto h-64 sm:h-72" role="group" aria-label={t('bodyMap.title')}>
+            <text x="20" y="20" className="fill-white/40 text-[11px]">{t('bodyMap.rightSide')}</text>
+            <text x="172" y="20" className="fill-white/40 text-[11px]">{t('bodyMap.leftSide')}</text>
+            {Object.entries(REGION_SHAPES).map(([region, { type, ...shape }]) => {
+              const Shape = type
+              return (
+                <Shape
+                  key={region}
+                  {...shape}
+                  strokeWidth={2}
+                  role="button"
+                  tabIndex={0}
+                  aria-label={regionLabel(region)}
+                  aria-pressed={Boolean(findEntry(value, region))}
+                  className={regionClass(region)}
+                  onClick={() => selectRegion(region)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                      e.preventDefault()
+                      selectRegion(region)
+                    }
+                  }}
+                >
+                  <title>{regionLabel(region)}</title>
+                </Shape>
+              )
+            })}
+          </svg>
+
+          <p className="mt-2 text-center text-xs text-white/50">{t('bodyMap.otherAreas')}</p>
+          <div className="mt-1.5 flex flex-wrap justify-center gap-2">
+            {BODY_REGIONS.filter((region) => region.view === 'other').map((region) => (
+              <button
+                key={region.value}
+                type="button"
+                onClick={() => selectRegion(region.value)}
+                className={chipClass(Boolean(findEntry(value, region.value)))}
+              >
+                {regionLabel(region.value)}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          {value.regions.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {value.regions.map((entry) => (
+                <button
+                  key={entry.region}
+                  type="button"
+                  onClick={() => setActiveRegion(entry.region)}
+                  className={chipClass(entry.region === activeRegion)}
+                >
+                  {regionLabel(entry.region)}
+                  {entry.descriptors.length > 0 && <span className="ml-1 text-sky-300">({entry.descriptors.length})</span>}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {active ? (
+            <div className="mt-3 space-y-3">
+              <div className="flex items-center justify-between gap-2">
+                <p className="text-sm font-medium text-white">{regionLabel(active.region)}</p>
+                <button
+                  type="button"
+                  onClick={() => removeRegion(active.region)}
+                  className="text-xs text-white/50 transition-colors hover:text-white"
+                >
+                  {t('bodyMap.remove')}
+                </button>
+              </div>
+
+              <div>
+                <p className="text-xs text-white/60">{t('bodyMap.symptoms')}</p>
+                <div className="mt-1.5 flex flex-wrap gap-2">
+                  {REGION_DESCRIPTORS[active.region].map((descriptor) => (
+                    <button
+                      key={descriptor}
+                      type="button"
+                      aria-pressed={active.descriptors.includes(descriptor)}
+                      onClick={() => toggleDescriptor(descriptor)}
+                      className={chipClass(active.descriptors.includes(descriptor))}
+                    >
+                      {t(`bodyMap.descriptor.${descriptor}`, null, SYMPTOM_DESCRIPTORS.find((option) => option.value === descriptor)?.label)}
+                    </button>
+                  ))}
+                </div>
+                {!active.descriptors.length && <p className="mt-1.5 text-xs text-yellow-300/80">{t('bodyMap.pickSymptom')}</p>}
+              </div>
+
+              <div>
+                <p className="text-xs text-white/60">{t('bodyMap.severity')}</p>
+                <div className="mt-1.5 flex flex-wrap gap-2">
+                  {SEVERITY_LEVELS.map((severity) => (
+                    <button
+                      key={severity.value}
+                      type="button"
+                      aria-pressed={active.severity === severity.value}
+                      onClick={() => updateEntry(active.region, { severity: active.severity === severity.value ? '' : severity.value })}
+                      className={chipClass(active.severity === severity.value)}
+                    >
+                      {t(`bodyMap.severity.${severity.value}`, null, severity.label)}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <label className="block text-xs text-white/60">
+                {t('bodyMap.duration')}
+                <select
+                  value={active.duration}
+                  onChange={(e) => updateEntry(active.region, { duration: e.target.value })}
+                  className={`${fieldClass} mt-1`}
+                >
+                  <option value="" className="bg-slate-900">{t('bodyMap.durationUnknown')}</option>
+                  {SYMPTOM_DURATIONS.map((duration) => (
+                    <option key={duration.value} value={duration.value} className="bg-slate-900">
+                      {t(`bodyMap.duration.${duration.value}`, null, duration.label)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          ) : (
+            <p className="text-sm text-white/40">{t('bodyMap.empty')}</p>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,40 @@
+import { useLocale } from '../context/useLocale'
+import { getCrisisLines } from '../utils/crisis'
+
+// tel: links only take digits and a leading +
+const telHref = (number) => `tel:${number.replace(/[^\d+]/g, '')}`
+
+export default function CrisisSupport({ onFindCare, className = '' }) {
+  const { t } = useLocale()
+  const lines = getCrisisLines()
+
+  return (
+    <div className={`rounded-xl bg-violet-500/15 p-3 sm:p-4 text-sm ring-1 ring-violet-400/30 ${className}`}>
+      <p className="font-semibold text-violet-200">{t('crisis.title')}</p>
+      <p className="mt-1 text-white/70">{t('crisis.body')}</p>
+
+      <div className="mt-3 space-y-2">
+        {lines.map((line) => (
+          <a
+            key={line.number}
+            href={telHref(line.number)}
+            className="flex items-center justify-between rounded-lg bg-white/10 px-3 py-2.5 text-white ring-1 ring-white/15 transition-colors hover:bg-white/15"
+          >
+            <span>📞 {t(`crisis.line.${line.name}`, null, line.name)}</span>
+            <span className="font-semibold tracking-wide">{line.number}</span>
+          </a>
+        ))}
+      </div>
+
+      {onFindCare && (
+        <button
+          type="button"
+          onClick={onFindCare}
+          className="mt-3 w-full rounded-lg px-3 py-2 text-violet-200 ring-1 ring-violet-400/30 transition-colors hover:bg-violet-500/20"
+        >
+          {t('crisis.findCare')}
+        </button>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,61 @@
+import { useLocale } from '../context/useLocale'
+
+const URGENCY_BADGE_CLASSES = {
+  emergency: 'bg-red-500/20 text-red-400',
+  urgent: 'bg-yellow-500/20 text-yellow-400',
+  normal: 'bg-green-500/20 text-green-400',
+}
+
+const URGENCY_DOT_CLASSES = {
+  emergency: 'bg-red-400',
+  urgent: 'bg-yellow-400',
+  normal: 'bg-green-400',
+}
+
+// One episode of the search history: a search and the "my symptoms changed" re-triages that followed it
+export default function EpisodeTimeline({ episode, onSelect, formatDate, children }) {
+  const { t, tTriage } = useLocale()
+  const latest = episode.searches[episode.searches.length - 1]
+
+  return (
+    <div className="rounded-xl bg-white/5 p-4 ring-1 ring-white/10">
+      <div className="flex items-center justify-between gap-2 text-xs">
+        <span className="font-medium text-white/70">{t('symptomChange.episode', { count: episode.searches.length })}</span>
+        <span className={`rounded-full px-2 py-1 ${URGENCY_BADGE_CLASSES[latest.result?.urgency] || URGENCY_BADGE_CLASSES.normal}`}>
+          {tTriage('urgency', latest.result?.urgency)}
+        </span>
+      </div>
+
+      <ol className="mt-3 space-y-1 border-l border-white/15 pl-4">
+        {episode.searches.map((search, index) => {
+          const previous = episode.searches[index - 1]
+          const urgencyChanged = previous && previous.result?.urgency !== search.result?.urgency
+          return (
+            <li key={search.id} className="relative">
+              <span className={`absolute -left-[21px] top-3 h-2.5 w-2.5 rounded-full ring-2 ring-slate-900 ${URGENCY_DOT_CLASSES[search.result?.urgency] || 'bg-white/40'}`} />
+              <button
+                type="button"
+                onClick={() => onSelect(search)}
+                className="w-full rounded-lg px-2 py-1.5 text-left transition-colors hover:bg-white/10"
+              >
+                <p className="text-sm text-white line-clamp-2">{search.symptoms}</p>
+                <div className="mt-1 flex flex-wrap items-center gap-x-2 text-xs text-white/50">
+                  <span>{formatDate(search.createdAt)}</span>
+                  <span>•</span>
+                  <span className="text-sky-400">{tTriage('specialist', search.result?.specialist)}</span>
+                  {urgencyChanged && (
+                    <span className="text-white/70">
+                      {tTriage('urgency', previous.result?.urgency)} → {tTriage('urgency', search.result?.urgency)}
+                    </span>
+                  )}
+                </div>
+              </button>
+            </li>
+          )
+        })}
+      </ol>
+
+      {children && <div className="mt-2 border-t border-white/10 pt-2">{children}</div>}
+    </div>
+  )
+}
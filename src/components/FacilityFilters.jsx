@@ -0,0 +1,126 @@
+import { useState } from 'react'
+import { useLocale } from '../context/useLocale'
+import { FACILITY_TYPES } from '../utils/triageSchema'
+import {
+  EMPTY_FACILITY_FILTERS,
+  MIN_RATING_OPTIONS,
+  MIN_REVIEW_OPTIONS,
+  countActiveFilters,
+} from '../utils/facilityFilters'
+
+const TOGGLES = [
+  { key: 'openNow', icon: '🟢' },
+  { key: 'open24h', icon: '🕛' },
+  { key: 'wheelchair', icon: '♿' },
+]
+
+// Collapsible filters for the facility results, used in the desktop panel and the mobile sheet
+export default function FacilityFilters({ filters, onChange, matchCount, totalCount, isDarkMode = false, showEmergencyNote = false }) {
+  const { t, tTriage } = useLocale()
+  const [open, setOpen] = useState(false)
+  const activeCount = countActiveFilters(filters)
+
+  const subtextClass = isDarkMode ? 'text-white/60' : 'text-gray-500'
+  const fieldClass = isDarkMode
+    ? 'bg-neutral-800 text-white ring-white/10'
+    : 'bg-white text-gray-900 ring-gray-200'
+  const chipClass = (selected) => `rounded-full px-3 py-1.5 text-xs transition-colors ${
+    selected
+      ? 'bg-sky-500 text-white'
+      : isDarkMode ? 'bg-neutral-800 text-white/80 hover:bg-neutral-700' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+  }`
+
+  const update = (changes) => onChange({ ...filters, ...changes })
+
+  return (
+    <div className="text-xs">
+      <div className="flex items-center justify-between gap-2">
+        <button
+          type="button"
+          aria-expanded={open}
+          onClick={() => setOpen(!open)}
+          className={chipClass(activeCount > 0)}
+        >
+          ⚙️ {activeCount ? t('map.filters.titleCount', { count: activeCount }) : t('map.filters.title')}
+        </button>
+        {activeCount > 0 && (
+          <span className={subtextClass}>
+            {t('map.filters.showing', { count: matchCount, total: totalCount })}
+            {' · '}
+            <button type="button" onClick={() => onChange(EMPTY_FACILITY_FILTERS)} className="font-medium text-sky-500 hover:text-sky-400">
+              {t('map.filters.clear')}
+            </button>
+          </span>
+        )}
+      </div>
+
+      {open && (
+        <div className="mt-3 space-y-3">
+          <div className="flex flex-wrap gap-2">
+            {TOGGLES.map(({ key, icon }) => (
+              <button
+                key={key}
+                type="button"
+                aria-pressed={filters[key]}
+                onClick={() => update({ [key]: !filters[key] })}
+                className={chipClass(filters[key])}
+              >
+                {icon} {t(`map.filters.${key}`)}
+              </button>
+            ))}
+          </div>
+
+          <div>
+            <p className={subtextClass}>{t('map.filters.facilityType')}</p>
+            <div className="mt-1.5 flex flex-wrap gap-2">
+              {['', ...FACILITY_TYPES].map((type) => (
+                <button
+                  key={type || 'any'}
+                  type="button"
+                  aria-pressed={filters.facilityType === type}
+                  onClick={() => update({ facilityType: type })}
+                  className={chipClass(filters.facilityType === type)}
+                >
+                  {type ? tTriage('facility_type', type) : t('map.filters.anyType')}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-2">
+            <label className={subtextClass}>
+              {t('map.filters.minRating')}
+              <select
+                value={filters.minRating}
+                onChange={(e) => update({ minRating: Number(e.target.value) })}
+                className={`mt-1 w-full rounded-lg px-2 py-1.5 ring-1 outline-none ${fieldClass}`}
+              >
+                {MIN_RATING_OPTIONS.map((value) => (
+                  <option key={value} value={value}>
+                    {value ? `⭐ ${value}+` : t('map.filters.any')}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className={subtextClass}>
+              {t('map.filters.minReviews')}
+              <select
+                value={filters.minReviews}
+                onChange={(e) => update({ minReviews: Number(e.target.value) })}
+                className={`mt-1 w-full rounded-lg px-2 py-1.5 ring-1 outline-none ${fieldClass}`}
+              >
+                {MIN_REVIEW_OPTIONS.map((value) => (
+                  <option key={value} value={value}>
+                    {value ? `${value}+` : t('map.filters.any')}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {showEmergencyNote && <p className={subtextClass}>{t('map.filters.emergencyNote')}</p>}
+        </div>
+      )}
+    </div>
+  )
+}
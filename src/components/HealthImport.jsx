@@ -0,0 +1,108 @@
+import { useRef, useState } from 'react'
+import { useLocale } from '../context/useLocale'
+import { importHealthExport } from '../utils/healthImport'
+import { HEALTH_METRICS, HEALTH_SOURCES, getLatestVitals } from '../utils/healthTrends'
+
+const IMPORT_ACCEPT = '.xml,.json,.csv,text/xml,application/xml,application/json,text/csv'
+
+export default function HealthImport({ trends, onChange, onUseLatest }) {
+  const { t, intlLocale } = useLocale()
+  const fileInputRef = useRef(null)
+  const [importing, setImporting] = useState(false)
+  const [importError, setImportError] = useState(null)
+
+  const handleFile = async (e) => {
+    const [file] = e.target.files
+    e.target.value = ''
+    if (!file) return
+
+    setImporting(true)
+    setImportError(null)
+    try {
+      onChange(await importHealthExport(file))
+    } catch (error) {
+      console.error('Error importing health export:', error)
+      setImportError(error.code || 'unsupported')
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  const formatTime = (iso) => new Date(iso).toLocaleString(intlLocale, { dateStyle: 'medium', timeStyle: 'short' })
+  const latestVitals = getLatestVitals(trends)
+  const sourceLabel = trends && HEALTH_SOURCES.find((source) => source.value === trends.source)?.label
+
+  return (
+    <div className="mt-3 rounded-2xl bg-slate-800/60 p-4 ring-1 ring-white/10 backdrop-blur-sm">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <p className="text-sm font-medium text-white">{t('healthImport.title')}</p>
+        <div className="flex gap-2 text-xs">
+          {trends && (
+            <button
+              type="button"
+              onClick={() => onChange(null)}
+              className="rounded-full px-3 py-1.5 text-white/50 transition-colors hover:text-white"
+            >
+              {t('healthImport.remove')}
+            </button>
+          )}
+          <button
+            type="button"
+            disabled={importing}
+            onClick={() => fileInputRef.current?.click()}
+            className="rounded-full bg-white/5 px-3 py-1.5 text-white/70 ring-1 ring-white/10 transition-colors hover:bg-white/10 hover:text-white disabled:opacity-50"
+          >
+            {importing ? t('healthImport.importing') : trends ? t('healthImport.replace') : t('healthImport.import')}
+          </button>
+        </div>
+        <input ref={fileInputRef} type="file" accept={IMPORT_ACCEPT} onChange={handleFile} className="hidden" />
+      </div>
+
+      <p className="mt-1 text-xs text-white/50">{t('healthImport.hint')}</p>
+      {importError && <p className="mt-2 text-xs text-red-300">{t(`healthImport.errors.${importError}`)}</p>}
+
+      {trends && (
+        <div className="mt-3 space-y-2">
+          <p className="text-xs text-white/40">
+            {t('healthImport.summary', { source: sourceLabel, days: trends.days })}
+          </p>
+          {HEALTH_METRICS.filter((metric) => trends.metrics[metric.value]).map((metric) => {
+            const trend = trends.metrics[metric.value]
+            return (
+              <div key={metric.value} className="rounded-xl bg-white/5 px-3 py-2 text-xs text-white/70">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="font-medium text-white">{t(`healthImport.metric.${metric.value}`, null, metric.label)}</span>
+                  {trend.direction && (
+                    <span className={trend.direction === 'stable' ? 'text-white/50' : 'text-yellow-300'}>
+                      {t(`healthImport.direction.${trend.direction}`)}
+                    </span>
+                  )}
+                </div>
+                <p className="mt-0.5">
+                  {t('healthImport.latest', { value: `${trend.latest} ${metric.unit}`, time: formatTime(trend.latestAt) })}
+                </p>
+                <p className="text-white/50">
+                  {t('healthImport.stats', {
+                    average: `${trend.average} ${metric.unit}`,
+                    min: trend.min,
+                    max: `${trend.max} ${metric.unit}`,
+                    count: trend.count,
+                  })}
+                </p>
+              </div>
+            )
+          })}
+          {latestVitals && (
+            <button
+              type="button"
+              onClick={() => onUseLatest(latestVitals)}
+              className="rounded-full bg-sky-500/20 px-3 py-1.5 text-xs text-sky-200 ring-1 ring-sky-400/30 transition-colors hover:bg-sky-500/30"
+            >
+              {t('healthImport.useLatest')}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,19 @@
+import { useLocale } from '../context/useLocale'
+import { LOCALES } from '../utils/locales'
+
+export default function LanguageSelector({ className = '' }) {
+  const { locale, setLocale, t } = useLocale()
+
+  return (
+    <select
+      value={locale}
+      onChange={(e) => setLocale(e.target.value)}
+      aria-label={t('common.language')}
+      className={`rounded-xl px-2 py-2 text-xs sm:text-sm font-medium outline-none transition-colors ${className}`}
+    >
+      {Object.entries(LOCALES).map(([value, { label }]) => (
+        <option key={value} value={value} className="bg-slate-900 text-white">{label}</option>
+      ))}
+    </select>
+  )
+}
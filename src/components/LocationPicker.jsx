@@ -0,0 +1,237 @@
+import { useRef, useState } from 'react'
+import { useLocale } from '../context/useLocale'
+import { MAX_SAVED_PLACES, SAVED_PLACE_KINDS, geocodeLocation, suggestAddresses, toSavedPlaceLocation } from '../utils/location'
+
+// Wait for a pause in typing before asking Places for suggestions
+const SUGGEST_DELAY_MS = 250
+
+// Choose where facilities are searched from: GPS, an address or pincode, a pin on the map, or a saved place.
+// `savedPlaces` is null when the user is signed out and places can't be saved.
+export default function LocationPicker({
+  isDarkMode = false,
+  gpsError,
+  locating = false,
+  onChange,
+  onUseGps,
+  onDropPin,
+  onClose,
+  savedPlaces = null,
+  currentLocation = null,
+  onSavePlace,
+  onRemovePlace,
+}) {
+  const { t } = useLocale()
+  const [query, setQuery] = useState('')
+  const [suggestions, setSuggestions] = useState([])
+  const [searching, setSearching] = useState(false)
+  const [notFound, setNotFound] = useState(false)
+  const [placeKind, setPlaceKind] = useState('home')
+  const [placeName, setPlaceName] = useState('')
+  const [placeSaving, setPlaceSaving] = useState(false)
+  const [placeError, setPlaceError] = useState(false)
+  const suggestTimeoutRef = useRef(null)
+  const latestQueryRef = useRef('')
+
+  const textClass = isDarkMode ? 'text-white' : 'text-gray-900'
+  const subtextClass = isDarkMode ? 'text-white/60' : 'text-gray-500'
+  const fieldClass = isDarkMode
+    ? 'bg-neutral-800 text-white ring-white/10 placeholder:text-white/40'
+    : 'bg-white text-gray-900 ring-gray-200 placeholder:text-gray-400'
+  const optionClass = isDarkMode
+    ? 'bg-neutral-800 text-white/80 hover:bg-neutral-700'
+    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+
+  const handleQueryChange = (value) => {
+    setQuery(value)
+    setNotFound(false)
+    latestQueryRef.current = value
+    clearTimeout(suggestTimeoutRef.current)
+    suggestTimeoutRef.current = setTimeout(async () => {
+      const results = await suggestAddresses(value)
+      // Drop suggestions for text the user has already changed
+      if (latestQueryRef.current === value) setSuggestions(results)
+    }, SUGGEST_DELAY_MS)
+  }
+
+  const pick = async (request) => {
+    clearTimeout(suggestTimeoutRef.current)
+    setSearching(true)
+    setNotFound(false)
+    try {
+      const location = await geocodeLocation(request)
+      setQuery('')
+      setSuggestions([])
+      onChange(location)
+    } catch {
+      setNotFound(true)
+    } finally {
+      setSearching(false)
+    }
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (query.trim()) pick({ address: query.trim() })
+  }
+
+  const updatePlaces = async (update) => {
+    setPlaceSaving(true)
+    setPlaceError(false)
+    try {
+      await update()
+      setPlaceName('')
+    } catch {
+      setPlaceError(true)
+    } finally {
+      setPlaceSaving(false)
+    }
+  }
+
+  const handleSavePlace = () => updatePlaces(() => onSavePlace({
+    kind: placeKind,
+    name: placeName.trim() || t(`map.location.kind.${placeKind}`),
+  }))
+
+  const canSavePlace = savedPlaces &&
+    currentLocation &&
+    currentLocation.source !== 'saved' &&
+    savedPlaces.length < MAX_SAVED_PLACES
+
+  return (
+    <div className={`mt-3 rounded-xl p-3 ring-1 ${isDarkMode ? 'bg-neutral-900 ring-white/10' : 'bg-gray-50 ring-gray-200'}`}>
+      <div className="flex items-center justify-between gap-2">
+        <h3 className={`text-sm font-medium ${textClass}`}>{t('map.location.title')}</h3>
+        {onClose && (
+          <button type="button" onClick={onClose} className={`text-xs ${subtextClass} hover:text-gray-600`}>
+            ✕ {t('map.location.cancel')}
+          </button>
+        )}
+      </div>
+
+      {gpsError && (
+        <p className={`mt-2 text-xs ${isDarkMode ? 'text-amber-400' : 'text-amber-600'}`}>
+          {t(`map.location.gpsError.${gpsError}`)}
+        </p>
+      )}
+
+      {savedPlaces?.length > 0 && (
+        <div className="mt-3">
+          <p className={`text-xs ${subtextClass}`}>{t('map.location.savedPlaces')}</p>
+          <div className="mt-1.5 flex flex-wrap gap-2">
+            {savedPlaces.map((place) => (
+              <span key={place.id} className={`inline-flex items-center rounded-full text-xs transition-colors ${optionClass}`}>
+                <button
+                  type="button"
+                  title={place.address || undefined}
+                  onClick={() => onChange(toSavedPlaceLocation(place))}
+                  className="py-1.5 pl-3 pr-1"
+                >
+                  {SAVED_PLACE_KINDS.find((kind) => kind.value === place.kind)?.icon} {place.name}
+                </button>
+                <button
+                  type="button"
+                  disabled={placeSaving}
+                  aria-label={t('map.location.removePlace', { name: place.name })}
+                  onClick={() => updatePlaces(() => onRemovePlace(place.id))}
+                  className="py-1.5 pl-1 pr-2.5 opacity-60 hover:opacity-100 disabled:opacity-30"
+                >
+                  ✕
+                </button>
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="mt-3">
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => handleQueryChange(e.target.value)}
+          placeholder={t('map.location.addressPlaceholder')}
+          aria-label={t('map.location.addressPlaceholder')}
+          className={`w-full rounded-lg px-3 py-2 text-sm ring-1 outline-none focus:ring-2 focus:ring-sky-500/50 ${fieldClass}`}
+        />
+      </form>
+
+      {suggestions.length > 0 && (
+        <ul className="mt-1 space-y-1">
+          {suggestions.map((suggestion) => (
+            <li key={suggestion.placeId}>
+              <button
+                type="button"
+                disabled={searching}
+                onClick={() => pick({ placeId: suggestion.placeId })}
+                className={`w-full rounded-lg px-3 py-2 text-left text-xs transition-colors disabled:opacity-50 ${optionClass}`}
+              >
+                {suggestion.description}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {searching && <p className={`mt-2 text-xs ${subtextClass}`}>{t('map.location.finding')}</p>}
+      {notFound && <p className="mt-2 text-xs text-red-500">{t('map.location.notFound')}</p>}
+
+      <div className="mt-3 grid grid-cols-2 gap-2">
+        <button
+          type="button"
+          disabled={locating}
+          onClick={onUseGps}
+          className={`rounded-lg px-3 py-2 text-xs font-medium transition-colors disabled:opacity-50 ${optionClass}`}
+        >
+          🛰️ {locating ? t('map.location.locating') : t('map.location.useGps')}
+        </button>
+        <button
+          type="button"
+          onClick={onDropPin}
+          className={`rounded-lg px-3 py-2 text-xs font-medium transition-colors ${optionClass}`}
+        >
+          📌 {t('map.location.dropPin')}
+        </button>
+      </div>
+
+      {canSavePlace && (
+        <div className={`mt-3 border-t pt-3 ${isDarkMode ? 'border-white/10' : 'border-gray-200'}`}>
+          <p className={`text-xs ${subtextClass}`}>{t('map.location.saveCurrent')}</p>
+          <div className="mt-1.5 flex flex-wrap gap-2">
+            {SAVED_PLACE_KINDS.map((kind) => (
+              <button
+                key={kind.value}
+                type="button"
+                aria-pressed={placeKind === kind.value}
+                onClick={() => setPlaceKind(kind.value)}
+                className={`rounded-full px-3 py-1.5 text-xs transition-colors ${
+                  placeKind === kind.value ? 'bg-sky-500 text-white' : optionClass
+                }`}
+              >
+                {kind.icon} {t(`map.location.kind.${kind.value}`, null, kind.label)}
+              </button>
+            ))}
+          </div>
+          <div className="mt-2 flex gap-2">
+            <input
+              type="text"
+              value={placeName}
+              onChange={(e) => setPlaceName(e.target.value)}
+              placeholder={t(`map.location.kind.${placeKind}`)}
+              aria-label={t('map.location.placeName')}
+              className={`min-w-0 flex-1 rounded-lg px-3 py-2 text-xs ring-1 outline-none focus:ring-2 focus:ring-sky-500/50 ${fieldClass}`}
+            />
+            <button
+              type="button"
+              disabled={placeSaving}
+              onClick={handleSavePlace}
+              className="shrink-0 rounded-lg bg-sky-500 px-3 py-2 text-xs font-medium text-white transition-colors hover:bg-sky-400 disabled:opacity-50"
+            >
+              {placeSaving ? t('map.location.saving') : t('map.location.savePlace')}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {placeError && <p className="mt-2 text-xs text-red-500">{t('map.location.placeSaveError')}</p>}
+    </div>
+  )
+}
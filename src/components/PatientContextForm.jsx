@@ -0,0 +1,118 @@
+import { useLocale } from '../context/useLocale'
+import { CHRONIC_CONDITIONS, SEX_OPTIONS, getAgeBand } from '../utils/patientContext'
+
+const fieldClass = 'w-full rounded-xl bg-white/5 px-3 py-2 text-sm text-white ring-1 ring-white/10 outline-none focus:ring-2 focus:ring-sky-500/50'
+
+export default function PatientContextForm({ patient, onChange, onSave, saving = false, saveStatus = null, canSave = false }) {
+  const { t } = useLocale()
+  const update = (changes) => onChange({ ...patient, ...changes })
+
+  const toggleCondition = (value) => {
+    const conditions = patient.chronicConditions.includes(value)
+      ? patient.chronicConditions.filter((condition) => condition !== value)
+      : [...patient.chronicConditions, value]
+    update({ chronicConditions: conditions })
+  }
+
+  const ageBand = getAgeBand(patient)
+
+  return (
+    <div className="mt-3 rounded-2xl bg-slate-800/60 p-4 ring-1 ring-white/10 backdrop-blur-sm">
+      <div className="grid gap-3 sm:grid-cols-3">
+        <label className="text-xs text-white/60">
+          {t('patient.age')}
+          <div className="mt-1 flex gap-2">
+            <input
+              type="number"
+              min="0"
+              max={patient.ageUnit === 'months' ? 36 : 130}
+              value={patient.age}
+              onChange={(e) => update({ age: e.target.value === '' ? '' : Number(e.target.value) })}
+              placeholder={t('patient.ageExample')}
+              className={fieldClass}
+            />
+            <select
+              value={patient.ageUnit}
+              onChange={(e) => update({ ageUnit: e.target.value })}
+              className={`${fieldClass} w-auto`}
+            >
+              <option value="years" className="bg-slate-900">{t('patient.years')}</option>
+              <option value="months" className="bg-slate-900">{t('patient.months')}</option>
+            </select>
+          </div>
+          {ageBand && <span className="mt-1 block text-white/40">{t(`patient.ageBand.${ageBand}`)}</span>}
+        </label>
+
+        <label className="text-xs text-white/60">
+          {t('patient.sex')}
+          <select
+            value={patient.sex}
+            onChange={(e) => update({ sex: e.target.value, pregnant: e.target.value === 'female' && patient.pregnant })}
+            className={`${fieldClass} mt-1 capitalize`}
+          >
+            <option value="" className="bg-slate-900">{t('patient.preferNotToSay')}</option>
+            {SEX_OPTIONS.map((option) => (
+              <option key={option} value={option} className="bg-slate-900">{t(`patient.sex.${option}`, null, option)}</option>
+            ))}
+          </select>
+        </label>
+
+        {patient.sex === 'female' && (
+          <label className="flex items-center gap-2 self-end pb-2 text-sm text-white/70">
+            <input
+              type="checkbox"
+              checked={patient.pregnant}
+              onChange={(e) => update({ pregnant: e.target.checked })}
+              className="h-4 w-4 rounded accent-sky-500"
+            />
+            {t('patient.pregnant')}
+          </label>
+        )}
+      </div>
+
+      <p className="mt-4 text-xs text-white/60">{t('patient.conditions')}</p>
+      <div className="mt-2 flex flex-wrap gap-2">
+        {CHRONIC_CONDITIONS.map((condition) => {
+          const selected = patient.chronicConditions.includes(condition.value)
+          return (
+            <button
+              key={condition.value}
+              type="button"
+              onClick={() => toggleCondition(condition.value)}
+              className={`rounded-full px-3 py-1.5 text-xs ring-1 transition-colors ${
+                selected
+                  ? 'bg-sky-500/30 text-white ring-sky-400/50'
+                  : 'bg-white/5 text-white/70 ring-white/10 hover:bg-white/10'
+              }`}
+            >
+              {t(`patient.condition.${condition.value}`, null, condition.label)}
+            </button>
+          )
+        })}
+      </div>
+
+      <input
+        type="text"
+        value={patient.otherConditions}
+        onChange={(e) => update({ otherConditions: e.target.value })}
+        placeholder={t('patient.otherConditions')}
+        maxLength={200}
+        className={`${fieldClass} mt-3`}
+      />
+
+      {canSave && (
+        <div className="mt-3 flex items-center justify-end gap-3">
+          {saveStatus && <span className="text-xs text-white/50">{saveStatus}</span>}
+          <button
+            type="button"
+            onClick={onSave}
+            disabled={saving}
+            className="rounded-xl bg-white/10 px-3 py-1.5 text-xs font-medium text-white/85 ring-1 ring-white/15 transition-colors hover:bg-white/15 disabled:opacity-50"
+          >
+            {saving ? t('patient.saving') : t('patient.saveToProfile')}
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
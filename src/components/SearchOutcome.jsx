@@ -0,0 +1,174 @@
+import { useState } from 'react'
+import { useLocale } from '../context/useLocale'
+import { updateSearchOutcome } from '../services/searchHistory'
+import { FACILITY_TYPES } from '../utils/triageSchema'
+import { EMPTY_OUTCOME, SPECIALIST_VERDICTS, VISIT_OPTIONS, getFollowedSpecialist, normalizeOutcome } from '../utils/searchOutcome'
+
+const fieldClass = 'w-full rounded-xl bg-white/5 px-3 py-2 text-sm text-white ring-1 ring-white/10 outline-none focus:ring-2 focus:ring-sky-500/50'
+
+const chipClass = (selected) => `rounded-full px-3 py-1.5 text-xs ring-1 transition-colors ${
+  selected
+    ? 'bg-sky-500/30 text-white ring-sky-400/50'
+    : 'bg-white/5 text-white/70 ring-white/10 hover:bg-white/10'
+}`
+
+// "Did you visit a facility? Which one? Was the specialist right?" for one saved search
+export default function SearchOutcome({ search, onSaved, startEditing = false, onCancel }) {
+  const { t, tTriage } = useLocale()
+  const [editing, setEditing] = useState(startEditing)
+  const [draft, setDraft] = useState({ ...EMPTY_OUTCOME, ...search.outcome })
+  const [saving, setSaving] = useState(false)
+  const [saveError, setSaveError] = useState(false)
+
+  const update = (changes) => setDraft({ ...draft, ...changes })
+  const outcome = normalizeOutcome(draft)
+
+  const handleSave = async () => {
+    setSaving(true)
+    setSaveError(false)
+    try {
+      await updateSearchOutcome(search.id, outcome)
+      onSaved(search.id, outcome)
+      setEditing(false)
+    } catch {
+      setSaveError(true)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleCancel = () => {
+    setDraft({ ...EMPTY_OUTCOME, ...search.outcome })
+    setEditing(false)
+    onCancel?.()
+  }
+
+  if (!editing) {
+    const saved = search.outcome
+    const verdict = SPECIALIST_VERDICTS.find((option) => option.value === saved?.specialistVerdict)
+    return (
+      <div className="flex items-center justify-between gap-2 text-xs">
+        <span className="min-w-0 truncate text-white/50">
+          {!saved
+            ? t('outcome.none')
+            : saved.visited === 'no'
+              ? t('outcome.summaryNotVisited')
+              : t('outcome.summaryVisited', {
+                facility: saved.facilityName || (saved.facilityType ? tTriage('facility_type', saved.facilityType) : t('outcome.aFacility')),
+              })}
+          {verdict && ` · ${t(`outcome.verdictShort.${verdict.value}`)}`}
+        </span>
+        <button
+          type="button"
+          onClick={() => setEditing(true)}
+          className="shrink-0 text-sky-400 transition-colors hover:text-sky-300"
+        >
+          {saved ? t('outcome.edit') : t('outcome.add')}
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-3 text-xs">
+      <div>
+        <p className="text-white/60">{t('outcome.visited')}</p>
+        <div className="mt-1.5 flex gap-2">
+          {VISIT_OPTIONS.map((option) => (
+            <button
+              key={option.value}
+              type="button"
+              aria-pressed={draft.visited === option.value}
+              onClick={() => update({ visited: option.value })}
+              className={chipClass(draft.visited === option.value)}
+            >
+              {t(`outcome.visit.${option.value}`, null, option.label)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {draft.visited === 'yes' && (
+        <>
+          <div className="grid gap-2 sm:grid-cols-[1fr_auto]">
+            <label className="text-white/60">
+              {t('outcome.facilityName')}
+              <input
+                type="text"
+                value={draft.facilityName}
+                onChange={(e) => update({ facilityName: e.target.value })}
+                placeholder={t('outcome.facilityNamePlaceholder')}
+                className={`${fieldClass} mt-1`}
+              />
+            </label>
+            <label className="text-white/60">
+              {t('outcome.facilityType')}
+              <select
+                value={draft.facilityType}
+                onChange={(e) => update({ facilityType: e.target.value })}
+                className={`${fieldClass} mt-1`}
+              >
+                <option value="" className="bg-slate-900">{t('outcome.facilityTypeUnknown')}</option>
+                {FACILITY_TYPES.map((type) => (
+                  <option key={type} value={type} className="bg-slate-900">{tTriage('facility_type', type)}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div>
+            <p className="text-white/60">
+              {t('outcome.specialistRight', { specialist: tTriage('specialist', getFollowedSpecialist(search)) })}
+            </p>
+            <div className="mt-1.5 flex flex-wrap gap-2">
+              {SPECIALIST_VERDICTS.map((option) => (
+                <button
+                  key={option.value}
+                  type="button"
+                  aria-pressed={draft.specialistVerdict === option.value}
+                  onClick={() => update({ specialistVerdict: option.value })}
+                  className={chipClass(draft.specialistVerdict === option.value)}
+                >
+                  {t(`outcome.verdict.${option.value}`, null, option.label)}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {draft.specialistVerdict === 'wrong' && (
+            <label className="block text-white/60">
+              {t('outcome.actualSpecialist')}
+              <input
+                type="text"
+                value={draft.actualSpecialist}
+                onChange={(e) => update({ actualSpecialist: e.target.value })}
+                placeholder={t('outcome.actualSpecialistPlaceholder')}
+                className={`${fieldClass} mt-1`}
+              />
+            </label>
+          )}
+        </>
+      )}
+
+      {saveError && <p className="text-red-300">{t('outcome.saveError')}</p>}
+
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={handleCancel}
+          className="rounded-full px-3 py-1.5 text-white/60 transition-colors hover:text-white"
+        >
+          {t('outcome.cancel')}
+        </button>
+        <button
+          type="button"
+          disabled={!outcome || saving}
+          onClick={handleSave}
+          className="rounded-full bg-sky-500 px-3 py-1.5 font-medium text-white transition-colors hover:bg-sky-400 disabled:opacity-50"
+        >
+          {saving ? t('outcome.saving') : t('outcome.save')}
+        </button>
+      </div>
+    </div>
+  )
+}
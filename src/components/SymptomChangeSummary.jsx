@@ -0,0 +1,72 @@
+import { useLocale } from '../context/useLocale'
+import { diffSymptomText, diffTriageResults } from '../utils/symptomChange'
+
+const DIRECTION_CLASSES = {
+  escalated: 'text-red-300',
+  'de-escalated': 'text-green-300',
+}
+
+// Result field -> label key shared with the result card
+const FIELD_LABEL_KEYS = {
+  urgency: 'fields.urgency',
+  specialist: 'fields.specialist',
+  facility_type: 'fields.facilityType',
+}
+
+const TEXT_PART_CLASSES = {
+  same: 'text-white/60',
+  added: 'rounded bg-green-500/20 px-0.5 text-green-200',
+  removed: 'rounded bg-red-500/15 px-0.5 text-red-300/80 line-through',
+}
+
+// What changed between an earlier triage of the same episode and the current result
+export default function SymptomChangeSummary({ previous, result, symptoms, className = '' }) {
+  const { t, tTriage, intlLocale } = useLocale()
+  const changes = diffTriageResults(previous, result)
+  const textParts = symptoms ? diffSymptomText(previous.symptoms, symptoms) : []
+  const date = previous.createdAt
+    ? new Date(previous.createdAt).toLocaleString(intlLocale, { dateStyle: 'medium', timeStyle: 'short' })
+    : null
+
+  return (
+    <div className={`rounded-xl bg-white/5 p-3 sm:p-4 text-sm ring-1 ring-white/10 ${className}`}>
+      <p className="text-white/70">
+        {date ? t('symptomChange.comparedWithDate', { date }) : t('symptomChange.comparedWith')}
+      </p>
+
+      {changes.length ? (
+        <ul className="mt-2 space-y-1">
+          {changes.map((change) => (
+            <li key={change.field} className="flex flex-wrap items-center gap-x-2">
+              <span className="text-white/50">{t(FIELD_LABEL_KEYS[change.field])}</span>
+              <span className="text-white/60 line-through">{tTriage(change.field, change.from)}</span>
+              <span className={DIRECTION_CLASSES[change.direction] || 'text-sky-300'}>
+                → {tTriage(change.field, change.to)}
+              </span>
+              {change.direction && (
+                <span className={`text-xs ${DIRECTION_CLASSES[change.direction]}`}>
+                  {t(`symptomChange.direction.${change.direction}`)}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="mt-2 text-white/50">{t('symptomChange.unchanged')}</p>
+      )}
+
+      {textParts.some((part) => part.type !== 'same') && (
+        <details className="mt-2">
+          <summary className="cursor-pointer text-xs text-white/50 hover:text-white/70">{t('symptomChange.showText')}</summary>
+          <p className="mt-1.5 text-xs leading-relaxed">
+            {textParts.map((part, index) => (
+              <span key={index}>
+                <span className={TEXT_PART_CLASSES[part.type]}>{part.text}</span>{' '}
+              </span>
+            ))}
+          </p>
+        </details>
+      )}
+    </div>
+  )
+}
@@ -1,16 +1,150 @@
-import { useState, useEffect, useRef } from 'react'
+import { useState, useEffect, useRef, useCallback } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { Link } from 'react-router-dom'
+import { useLocale } from '../context/useLocale'
+import { useAuth } from '../context/AuthContext'
+import LanguageSelector from './LanguageSelector'
+import LocationPicker from './LocationPicker'
+import FacilityFilters from './FacilityFilters'
+import { getCrisisLines } from '../utils/crisis'
+import { EMPTY_FACILITY_FILTERS, filterPlaces, getFacilityType, isOpen24Hours } from '../utils/facilityFilters'
+import { DEFAULT_MAP_VIEW, SAVED_PLACE_KINDS, createSavedPlace, getGpsLocation, getTravelTimes, toSearchOrigin } from '../utils/location'
+import { getSavedPlaces, saveSavedPlaces } from '../services/patientProfile'
+import { updateSearchOrigin } from '../services/searchHistory'
+
+// Dark mode map styles
+const DARK_MAP_STYLES = [
+  { elementType: "geometry", stylers: [{ color: "#212121" }] },
+  { elementType: "labels.icon", stylers: [{ visibility: "off" }] },
+  { elementType: "labels.text.fill", stylers: [{ color: "#757575" }] },
+  { elementType: "labels.text.stroke", stylers: [{ color: "#212121" }] },
+  { featureType: "administrative", elementType: "geometry", stylers: [{ color: "#757575" }] },
+  { featureType: "administrative.country", elementType: "labels.text.fill", stylers: [{ color: "#9e9e9e" }] },
+  { featureType: "administrative.land_parcel", stylers: [{ visibility: "off" }] },
+  { featureType: "administrative.locality", elementType: "labels.text.fill", stylers: [{ color: "#bdbdbd" }] },
+  { featureType: "poi", elementType: "labels.text.fill", stylers: [{ color: "#757575" }] },
+  { featureType: "poi.park", elementType: "geometry", stylers: [{ color: "#181818" }] },
+  { featureType: "poi.park", elementType: "labels.text.fill", stylers: [{ color: "#616161" }] },
+  { featureType: "poi.park", elementType: "labels.text.stroke", stylers: [{ color: "#1b1b1b" }] },
+  { featureType: "road", elementType: "geometry.fill", stylers: [{ color: "#2c2c2c" }] },
+  { featureType: "road", elementType: "labels.text.fill", stylers: [{ color: "#8a8a8a" }] },
+  { featureType: "road.arterial", elementType: "geometry", stylers: [{ color: "#373737" }] },
+  { featureType: "road.highway", elementType: "geometry", stylers: [{ color: "#3c3c3c" }] },
+  { featureType: "road.highway.controlled_access", elementType: "geometry", stylers: [{ color: "#4e4e4e" }] },
+  { featureType: "road.local", elementType: "labels.text.fill", stylers: [{ color: "#616161" }] },
+  { featureType: "transit", elementType: "labels.text.fill", stylers: [{ color: "#757575" }] },
+  { featureType: "water", elementType: "geometry", stylers: [{ color: "#000000" }] },
+  { featureType: "water", elementType: "labels.text.fill", stylers: [{ color: "#3d3d3d" }] },
+]
+
+const LOCATION_SOURCE_ICONS = { gps: '🛰️', manual: '🏠', pin: '📌' }
+
+const TRAVEL_MODE_ICONS = { DRIVING: '🚗', BICYCLING: '🚴', WALKING: '🚶' }
+
+// Score lost per minute of travel; in an emergency a few minutes outweigh any rating difference
+const TRAVEL_MINUTE_PENALTY = { emergency: 0.5, urgent: 0.15, normal: 0.1 }
+// Rough city travel time, used when no travel time could be fetched
+const MINUTES_PER_KM = 2
+// Candidates sent to the Distance Matrix (about one page of Places results); the rest are paged with "Load more"
+const TRAVEL_TIME_CANDIDATES = 20
+// Places searches can't go wider than 50 km
+const MAX_SEARCH_RADIUS = 50000
+// The radius keeps growing until this many facilities that may be open (open or hours unknown) are found
+const MIN_OPEN_FACILITIES = 2
+
+// Get search radius based on urgency
+const getSearchRadius = (urgency) => {
+  switch (urgency) {
+    case 'emergency': return 20000
+    case 'urgent': return 15000
+    default: return 10000
+  }
+}
+
+// Search radii to try in turn, from the urgency's radius up to the Places maximum
+const getRadiusSteps = (urgency) => {
+  const steps = []
+  for (let radius = getSearchRadius(urgency); radius < MAX_SEARCH_RADIUS; radius *= 2) steps.push(radius)
+  return [...steps, MAX_SEARCH_RADIUS]
+}
+
+// Calculate distance between two points (Haversine formula)
+const calculateDistance = (lat1, lng1, lat2, lng2) => {
+  const R = 6371
+  const dLat = (lat2 - lat1) * Math.PI / 180
+  const dLng = (lng2 - lng1) * Math.PI / 180
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2)
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
+  return R * c
+}
 
-export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
+// Ranking score from travel time (straight-line distance if unknown) and rating
+const calculateScore = (place, urgency) => {
+  const minutes = place.travelTime ? place.travelTime.seconds / 60 : place.distance * MINUTES_PER_KM
+  const travelPenalty = minutes * (TRAVEL_MINUTE_PENALTY[urgency] || TRAVEL_MINUTE_PENALTY.normal)
+  const ratingScore = place.rating || 3
+  const popularityBonus = (place.user_ratings_total || 0) > 50 ? 1 : 0
+  return ratingScore + popularityBonus - travelPenalty
+}
+
+// Open places first (in an emergency also ahead of unknown hours), then by score
+const rankPlaces = (places, urgency) => {
+  const isEmergency = urgency === 'emergency'
+  return [...places].sort((a, b) => {
+    if (isEmergency) {
+      if (a.isOpen === true && b.isOpen !== true) return -1
+      if (b.isOpen === true && a.isOpen !== true) return 1
+    }
+    if (a.isOpen === true && b.isOpen === false) return -1
+    if (a.isOpen === false && b.isOpen === true) return 1
+    return b.score - a.score
+  })
+}
+
+// Add travel times for the travel mode in one batched request; without them places keep their distance only
+const withTravelTimes = async (origin, candidates, mode) => {
+  try {
+    const times = await getTravelTimes(origin, candidates.map(place => place.geometry.location), mode)
+    return candidates.map((place, index) => ({ ...place, travelTime: times[index] ? { ...times[index], mode } : null }))
+  } catch (err) {
+    console.error('Travel times unavailable:', err)
+    return candidates.map(place => ({ ...place, travelTime: null }))
+  }
+}
+
+export default function TriageMapRouter({ triageResult, searchId, isDarkMode = false }) {
+  const { locale, t, tTriage } = useLocale()
+  const { currentUser } = useAuth()
+  const urgency = triageResult?.urgency
+  // Latest translations for the facility search, which shouldn't run again when only the language changes
+  const tRef = useRef(t)
   const mapRef = useRef(null)
   const mapContainerRef = useRef(null)
   const mapInstanceRef = useRef(null)
   const markersRef = useRef([])
   const directionsRendererRef = useRef(null)
+  const locationMarkerRef = useRef(null)
 
+  const [mapsReady, setMapsReady] = useState(false)
+  // Search origin: { lat, lng, source: 'gps' | 'manual' | 'pin' | 'saved', accuracy (meters) | null, label | null }
   const [userLocation, setUserLocation] = useState(null)
+  const [locating, setLocating] = useState(true)
+  const [locationError, setLocationError] = useState(null)
+  const [locationPickerOpen, setLocationPickerOpen] = useState(false)
+  const [pinMode, setPinMode] = useState(false)
+  const [savedPlaces, setSavedPlaces] = useState([])
+  // Read by the map click listener, which is registered once
+  const pinModeRef = useRef(false)
   const [places, setPlaces] = useState([])
+  // Ranked places not shown yet, for "Load more"
+  const [morePlaces, setMorePlaces] = useState([])
+  const [loadingMore, setLoadingMore] = useState(false)
+  // Radius the results came from, once the search is done
+  const [searchRadius, setSearchRadius] = useState(null)
+  // Bumped on every new search so a late "Load more" is dropped
+  const searchRunRef = useRef(0)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [selectedPlace, setSelectedPlace] = useState(null)
@@ -18,28 +152,41 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
   const [routeInfo, setRouteInfo] = useState(null)
   const [mobileSheetOpen, setMobileSheetOpen] = useState(false)
   const [mobileSheetExpanded, setMobileSheetExpanded] = useState(false)
-  const [sortBy, setSortBy] = useState('distance')
+  const [sortBy, setSortBy] = useState('recommended')
   const [sortDropdownOpen, setSortDropdownOpen] = useState(false)
+  const [filters, setFilters] = useState(EMPTY_FACILITY_FILTERS)
   
   // Navigation state
   const [isNavigating, setIsNavigating] = useState(false)
   const [travelMode, setTravelMode] = useState('DRIVING')
+  // Read by the facility search, which shouldn't run again when only the mode changes
+  const travelModeRef = useRef('DRIVING')
   const [liveLocation, setLiveLocation] = useState(null)
   const watchIdRef = useRef(null)
   const userMarkerRef = useRef(null)
 
   // Sort options
   const sortOptions = [
-    { value: 'distance', label: 'Distance', icon: '📍' },
-    { value: 'rating', label: 'Rating', icon: '⭐' },
+    { value: 'recommended', label: t('map.sort.recommended'), icon: '✨' },
+    { value: 'travelTime', label: t('map.sort.travelTime'), icon: '🕒' },
+    { value: 'distance', label: t('map.sort.distance'), icon: '📍' },
+    { value: 'rating', label: t('map.sort.rating'), icon: '⭐' },
   ]
 
-  // Get sorted places based on selected sort option
+  // Get filtered places sorted by the selected sort option
   const getSortedPlaces = () => {
     if (!places.length) return places
     
-    let sorted = [...places]
+    let sorted = filterPlaces(places, filters)
     switch (sortBy) {
+      case 'recommended':
+        // Travel time weighted by urgency, see calculateScore
+        sorted = rankPlaces(sorted, urgency)
+        break
+      case 'travelTime':
+        // Places without a travel time go last, nearest first
+        sorted.sort((a, b) => (a.travelTime?.seconds ?? Infinity) - (b.travelTime?.seconds ?? Infinity) || a.distance - b.distance)
+        break
       case 'distance':
         sorted.sort((a, b) => a.distance - b.distance)
         break
@@ -66,15 +213,6 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
 
   const GOOGLE_MAPS_KEY = import.meta.env.VITE_GOOGLE_MAPS_KEY
 
-  // Get search radius based on urgency
-  const getSearchRadius = () => {
-    switch (triageResult?.urgency) {
-      case 'emergency': return 20000
-      case 'urgent': return 15000
-      default: return 10000
-    }
-  }
-
   // Get urgency colors
   const getUrgencyColor = () => {
     switch (triageResult?.urgency) {
@@ -84,30 +222,108 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
     }
   }
 
-  // Calculate distance between two points (Haversine formula)
-  const calculateDistance = (lat1, lng1, lat2, lng2) => {
-    const R = 6371
-    const dLat = (lat2 - lat1) * Math.PI / 180
-    const dLng = (lng2 - lng1) * Math.PI / 180
-    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-      Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-      Math.sin(dLng / 2) * Math.sin(dLng / 2)
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
-    return R * c
+  // How precise the search location is, e.g. "±25 m" for GPS or "~2.1 km" for a pincode
+  const describeLocationAccuracy = (location) => {
+    if (location.source === 'pin') return t('map.location.pinned')
+    if (!location.accuracy) return null
+    const value = location.accuracy < 1000
+      ? `${Math.round(location.accuracy)} m`
+      : `${(location.accuracy / 1000).toFixed(1)} km`
+    return location.source === 'gps'
+      ? t('map.location.gpsAccuracy', { value })
+      : t('map.location.areaAccuracy', { value })
   }
 
-  // Calculate ranking score
-  const calculateScore = (place, distanceKm) => {
-    const distanceScore = 5 / Math.max(distanceKm, 0.1)
-    const ratingScore = place.rating || 3
-    const popularityBonus = (place.user_ratings_total || 0) > 50 ? 1 : 0
-    return distanceScore + ratingScore + popularityBonus
+  // Switch car / bike / walk: travel times, scores and the split into shown / "Load more" follow the mode
+  const changeTravelMode = async (mode) => {
+    setTravelMode(mode)
+    travelModeRef.current = mode
+    if (!userLocation || !places.length) return
+    // A pending "Load more" is dropped: its page was cut from the old ranking
+    const run = searchRunRef.current + 1
+    searchRunRef.current = run
+    setLoadingMore(false)
+
+    const updated = await withTravelTimes(userLocation, [...places, ...morePlaces], mode)
+    const ranked = updated
+      .map(place => ({ ...place, score: calculateScore(place, urgency) }))
+      .sort((a, b) => b.score - a.score)
+    const result = await takePlacesPage(ranked, places.length)
+    // Skip if the results were replaced meanwhile (e.g. a new location)
+    if (run !== searchRunRef.current) return
+
+    markersRef.current.forEach(m => m.setMap(null))
+    markersRef.current = []
+    setPlaces(result.page)
+    setMorePlaces(result.rest)
+    addPlaceMarkers(result.page)
+  }
+
+  // Switch the search origin; the triage result is kept and facilities are searched again
+  const changeLocation = useCallback((location) => {
+    if (watchIdRef.current) {
+      navigator.geolocation.clearWatch(watchIdRef.current)
+      watchIdRef.current = null
+    }
+    userMarkerRef.current?.setMap(null)
+    userMarkerRef.current = null
+    directionsRendererRef.current?.setDirections({ routes: [] })
+    markersRef.current.forEach(m => m.setMap(null))
+    markersRef.current = []
+    searchRunRef.current += 1
+    pinModeRef.current = false
+    mapInstanceRef.current?.setOptions({ draggableCursor: null })
+
+    setIsNavigating(false)
+    setLiveLocation(null)
+    setDirections(null)
+    setRouteInfo(null)
+    setSelectedPlace(null)
+    setPlaces([])
+    setMorePlaces([])
+    setLoadingMore(false)
+    setSearchRadius(null)
+    setError(null)
+    setLoading(true)
+    setLocating(false)
+    setLocationError(null)
+    setPinMode(false)
+    setLocationPickerOpen(false)
+    setUserLocation(location)
+  }, [])
+
+  // Ask for the device position; if it can't be had, ask the user where they are instead
+  const requestGpsLocation = async () => {
+    setLocating(true)
+    try {
+      changeLocation(await getGpsLocation())
+    } catch (err) {
+      setLocationError(err.code)
+      setLocating(false)
+      setLocationPickerOpen(true)
+      setMobileSheetOpen(true)
+      if (!userLocation) setLoading(false)
+    }
+  }
+
+  // The next tap on the map becomes the search location
+  const startPinDrop = () => {
+    pinModeRef.current = true
+    setPinMode(true)
+    setMobileSheetOpen(false)
+    mapInstanceRef.current?.setOptions({ draggableCursor: 'crosshair' })
+  }
+
+  const cancelPinDrop = () => {
+    pinModeRef.current = false
+    setPinMode(false)
+    mapInstanceRef.current?.setOptions({ draggableCursor: null })
   }
 
   // Load Google Maps and get user location
   useEffect(() => {
     if (!GOOGLE_MAPS_KEY) {
-      setError('Google Maps API key is not configured')
+      setError(t('map.errors.noApiKey'))
       setLoading(false)
       return
     }
@@ -121,259 +337,343 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
         }
 
         const script = document.createElement('script')
-        script.src = `https://maps.googleapis.com/maps/api/js?key=${GOOGLE_MAPS_KEY}&libraries=places`
+        // Map labels follow the UI language chosen when the script first loads
+        script.src = `https://maps.googleapis.com/maps/api/js?key=${GOOGLE_MAPS_KEY}&libraries=places&language=${locale}`
         script.async = true
         script.onload = resolve
-        script.onerror = () => reject(new Error('Failed to load Google Maps'))
+        script.onerror = () => reject(new Error(t('map.errors.loadFailed')))
         document.head.appendChild(script)
       })
     }
 
-    // Get user location
-    const getUserLocation = () => {
-      return new Promise((resolve) => {
-        if (!navigator.geolocation) {
-          resolve({ lat: 28.6139, lng: 77.2090 }) // Default Delhi
-          return
-        }
-
-        navigator.geolocation.getCurrentPosition(
-          (position) => {
-            resolve({
-              lat: position.coords.latitude,
-              lng: position.coords.longitude
-            })
-          },
-          () => {
-            resolve({ lat: 28.6139, lng: 77.2090 }) // Default Delhi on error
-          },
-          { enableHighAccuracy: true, timeout: 5000, maximumAge: 0 }
-        )
-      })
-    }
-
     // Initialize everything
     const init = async () => {
       try {
         await loadGoogleMaps()
-        const location = await getUserLocation()
-        setUserLocation(location)
+        setMapsReady(true)
+        requestGpsLocation()
       } catch (err) {
         setError(err.message)
         setLoading(false)
+        setLocating(false)
       }
     }
 
     init()
   }, [GOOGLE_MAPS_KEY])
 
-  // Initialize map and search when we have location
+  // Saved places (home, work, a relative's house...) from the user's profile
+  useEffect(() => {
+    if (!currentUser) return
+    let cancelled = false
+    getSavedPlaces(currentUser.uid).then((places) => {
+      if (!cancelled) setSavedPlaces(places)
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [currentUser])
+
+  // Store the origin with the search it was used for
+  useEffect(() => {
+    if (!userLocation || !searchId || !currentUser) return
+    // Already logged by the service; the map works the same without it
+    updateSearchOrigin(searchId, toSearchOrigin(userLocation)).catch(() => {})
+  }, [userLocation, searchId, currentUser])
+
+  const handleSavePlace = async (details) => {
+    const places = [...savedPlaces, createSavedPlace(userLocation, details)]
+    await saveSavedPlaces(currentUser.uid, places)
+    setSavedPlaces(places)
+  }
+
+  const handleRemovePlace = async (placeId) => {
+    const places = savedPlaces.filter((place) => place.id !== placeId)
+    await saveSavedPlaces(currentUser.uid, places)
+    setSavedPlaces(places)
+  }
+
+  // Create the map once Google Maps has loaded
   useEffect(() => {
-    if (!userLocation || !window.google?.maps || !mapRef.current || !triageResult) return
-
-    // Dark mode map styles
-    const darkModeStyles = [
-      { elementType: "geometry", stylers: [{ color: "#212121" }] },
-      { elementType: "labels.icon", stylers: [{ visibility: "off" }] },
-      { elementType: "labels.text.fill", stylers: [{ color: "#757575" }] },
-      { elementType: "labels.text.stroke", stylers: [{ color: "#212121" }] },
-      { featureType: "administrative", elementType: "geometry", stylers: [{ color: "#757575" }] },
-      { featureType: "administrative.country", elementType: "labels.text.fill", stylers: [{ color: "#9e9e9e" }] },
-      { featureType: "administrative.land_parcel", stylers: [{ visibility: "off" }] },
-      { featureType: "administrative.locality", elementType: "labels.text.fill", stylers: [{ color: "#bdbdbd" }] },
-      { featureType: "poi", elementType: "labels.text.fill", stylers: [{ color: "#757575" }] },
-      { featureType: "poi.park", elementType: "geometry", stylers: [{ color: "#181818" }] },
-      { featureType: "poi.park", elementType: "labels.text.fill", stylers: [{ color: "#616161" }] },
-      { featureType: "poi.park", elementType: "labels.text.stroke", stylers: [{ color: "#1b1b1b" }] },
-      { featureType: "road", elementType: "geometry.fill", stylers: [{ color: "#2c2c2c" }] },
-      { featureType: "road", elementType: "labels.text.fill", stylers: [{ color: "#8a8a8a" }] },
-      { featureType: "road.arterial", elementType: "geometry", stylers: [{ color: "#373737" }] },
-      { featureType: "road.highway", elementType: "geometry", stylers: [{ color: "#3c3c3c" }] },
-      { featureType: "road.highway.controlled_access", elementType: "geometry", stylers: [{ color: "#4e4e4e" }] },
-      { featureType: "road.local", elementType: "labels.text.fill", stylers: [{ color: "#616161" }] },
-      { featureType: "transit", elementType: "labels.text.fill", stylers: [{ color: "#757575" }] },
-      { featureType: "water", elementType: "geometry", stylers: [{ color: "#000000" }] },
-      { featureType: "water", elementType: "labels.text.fill", stylers: [{ color: "#3d3d3d" }] },
-    ]
-
-    // Create map
+    if (!mapsReady || !mapRef.current) return
+    const styles = isDarkMode ? DARK_MAP_STYLES : []
+
+    if (mapInstanceRef.current) {
+      mapInstanceRef.current.setOptions({ styles })
+      return
+    }
+
+    // Starts on a view of the whole country until there is a location
     const map = new window.google.maps.Map(mapRef.current, {
-      center: userLocation,
-      zoom: 13,
+      center: DEFAULT_MAP_VIEW.center,
+      zoom: DEFAULT_MAP_VIEW.zoom,
       disableDefaultUI: false,
       zoomControl: true,
       mapTypeControl: false,
       streetViewControl: false,
-      styles: isDarkMode ? darkModeStyles : [],
+      styles,
     })
 
     mapInstanceRef.current = map
 
-    // Add user marker
-    new window.google.maps.Marker({
-      position: userLocation,
-      map: map,
-      title: 'Your Location',
-      icon: {
-        path: window.google.maps.SymbolPath.CIRCLE,
-        scale: 10,
-        fillColor: '#3b82f6',
-        fillOpacity: 1,
-        strokeColor: '#ffffff',
-        strokeWeight: 3,
-      },
+    map.addListener('click', (event) => {
+      if (!pinModeRef.current) return
+      changeLocation({
+        lat: event.latLng.lat(),
+        lng: event.latLng.lng(),
+        source: 'pin',
+        accuracy: null,
+        label: null,
+      })
+    })
+  }, [mapsReady, isDarkMode, changeLocation])
+
+  // Open/closed status, phone, website and accessibility for a place about to be shown
+  const fetchPlaceDetails = useCallback((place) => {
+    if (place.hasDetails) return Promise.resolve(place)
+    const service = new window.google.maps.places.PlacesService(mapInstanceRef.current)
+    return new Promise((resolve) => {
+      service.getDetails(
+        { placeId: place.place_id, fields: ['opening_hours', 'formatted_phone_number', 'business_status', 'utc_offset_minutes', 'website', 'url', 'wheelchair_accessible_entrance'] },
+        (details, status) => {
+          if (status === window.google.maps.places.PlacesServiceStatus.OK && details) {
+            let isOpen = null
+            
+            // Only set isOpen if we have actual opening_hours data with isOpen method
+            if (details.opening_hours && typeof details.opening_hours.isOpen === 'function') {
+              try {
+                isOpen = details.opening_hours.isOpen()
+              } catch (e) {
+                isOpen = null
+              }
+            }
+            
+            resolve({
+              ...place,
+              hasDetails: true,
+              isOpen: isOpen,
+              isOpen24h: isOpen24Hours(details.opening_hours),
+              wheelchairAccessible: details.wheelchair_accessible_entrance ?? null,
+              formatted_phone_number: details.formatted_phone_number || null,
+              business_status: details.business_status,
+              website: details.website || null,
+              url: details.url || null // Google Maps URL
+            })
+          } else {
+            resolve({ ...place, hasDetails: true, isOpen: null })
+          }
+        }
+      )
     })
+  }, [])
 
-    // Search for places
-    const service = new window.google.maps.places.PlacesService(map)
-    const radius = getSearchRadius()
+  // Next page of facilities from ranked candidates: details for a few extra so open places come first
+  const takePlacesPage = useCallback(async (queue, count) => {
+    // 3 facilities for emergencies, 5 otherwise, unless a count is given
+    const pageSize = count ?? (urgency === 'emergency' ? 3 : 5)
+    const batch = queue.slice(0, pageSize + 3) // Get a few extra to filter
+    const placesWithDetails = await Promise.all(batch.map(fetchPlaceDetails))
+
+    // Sort with open/closed info; closed places are left out in an emergency
+    const sorted = rankPlaces(placesWithDetails, urgency)
+      .filter(place => urgency !== 'emergency' || place.isOpen !== false)
+
+    return {
+      page: sorted.slice(0, pageSize),
+      // Extras that were checked but not shown lead the next page
+      rest: [...sorted.slice(pageSize), ...queue.slice(batch.length)],
+    }
+  }, [urgency, fetchPlaceDetails])
+
+  // Numbered markers, continuing after the ones already on the map
+  const addPlaceMarkers = useCallback((newPlaces) => {
+    const map = mapInstanceRef.current
+    const start = markersRef.current.length
+
+    newPlaces.forEach((place, index) => {
+      const marker = new window.google.maps.Marker({
+        position: place.geometry.location,
+        map: map,
+        title: place.name,
+        label: {
+          text: String(start + index + 1),
+          color: '#ffffff',
+          fontWeight: 'bold',
+        },
+      })
+
+      // Lets the filters show and hide the marker
+      marker.set('placeId', place.place_id)
+
+      const infoWindow = new window.google.maps.InfoWindow({
+        content: `<div style="color:#000;padding:8px"><strong>${place.name}</strong><br/>${place.vicinity || ''}</div>`
+      })
+
+      marker.addListener('click', () => {
+        infoWindow.open(map, marker)
+        setSelectedPlace(place)
+      })
+
+      markersRef.current.push(marker)
+    })
+  }, [])
+
+  const fitMapToPlaces = useCallback((origin) => {
+    const bounds = new window.google.maps.LatLngBounds()
+    bounds.extend(origin)
+    markersRef.current.forEach(marker => bounds.extend(marker.getPosition()))
+    mapInstanceRef.current.fitBounds(bounds, 50)
+  }, [])
+
+  // "Load more": the next page of the ranked facilities
+  const loadMorePlaces = async () => {
+    const run = searchRunRef.current
+    setLoadingMore(true)
+    let result = await takePlacesPage(morePlaces)
+    // In an emergency a whole batch can be closed
+    while (!result.page.length && result.rest.length) {
+      result = await takePlacesPage(result.rest)
+    }
+    // Dropped if the location changed meanwhile
+    if (run !== searchRunRef.current) return
+
+    setPlaces((current) => [...current, ...result.page])
+    setMorePlaces(result.rest)
+    addPlaceMarkers(result.page)
+    fitMapToPlaces(userLocation)
+    setLoadingMore(false)
+  }
+
+  // Keep the search's translations current
+  useEffect(() => {
+    tRef.current = t
+  })
+
+  // Search when we have a location
+  useEffect(() => {
+    const map = mapInstanceRef.current
+    if (!userLocation || !map || !triageResult) return
+
+    // Results of a search from a previous location are dropped
+    let cancelled = false
+    const origin = { lat: userLocation.lat, lng: userLocation.lng }
+
+    // Add user marker
+    if (!locationMarkerRef.current) {
+      locationMarkerRef.current = new window.google.maps.Marker({
+        map: map,
+        title: tRef.current('map.yourLocation'),
+        icon: {
+          path: window.google.maps.SymbolPath.CIRCLE,
+          scale: 10,
+          fillColor: '#3b82f6',
+          fillOpacity: 1,
+          strokeColor: '#ffffff',
+          strokeWeight: 3,
+        },
+      })
+    }
+    locationMarkerRef.current.setPosition(origin)
+    map.setCenter(origin)
+    map.setZoom(13)
 
     // Build search query
     const keywords = triageResult.search_keywords || []
     const query = [...keywords, triageResult.department, 'hospital'].filter(Boolean).join(' ')
 
-    const request = {
-      location: new window.google.maps.LatLng(userLocation.lat, userLocation.lng),
-      radius: radius,
-      query: query || 'hospital near me',
-    }
-
-    service.textSearch(request, (results, status) => {
-      if (status === window.google.maps.places.PlacesServiceStatus.OK && results) {
-        processResults(results, map)
-      } else {
-        // Fallback: nearby search for hospitals
-        service.nearbySearch({
-          location: new window.google.maps.LatLng(userLocation.lat, userLocation.lng),
-          radius: radius,
-          type: 'hospital',
-        }, (nearbyResults, nearbyStatus) => {
-          if (nearbyStatus === window.google.maps.places.PlacesServiceStatus.OK && nearbyResults) {
-            processResults(nearbyResults, map)
-          } else {
-            setError('No hospitals found nearby')
-            setLoading(false)
-          }
+    const service = new window.google.maps.places.PlacesService(map)
+    const location = new window.google.maps.LatLng(origin.lat, origin.lng)
+    const isOk = (status) => status === window.google.maps.places.PlacesServiceStatus.OK
+
+    const toCandidates = (results, radius) => results
+      .filter(p => p.geometry?.location)
+      .map(place => {
+        const lat = place.geometry.location.lat()
+        const lng = place.geometry.location.lng()
+        const candidate = { ...place, distance: calculateDistance(origin.lat, origin.lng, lat, lng), isOpen: null, facilityType: getFacilityType(place) }
+        return { ...candidate, score: calculateScore(candidate, triageResult.urgency) }
+      })
+      // Text search only prefers the radius, so results further away are dropped here
+      .filter(place => place.distance <= radius / 1000)
+
+    // Places within the radius for the triage keywords, falling back to any hospital nearby
+    const searchPlaces = (radius) => new Promise((resolve) => {
+      service.textSearch({ location, radius, query: query || 'hospital near me' }, (results, status) => {
+        const candidates = isOk(status) && results ? toCandidates(results, radius) : []
+        if (candidates.length) {
+          resolve(candidates)
+          return
+        }
+        service.nearbySearch({ location, radius, type: 'hospital' }, (nearbyResults, nearbyStatus) => {
+          resolve(isOk(nearbyStatus) && nearbyResults ? toCandidates(nearbyResults, radius) : [])
         })
-      }
+      })
     })
 
-    function processResults(results, map) {
-      // Clear old markers
-      markersRef.current.forEach(m => m.setMap(null))
-      markersRef.current = []
-
-      const service = new window.google.maps.places.PlacesService(map)
-
-      // Calculate scores and sort
-      const initialScored = results
-        .filter(p => p.geometry?.location)
-        .map(place => {
-          const lat = place.geometry.location.lat()
-          const lng = place.geometry.location.lng()
-          const distance = calculateDistance(userLocation.lat, userLocation.lng, lat, lng)
-          const score = calculateScore(place, distance)
-          return { ...place, distance, score, isOpen: null }
-        })
+    // Shortlist by straight-line distance, then rank by actual travel time
+    const rankCandidates = async (candidates) => {
+      const shortlist = candidates
         .sort((a, b) => b.score - a.score)
-        .slice(0, triageResult?.urgency === 'emergency' ? 6 : 8) // Get a few extra to filter
-
-      // Fetch details for each place to get open/closed status
-      const detailsPromises = initialScored.map(place => {
-        return new Promise((resolve) => {
-          service.getDetails(
-            { placeId: place.place_id, fields: ['opening_hours', 'formatted_phone_number', 'business_status', 'utc_offset_minutes', 'website', 'url'] },
-            (details, status) => {
-              if (status === window.google.maps.places.PlacesServiceStatus.OK && details) {
-                let isOpen = null
-                
-                // Only set isOpen if we have actual opening_hours data with isOpen method
-                if (details.opening_hours && typeof details.opening_hours.isOpen === 'function') {
-                  try {
-                    isOpen = details.opening_hours.isOpen()
-                  } catch (e) {
-                    isOpen = null
-                  }
-                }
-                
-                resolve({
-                  ...place,
-                  isOpen: isOpen,
-                  formatted_phone_number: details.formatted_phone_number || null,
-                  business_status: details.business_status,
-                  website: details.website || null,
-                  url: details.url || null // Google Maps URL
-                })
-              } else {
-                resolve({ ...place, isOpen: null })
-              }
-            }
-          )
-        })
-      })
+        .slice(0, TRAVEL_TIME_CANDIDATES)
+      const withTimes = await withTravelTimes(origin, shortlist, travelModeRef.current)
+      return withTimes
+        .map(place => ({ ...place, score: calculateScore(place, triageResult.urgency) }))
+        .sort((a, b) => b.score - a.score)
+    }
 
-      Promise.all(detailsPromises).then(placesWithDetails => {
-        // Sort and filter with open/closed info
-        const finalPlaces = placesWithDetails
-          .sort((a, b) => {
-            if (triageResult?.urgency === 'emergency') {
-              if (a.isOpen === true && b.isOpen !== true) return -1
-              if (b.isOpen === true && a.isOpen !== true) return 1
-            }
-            if (a.isOpen === true && b.isOpen === false) return -1
-            if (a.isOpen === false && b.isOpen === true) return 1
-            return b.score - a.score
-          })
-          .filter(place => {
-            if (triageResult?.urgency === 'emergency') {
-              return place.isOpen !== false
-            }
-            return true
-          })
-          .slice(0, triageResult?.urgency === 'emergency' ? 3 : 5)
-
-        setPlaces(finalPlaces)
-
-        // Add markers
-        const bounds = new window.google.maps.LatLngBounds()
-        bounds.extend(userLocation)
-
-        finalPlaces.forEach((place, index) => {
-          const marker = new window.google.maps.Marker({
-            position: place.geometry.location,
-            map: map,
-            title: place.name,
-            label: {
-              text: String(index + 1),
-              color: '#ffffff',
-              fontWeight: 'bold',
-            },
-          })
-
-          bounds.extend(place.geometry.location)
-
-          const infoWindow = new window.google.maps.InfoWindow({
-            content: `<div style="color:#000;padding:8px"><strong>${place.name}</strong><br/>${place.vicinity || ''}</div>`
-          })
-
-          marker.addListener('click', () => {
-            infoWindow.open(map, marker)
-            setSelectedPlace(place)
-          })
-
-          markersRef.current.push(marker)
-        })
+    // Rural listings often have no hours, so only places known to be closed don't count
+    const countAvailable = (page) => page.filter(place => place.isOpen !== false).length
+
+    // Widen the radius step by step until enough facilities that may be open are found
+    const run = async () => {
+      let result = { page: [], rest: [] }
+      let usedRadius = null
+      for (const radius of getRadiusSteps(triageResult.urgency)) {
+        const candidates = await searchPlaces(radius)
+        if (cancelled) return
+        if (!candidates.length) continue
+
+        const ranked = await rankCandidates(candidates)
+        if (cancelled) return
+        const next = await takePlacesPage(ranked)
+        if (cancelled) return
+        // Nearer results are kept unless the wider radius adds facilities that may be open
+        if (!result.page.length || countAvailable(next.page) > countAvailable(result.page)) {
+          result = next
+          usedRadius = radius
+        }
+        if (countAvailable(result.page) >= MIN_OPEN_FACILITIES) break
+      }
 
-        map.fitBounds(bounds, 50)
+      if (!result.page.length) {
+        setError(tRef.current('map.errors.noneFound'))
         setLoading(false)
-      })
+        return
+      }
+
+      setPlaces(result.page)
+      setMorePlaces(result.rest)
+      setSearchRadius(usedRadius)
+      addPlaceMarkers(result.page)
+      fitMapToPlaces(origin)
+      setLoading(false)
     }
 
-  }, [userLocation, triageResult, isDarkMode])
+    // Clear old markers
+    markersRef.current.forEach(m => m.setMap(null))
+    markersRef.current = []
+    searchRunRef.current += 1
+    run()
+
+    return () => {
+      cancelled = true
+    }
+  }, [userLocation, triageResult, takePlacesPage, addPlaceMarkers, fitMapToPlaces])
 
-  // Show directions on map
-  const showDirections = (place) => {
-    if (!mapInstanceRef.current || !userLocation) return
+  // Show directions on map, from the search location unless another origin is given (live navigation)
+  const showDirections = (place, from = null, mode = travelMode) => {
+    const origin = from || userLocation
+    if (!mapInstanceRef.current || !origin) return
 
     const directionsService = new window.google.maps.DirectionsService()
 
@@ -391,9 +691,9 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
     }
 
     const request = {
-      origin: new window.google.maps.LatLng(userLocation.lat, userLocation.lng),
+      origin: new window.google.maps.LatLng(origin.lat, origin.lng),
       destination: place.geometry.location,
-      travelMode: window.google.maps.TravelMode.DRIVING,
+      travelMode: window.google.maps.TravelMode[mode],
     }
 
     directionsService.route(request, (result, status) => {
@@ -479,7 +779,7 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
       },
       (error) => {
         console.error('Geolocation error:', error)
-        setError('Unable to track location. Please enable GPS.')
+        setError(t('map.errors.trackingFailed'))
         stopNavigation()
       },
       {
@@ -509,6 +809,12 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
     }
   }
 
+  // Markers follow the filters
+  useEffect(() => {
+    const visibleIds = new Set(filterPlaces(places, filters).map(place => place.place_id))
+    markersRef.current.forEach(marker => marker.setVisible(visibleIds.has(marker.get('placeId'))))
+  }, [places, filters])
+
   // Cleanup navigation on unmount
   useEffect(() => {
     return () => {
@@ -526,6 +832,83 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
   }, [travelMode])
 
   const urgencyColors = getUrgencyColor()
+  const [crisisLine] = getCrisisLines()
+
+  // Active location source and accuracy, shown in the desktop panel and the mobile sheet
+  const locationSummary = userLocation && (
+    <div className={`mt-3 flex items-start justify-between gap-2 rounded-xl ${cardBgClass} px-3 py-2 ring-1 ${ringNeutral}`}>
+      <div className="min-w-0 text-xs">
+        <p className={`font-medium ${panelTextClass}`}>
+          {userLocation.source === 'saved'
+            ? SAVED_PLACE_KINDS.find((kind) => kind.value === userLocation.kind)?.icon
+            : LOCATION_SOURCE_ICONS[userLocation.source]} {t(`map.location.source.${userLocation.source}`)}
+        </p>
+        <p className={`truncate ${panelSubtextClass}`}>
+          {[userLocation.label, describeLocationAccuracy(userLocation)].filter(Boolean).join(' · ')}
+        </p>
+      </div>
+      <button
+        type="button"
+        onClick={() => setLocationPickerOpen(!locationPickerOpen)}
+        className="shrink-0 text-xs font-medium text-sky-500 hover:text-sky-400"
+      >
+        {t('map.location.change')}
+      </button>
+    </div>
+  )
+
+  const facilityFilters = (
+    <FacilityFilters
+      filters={filters}
+      onChange={setFilters}
+      matchCount={sortedPlaces.length}
+      totalCount={places.length}
+      isDarkMode={isDarkMode}
+      showEmergencyNote={triageResult.urgency === 'emergency'}
+    />
+  )
+
+  const radiusNote = searchRadius > getSearchRadius(urgency) && (
+    <p className={`mx-4 mt-3 rounded-xl p-3 text-xs ${isDarkMode ? 'bg-amber-500/10 text-amber-400' : 'bg-amber-50 text-amber-700'}`}>
+      {t('map.radiusExpanded', { count: MIN_OPEN_FACILITIES, from: getSearchRadius(urgency) / 1000, to: searchRadius / 1000 })}
+    </p>
+  )
+
+  const loadMoreButton = !loading && morePlaces.length > 0 && (
+    <button
+      type="button"
+      disabled={loadingMore}
+      onClick={loadMorePlaces}
+      className={`w-full rounded-xl py-2.5 text-sm font-medium ring-1 transition-colors disabled:opacity-50 ${cardBgClass} ${cardHoverClass} ${ringNeutral} ${panelTextClass}`}
+    >
+      {loadingMore ? t('map.loadingMore') : t('map.loadMore')}
+    </button>
+  )
+
+  const noFilterMatches = (
+    <div className={`m-4 rounded-xl ${cardBgClass} p-4 text-sm ring-1 ${ringNeutral} ${panelSubtextClass}`}>
+      {t('map.filters.noMatch')}{' '}
+      <button type="button" onClick={() => setFilters(EMPTY_FACILITY_FILTERS)} className="font-medium text-sky-500 hover:text-sky-400">
+        {t('map.filters.clear')}
+      </button>
+    </div>
+  )
+
+  const locationPicker = locationPickerOpen && (
+    <LocationPicker
+      isDarkMode={isDarkMode}
+      gpsError={locationError}
+      locating={locating}
+      onChange={changeLocation}
+      onUseGps={requestGpsLocation}
+      onDropPin={startPinDrop}
+      savedPlaces={currentUser ? savedPlaces : null}
+      currentLocation={userLocation}
+      onSavePlace={handleSavePlace}
+      onRemovePlace={handleRemovePlace}
+      onClose={userLocation ? () => setLocationPickerOpen(false) : null}
+    />
+  )
 
   if (!triageResult) {
     return (
@@ -547,7 +930,7 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
             animate={{ opacity: 1 }}
             transition={{ delay: 0.4 }}
           >
-            No Triage Result
+            {t('map.noResultTitle')}
           </motion.h2>
           <motion.p 
             className="text-white/60 mb-5 sm:mb-6 text-sm sm:text-base"
@@ -555,14 +938,14 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
             animate={{ opacity: 1 }}
             transition={{ delay: 0.5 }}
           >
-            Please describe your symptoms first.
+            {t('map.noResultBody')}
           </motion.p>
           <motion.div
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.95 }}
           >
             <Link to="/interaction" className="rounded-xl bg-sky-500 px-5 sm:px-6 py-2.5 sm:py-3 text-sm font-medium text-white hover:bg-sky-400 inline-block">
-              Go to Symptom Checker
+              {t('map.goToChecker')}
             </Link>
           </motion.div>
         </motion.div>
@@ -587,13 +970,23 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
             exit={{ y: -60, opacity: 0 }}
             transition={{ duration: 0.5, ease: [0.22, 1, 0.36, 1] }}
           >
-            <motion.span 
-              className="font-bold text-xs sm:text-sm"
-              animate={{ scale: [1, 1.02, 1] }}
-              transition={{ duration: 1, repeat: Infinity }}
-            >
-              ⚠️ EMERGENCY: Visit the nearest hospital immediately!
-            </motion.span>
+            {triageResult.crisis_risk ? (
+              // Crisis: lead with a one-tap crisis line rather than "go to a hospital"
+              <span className="text-xs sm:text-sm">
+                {t('map.crisisBanner')}{' '}
+                <a href={`tel:${crisisLine.number.replace(/[^\d+]/g, '')}`} className="font-bold underline">
+                  📞 {t(`crisis.line.${crisisLine.name}`, null, crisisLine.name)} {crisisLine.number}
+                </a>
+              </span>
+            ) : (
+              <motion.span 
+                className="font-bold text-xs sm:text-sm"
+                animate={{ scale: [1, 1.02, 1] }}
+                transition={{ duration: 1, repeat: Infinity }}
+              >
+                {t('map.emergencyBanner')}
+              </motion.span>
+            )}
           </motion.div>
         )}
       </AnimatePresence>
@@ -606,7 +999,10 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
         transition={{ duration: 0.6, ease: [0.22, 1, 0.36, 1] }}
       >
         <div className={`border-b ${borderClass} p-4`}>
-          <h2 className={`text-xl font-semibold ${panelTextClass}`}>Recommended Facilities</h2>
+          <div className="flex items-center justify-between gap-2">
+            <h2 className={`text-xl font-semibold ${panelTextClass}`}>{t('map.recommended')}</h2>
+            <LanguageSelector className={`${cardBgClass} ${panelTextClass} ring-1 ${ringNeutral}`} />
+          </div>
           <div className="mt-2 flex items-center gap-2">
             <motion.span 
               className={`rounded-full px-3 py-1 text-xs font-medium text-white ${urgencyColors.bg}`}
@@ -614,12 +1010,19 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
               animate={{ scale: 1 }}
               transition={{ type: "spring", stiffness: 300, delay: 0.3 }}
             >
-              {triageResult.urgency?.toUpperCase()}
+              {tTriage('urgency', triageResult.urgency)?.toUpperCase()}
             </motion.span>
             <span className={`text-sm ${panelSubtextClass}`}>
-              {triageResult.specialist} • {triageResult.department}
+              {tTriage('specialist', triageResult.specialist)} • {tTriage('department', triageResult.department)}
             </span>
           </div>
+          {triageResult.offline && (
+            <p className={`mt-2 text-xs ${isDarkMode ? 'text-amber-400' : 'text-amber-600'}`}>
+              {t('map.offlineNote')}
+            </p>
+          )}
+          {locationSummary}
+          {locationPicker}
         </div>
 
         {/* Loading */}
@@ -636,7 +1039,7 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                 animate={{ rotate: 360 }}
                 transition={{ duration: 1, repeat: Infinity, ease: "linear" }}
               />
-              <p className={`mt-4 ${panelSubtextClass}`}>Searching nearby facilities...</p>
+              <p className={`mt-4 ${panelSubtextClass}`}>{locating ? t('map.location.locating') : t('map.searching')}</p>
             </motion.div>
           )}
         </AnimatePresence>
@@ -655,7 +1058,17 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
           )}
         </AnimatePresence>
 
+        {!loading && radiusNote}
+
+        {/* Filters */}
+        {!loading && places.length > 0 && (
+          <div className={`border-b ${borderClass} px-4 py-3`}>
+            {facilityFilters}
+          </div>
+        )}
+
         {/* Results */}
+        {!loading && places.length > 0 && !sortedPlaces.length && noFilterMatches}
         <AnimatePresence>
           {!loading && places.length > 0 && (
             <motion.div 
@@ -689,7 +1102,7 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                         animate={{ scale: 1 }}
                         transition={{ type: "spring", delay: 0.2 }}
                       >
-                        Open
+                        {t('map.open')}
                       </motion.span>
                     )}
                     {place.isOpen === false && (
@@ -699,12 +1112,12 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                         animate={{ scale: 1 }}
                         transition={{ type: "spring", delay: 0.2 }}
                       >
-                        Closed
+                        {t('map.closed')}
                       </motion.span>
                     )}
                     {place.isOpen === null && (
                       <span className="text-xs font-medium px-2 py-1 rounded-full bg-gray-100 text-gray-500">
-                        Hours N/A
+                        {t('map.hoursNA')}
                       </span>
                     )}
                   </div>
@@ -727,6 +1140,9 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                       <span className="text-yellow-600">⭐ {place.rating.toFixed(1)}</span>
                     )}
                     <span className={panelSubtextClass}>📍 {place.distance.toFixed(1)} km</span>
+                    {place.travelTime && (
+                      <span className={panelSubtextClass}>{TRAVEL_MODE_ICONS[place.travelTime.mode]} {place.travelTime.text}</span>
+                    )}
                   </div>
 
                   {/* Dynamic button: Get Directions -> Start Navigation -> Stop Navigation */}
@@ -738,7 +1154,7 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                         whileHover={{ scale: 1.02, boxShadow: "0 10px 30px -5px rgba(34, 197, 94, 0.4)" }}
                         whileTap={{ scale: 0.98 }}
                       >
-                        Start Navigation
+                        {t('map.startNavigation')}
                       </motion.button>
                     ) : (
                       <motion.button
@@ -747,7 +1163,7 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                         whileHover={{ scale: 1.02, boxShadow: "0 10px 30px -5px rgba(239, 68, 68, 0.4)" }}
                         whileTap={{ scale: 0.98 }}
                       >
-                        ⏹ Stop Navigation
+                        ⏹ {t('map.stopNavigation')}
                       </motion.button>
                     )
                   ) : (
@@ -757,13 +1173,13 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                       whileHover={{ scale: 1.02, boxShadow: "0 5px 20px -5px rgba(14, 165, 233, 0.4)" }}
                       whileTap={{ scale: 0.98 }}
                     >
-                      Get Directions
+                      {t('map.getDirections')}
                     </motion.button>
                   )}
 
                   {/* Book Appointment Section */}
                   <div className={`mt-3 pt-3 border-t ${borderClass}`}>
-                    <p className={`text-xs font-medium mb-2 ${panelSubtextClass}`}>Book Appointment</p>
+                    <p className={`text-xs font-medium mb-2 ${panelSubtextClass}`}>{t('map.bookAppointment')}</p>
                     {(place.formatted_phone_number || place.website || place.url) ? (
                       <div className="flex flex-wrap gap-2">
                         {place.formatted_phone_number && (
@@ -774,7 +1190,7 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                             whileHover={{ scale: 1.05 }}
                             whileTap={{ scale: 0.95 }}
                           >
-                            📞 Call Now
+                            {t('map.callNow')}
                           </motion.a>
                         )}
                         {place.website && (
@@ -787,7 +1203,7 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                             whileHover={{ scale: 1.05 }}
                             whileTap={{ scale: 0.95 }}
                           >
-                            🌐 Visit Website
+                            {t('map.visitWebsite')}
                           </motion.a>
                         )}
                         {place.url && (
@@ -800,18 +1216,19 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                             whileHover={{ scale: 1.05 }}
                             whileTap={{ scale: 0.95 }}
                           >
-                            🧾 Book via Google
+                            {t('map.bookViaGoogle')}
                           </motion.a>
                         )}
                       </div>
                     ) : (
                       <p className={`text-xs italic ${panelSubtextClass}`}>
-                        Please contact the hospital reception for appointment.
+                        {t('map.contactReception')}
                       </p>
                     )}
                   </div>
                 </motion.div>
               ))}
+              {loadMoreButton}
             </motion.div>
           )}
         </AnimatePresence>
@@ -827,14 +1244,14 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
               transition={{ duration: 0.4 }}
             >
               <div className="flex items-center justify-between mb-3">
-                <h3 className={`text-sm font-medium ${panelTextClass}`}>Directions to {selectedPlace?.name}</h3>
+                <h3 className={`text-sm font-medium ${panelTextClass}`}>{t('map.directionsTo', { name: selectedPlace?.name })}</h3>
                 <motion.button
                   onClick={clearDirections}
                   className={`text-xs ${panelSubtextClass} hover:text-gray-600`}
                   whileHover={{ scale: 1.1 }}
                   whileTap={{ scale: 0.9 }}
                 >
-                  ✕ Clear
+                  ✕ {t('map.clear')}
                 </motion.button>
               </div>
 
@@ -842,7 +1259,7 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
               <div className="flex gap-2 mb-3">
                 <motion.button
                   onClick={() => {
-                    setTravelMode('DRIVING')
+                    changeTravelMode('DRIVING')
                     if (!isNavigating && selectedPlace) showDirections(selectedPlace, null, 'DRIVING')
                   }}
                   className={`flex-1 flex items-center justify-center gap-2 py-2 rounded-lg text-xs font-medium transition-all ${
@@ -852,11 +1269,11 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                   }`}
                   whileTap={{ scale: 0.95 }}
                 >
-                  🚗 Car
+                  {t('map.car')}
                 </motion.button>
                 <motion.button
                   onClick={() => {
-                    setTravelMode('BICYCLING')
+                    changeTravelMode('BICYCLING')
                     if (!isNavigating && selectedPlace) showDirections(selectedPlace, null, 'BICYCLING')
                   }}
                   className={`flex-1 flex items-center justify-center gap-2 py-2 rounded-lg text-xs font-medium transition-all ${
@@ -866,11 +1283,11 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                   }`}
                   whileTap={{ scale: 0.95 }}
                 >
-                  🚴 Bike
+                  {t('map.bike')}
                 </motion.button>
                 <motion.button
                   onClick={() => {
-                    setTravelMode('WALKING')
+                    changeTravelMode('WALKING')
                     if (!isNavigating && selectedPlace) showDirections(selectedPlace, null, 'WALKING')
                   }}
                   className={`flex-1 flex items-center justify-center gap-2 py-2 rounded-lg text-xs font-medium transition-all ${
@@ -880,7 +1297,7 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                   }`}
                   whileTap={{ scale: 0.95 }}
                 >
-                  🚶 Walk
+                  {t('map.walk')}
                 </motion.button>
               </div>
               
@@ -892,7 +1309,7 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                   transition={{ delay: 0.1 }}
                 >
                   <p className="text-lg font-bold text-sky-600">{routeInfo.distance}</p>
-                  <p className={`text-xs ${panelSubtextClass}`}>Distance</p>
+                  <p className={`text-xs ${panelSubtextClass}`}>{t('map.distance')}</p>
                 </motion.div>
                 <motion.div 
                   className={`rounded-lg px-3 py-2 text-center flex-1 ${isDarkMode ? 'bg-neutral-800' : 'bg-green-100'}`}
@@ -901,7 +1318,7 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                   transition={{ delay: 0.2 }}
                 >
                   <p className="text-lg font-bold text-green-600">{routeInfo.duration}</p>
-                  <p className={`text-xs ${panelSubtextClass}`}>Duration</p>
+                  <p className={`text-xs ${panelSubtextClass}`}>{t('map.duration')}</p>
                 </motion.div>
               </div>
 
@@ -917,7 +1334,7 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
                   </svg>
-                  Start Navigation
+                  {t('map.startNavigation')}
                 </motion.button>
               ) : (
                 <motion.button
@@ -932,7 +1349,7 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 10a1 1 0 011-1h4a1 1 0 011 1v4a1 1 0 01-1 1h-4a1 1 0 01-1-1v-4z" />
                   </svg>
-                  Stop Navigation
+                  {t('map.stopNavigation')}
                 </motion.button>
               )}
 
@@ -949,8 +1366,8 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                     transition={{ duration: 1.5, repeat: Infinity }}
                   />
                   <div>
-                    <p className={`text-sm font-medium ${isDarkMode ? 'text-blue-400' : 'text-blue-700'}`}>Live Navigation Active</p>
-                    <p className={`text-xs ${isDarkMode ? 'text-blue-400/70' : 'text-blue-600'}`}>Following your location • {travelMode === 'DRIVING' ? '🚗 Driving' : travelMode === 'BICYCLING' ? '🚴 Cycling' : '🚶 Walking'}</p>
+                    <p className={`text-sm font-medium ${isDarkMode ? 'text-blue-400' : 'text-blue-700'}`}>{t('map.liveNavigation')}</p>
+                    <p className={`text-xs ${isDarkMode ? 'text-blue-400/70' : 'text-blue-600'}`}>{t('map.followingLocation')} • {travelMode === 'DRIVING' ? t('map.driving') : travelMode === 'BICYCLING' ? t('map.cycling') : t('map.walking')}</p>
                   </div>
                 </motion.div>
               )}
@@ -985,7 +1402,7 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
           animate={{ opacity: 1 }}
           transition={{ delay: 0.5 }}
         >
-          <h3 className={`mb-3 text-sm font-medium ${panelSubtextClass}`}>Triage Summary</h3>
+          <h3 className={`mb-3 text-sm font-medium ${panelSubtextClass}`}>{t('map.triageSummary')}</h3>
           <div className="space-y-2 text-sm">
             <motion.div 
               className="flex justify-between"
@@ -993,8 +1410,8 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
               animate={{ opacity: 1, x: 0 }}
               transition={{ delay: 0.6 }}
             >
-              <span className={panelSubtextClass}>Specialist</span>
-              <span className="text-indigo-600">{triageResult.specialist}</span>
+              <span className={panelSubtextClass}>{t('fields.specialist')}</span>
+              <span className="text-indigo-600">{tTriage('specialist', triageResult.specialist)}</span>
             </motion.div>
             <motion.div 
               className="flex justify-between"
@@ -1002,8 +1419,8 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
               animate={{ opacity: 1, x: 0 }}
               transition={{ delay: 0.7 }}
             >
-              <span className={panelSubtextClass}>Department</span>
-              <span className="text-sky-600">{triageResult.department}</span>
+              <span className={panelSubtextClass}>{t('fields.department')}</span>
+              <span className="text-sky-600">{tTriage('department', triageResult.department)}</span>
             </motion.div>
             <motion.div 
               className="flex justify-between"
@@ -1011,8 +1428,8 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
               animate={{ opacity: 1, x: 0 }}
               transition={{ delay: 0.8 }}
             >
-              <span className={panelSubtextClass}>Search Radius</span>
-              <span className={isDarkMode ? 'text-white/80' : 'text-gray-700'}>{getSearchRadius() / 1000} km</span>
+              <span className={panelSubtextClass}>{t('map.searchRadius')}</span>
+              <span className={isDarkMode ? 'text-white/80' : 'text-gray-700'}>{(searchRadius || getSearchRadius(urgency)) / 1000} km</span>
             </motion.div>
           </div>
         </motion.div>
@@ -1027,6 +1444,18 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
         transition={{ duration: 0.6, delay: 0.3 }}
       >
         <div ref={mapRef} className="h-full w-full" />
+
+        {/* Pin drop hint */}
+        {pinMode && (
+          <div className={`absolute bottom-20 lg:bottom-6 left-1/2 -translate-x-1/2 z-20 flex items-center gap-3 whitespace-nowrap rounded-full px-4 py-2 text-sm shadow-lg backdrop-blur-md ${
+            isDarkMode ? 'bg-black/80 text-white ring-1 ring-white/10' : 'bg-white/90 text-gray-700 ring-1 ring-black/5'
+          }`}>
+            <span>📌 {t('map.location.pinHint')}</span>
+            <button type="button" onClick={cancelPinDrop} className="font-medium text-sky-500 hover:text-sky-400">
+              {t('map.location.cancel')}
+            </button>
+          </div>
+        )}
         
         {/* Sort By Dropdown - Top Left */}
         <div className="absolute top-4 left-4 z-10">
@@ -1042,7 +1471,7 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
               whileTap={{ scale: 0.98 }}
             >
               <span>{sortOptions.find(o => o.value === sortBy)?.icon}</span>
-              <span>Sort by: {sortOptions.find(o => o.value === sortBy)?.label}</span>
+              <span>{t('map.sortBy', { option: sortOptions.find(o => o.value === sortBy)?.label })}</span>
               <svg 
                 className={`w-4 h-4 transition-transform ${sortDropdownOpen ? 'rotate-180' : ''}`} 
                 fill="none" 
@@ -1131,7 +1560,7 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                     </div>
                     <div>
                       <p className={`text-lg font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>{routeInfo.distance}</p>
-                      <p className={`text-xs ${isDarkMode ? 'text-white/50' : 'text-gray-500'}`}>Distance</p>
+                      <p className={`text-xs ${isDarkMode ? 'text-white/50' : 'text-gray-500'}`}>{t('map.distance')}</p>
                     </div>
                   </div>
                   <div className={`w-px h-10 ${isDarkMode ? 'bg-white/10' : 'bg-gray-200'}`} />
@@ -1143,7 +1572,7 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                     </div>
                     <div>
                       <p className={`text-lg font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>{routeInfo.duration}</p>
-                      <p className={`text-xs ${isDarkMode ? 'text-white/50' : 'text-gray-500'}`}>Travel time</p>
+                      <p className={`text-xs ${isDarkMode ? 'text-white/50' : 'text-gray-500'}`}>{t('map.travelTime')}</p>
                     </div>
                   </div>
                 </div>
@@ -1169,7 +1598,7 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
         <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16m14 0h2m-2 0h-5m-9 0H3m2 0h5M9 7h1m-1 4h1m4-4h1m-1 4h1m-5 10v-5a1 1 0 011-1h2a1 1 0 011 1v5m-4 0h4" />
         </svg>
-        View {sortedPlaces.length} Hospitals
+        {t('map.viewHospitals', { count: sortedPlaces.length })}
       </motion.button>
 
       {/* Mobile Bottom Sheet */}
@@ -1213,16 +1642,20 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
               {/* Sheet Header */}
               <div className={`flex items-center justify-between px-4 pb-3 border-b ${borderClass}`}>
                 <div>
-                  <h2 className={`text-base font-semibold ${panelTextClass}`}>Nearby Hospitals</h2>
+                  <h2 className={`text-base font-semibold ${panelTextClass}`}>{t('map.nearbyHospitals')}</h2>
                   <div className="flex items-center gap-2 mt-1">
                     <span className={`rounded-full px-2 py-0.5 text-xs font-medium text-white ${urgencyColors.bg}`}>
-                      {triageResult.urgency?.toUpperCase()}
+                      {tTriage('urgency', triageResult.urgency)?.toUpperCase()}
                     </span>
                     <span className={`text-xs truncate max-w-[150px] ${panelSubtextClass}`}>
-                      {triageResult.department}
+                      {tTriage('department', triageResult.department)}
                     </span>
+                    {triageResult.offline && (
+                      <span className={`text-xs ${isDarkMode ? 'text-amber-400' : 'text-amber-600'}`}>{t('map.offlineShort')}</span>
+                    )}
                   </div>
                 </div>
+                <LanguageSelector className={`ml-auto mr-2 ${cardBgClass} ${panelTextClass} ring-1 ${ringNeutral}`} />
                 <button 
                   onClick={() => setMobileSheetOpen(false)}
                   className={`p-2 -mr-2 ${panelSubtextClass} hover:text-gray-600`}
@@ -1235,6 +1668,13 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
 
               {/* Sheet Content */}
               <div className="overflow-y-auto" style={{ maxHeight: mobileSheetExpanded ? 'calc(85vh - 100px)' : 'calc(50vh - 100px)' }}>
+                {(locationSummary || locationPicker) && (
+                  <div className="px-3">
+                    {locationSummary}
+                    {locationPicker}
+                  </div>
+                )}
+
                 {/* Loading */}
                 {loading && (
                   <div className="flex flex-col items-center justify-center p-8">
@@ -1243,7 +1683,7 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                       animate={{ rotate: 360 }}
                       transition={{ duration: 1, repeat: Infinity, ease: "linear" }}
                     />
-                    <p className={`mt-3 text-sm ${panelSubtextClass}`}>Searching...</p>
+                    <p className={`mt-3 text-sm ${panelSubtextClass}`}>{locating ? t('map.location.locating') : t('map.searchingShort')}</p>
                   </div>
                 )}
 
@@ -1254,6 +1694,16 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                   </div>
                 )}
 
+                {!loading && radiusNote}
+
+                {/* Mobile Filters */}
+                {!loading && places.length > 0 && (
+                  <div className="px-3 pt-3">
+                    {facilityFilters}
+                  </div>
+                )}
+                {!loading && places.length > 0 && !sortedPlaces.length && noFilterMatches}
+
                 {/* Mobile Results List */}
                 {!loading && sortedPlaces.length > 0 && (
                   <div className="p-3 space-y-2">
@@ -1280,16 +1730,19 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                             <div className="flex items-start justify-between gap-2">
                               <h3 className={`font-medium text-sm truncate ${panelTextClass}`}>{place.name}</h3>
                               {place.isOpen === true && (
-                                <span className="flex-shrink-0 text-xs font-medium px-1.5 py-0.5 rounded-full bg-green-100 text-green-600">Open</span>
+                                <span className="flex-shrink-0 text-xs font-medium px-1.5 py-0.5 rounded-full bg-green-100 text-green-600">{t('map.open')}</span>
                               )}
                               {place.isOpen === false && (
-                                <span className="flex-shrink-0 text-xs font-medium px-1.5 py-0.5 rounded-full bg-red-100 text-red-600">Closed</span>
-                              )}}
+                                <span className="flex-shrink-0 text-xs font-medium px-1.5 py-0.5 rounded-full bg-red-100 text-red-600">{t('map.closed')}</span>
+                              )}
                             </div>
                             <p className={`text-xs truncate mt-0.5 ${panelSubtextClass}`}>{place.vicinity || place.formatted_address}</p>
                             <div className="flex items-center gap-3 mt-2 text-xs">
                               {place.rating && <span className="text-yellow-600">⭐ {place.rating.toFixed(1)}</span>}
                               <span className={panelSubtextClass}>📍 {place.distance.toFixed(1)} km</span>
+                              {place.travelTime && (
+                                <span className={panelSubtextClass}>{TRAVEL_MODE_ICONS[place.travelTime.mode]} {place.travelTime.text}</span>
+                              )}
                             </div>
                           </div>
                         </div>
@@ -1301,14 +1754,14 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                               onClick={(e) => { e.stopPropagation(); startNavigation(); setMobileSheetOpen(false); }}
                               className="mt-3 w-full rounded-lg py-2 text-xs font-medium text-white bg-gradient-to-r from-green-500 to-emerald-500 shadow-lg"
                             >
-                              🚀 Start Navigation
+                              🚀 {t('map.startNavigation')}
                             </button>
                           ) : (
                             <button
                               onClick={(e) => { e.stopPropagation(); stopNavigation(); }}
                               className="mt-3 w-full rounded-lg py-2 text-xs font-medium text-white bg-gradient-to-r from-red-500 to-rose-500 shadow-lg"
                             >
-                              ⏹ Stop Navigation
+                              ⏹ {t('map.stopNavigation')}
                             </button>
                           )
                         ) : (
@@ -1316,13 +1769,13 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                             onClick={(e) => { e.stopPropagation(); showDirections(place); setMobileSheetOpen(false); }}
                             className={`mt-3 w-full rounded-lg py-2 text-xs font-medium text-white ${buttonBgClass}`}
                           >
-                            Get Directions
+                            {t('map.getDirections')}
                           </button>
                         )}
 
                         {/* Book Appointment Section - Mobile */}
                         <div className={`mt-3 pt-3 border-t ${borderClass}`}>
-                          <p className={`text-xs font-medium mb-2 ${panelSubtextClass}`}>Book Appointment</p>
+                          <p className={`text-xs font-medium mb-2 ${panelSubtextClass}`}>{t('map.bookAppointment')}</p>
                           {(place.formatted_phone_number || place.website || place.url) ? (
                             <div className="flex flex-wrap gap-2">
                               {place.formatted_phone_number && (
@@ -1331,7 +1784,7 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                                   onClick={(e) => e.stopPropagation()}
                                   className={`flex items-center gap-1 px-2 py-1 rounded-lg text-xs font-medium ${isDarkMode ? 'bg-green-900/50 text-green-400' : 'bg-green-100 text-green-700'}`}
                                 >
-                                  📞 Call
+                                  {t('map.call')}
                                 </a>
                               )}
                               {place.website && (
@@ -1342,7 +1795,7 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                                   onClick={(e) => e.stopPropagation()}
                                   className={`flex items-center gap-1 px-2 py-1 rounded-lg text-xs font-medium ${isDarkMode ? 'bg-blue-900/50 text-blue-400' : 'bg-blue-100 text-blue-700'}`}
                                 >
-                                  🌐 Website
+                                  {t('map.website')}
                                 </a>
                               )}
                               {place.url && (
@@ -1353,18 +1806,19 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                                   onClick={(e) => e.stopPropagation()}
                                   className={`flex items-center gap-1 px-2 py-1 rounded-lg text-xs font-medium ${isDarkMode ? 'bg-purple-900/50 text-purple-400' : 'bg-purple-100 text-purple-700'}`}
                                 >
-                                  🧾 Google
+                                  {t('map.google')}
                                 </a>
                               )}
                             </div>
                           ) : (
                             <p className={`text-xs italic ${panelSubtextClass}`}>
-                              Please contact the hospital reception for appointment.
+                              {t('map.contactReception')}
                             </p>
                           )}
                         </div>
                       </motion.div>
                     ))}
+                    {loadMoreButton}
                   </div>
                 )}
 
@@ -1372,15 +1826,15 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                 {routeInfo && (
                   <div className={`p-3 border-t ${borderClass}`}>
                     <div className="flex items-center justify-between mb-2">
-                      <h3 className={`text-sm font-medium ${panelTextClass}`}>Route to {selectedPlace?.name}</h3>
-                      <button onClick={clearDirections} className={`text-xs ${panelSubtextClass}`}>Clear</button>
+                      <h3 className={`text-sm font-medium ${panelTextClass}`}>{t('map.routeTo', { name: selectedPlace?.name })}</h3>
+                      <button onClick={clearDirections} className={`text-xs ${panelSubtextClass}`}>{t('map.clear')}</button>
                     </div>
 
                     {/* Mobile Travel Mode Selector */}
                     <div className="flex gap-2 mb-3">
                       <button
                         onClick={() => {
-                          setTravelMode('DRIVING')
+                          changeTravelMode('DRIVING')
                           if (!isNavigating && selectedPlace) showDirections(selectedPlace, null, 'DRIVING')
                         }}
                         className={`flex-1 flex items-center justify-center gap-1 py-2 rounded-lg text-xs font-medium transition-all ${
@@ -1389,11 +1843,11 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                             : isDarkMode ? 'bg-neutral-800 text-white/70' : 'bg-gray-100 text-gray-600'
                         }`}
                       >
-                        🚗 Car
+                        {t('map.car')}
                       </button>
                       <button
                         onClick={() => {
-                          setTravelMode('BICYCLING')
+                          changeTravelMode('BICYCLING')
                           if (!isNavigating && selectedPlace) showDirections(selectedPlace, null, 'BICYCLING')
                         }}
                         className={`flex-1 flex items-center justify-center gap-1 py-2 rounded-lg text-xs font-medium transition-all ${
@@ -1402,11 +1856,11 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                             : isDarkMode ? 'bg-neutral-800 text-white/70' : 'bg-gray-100 text-gray-600'
                         }`}
                       >
-                        🚴 Bike
+                        {t('map.bike')}
                       </button>
                       <button
                         onClick={() => {
-                          setTravelMode('WALKING')
+                          changeTravelMode('WALKING')
                           if (!isNavigating && selectedPlace) showDirections(selectedPlace, null, 'WALKING')
                         }}
                         className={`flex-1 flex items-center justify-center gap-1 py-2 rounded-lg text-xs font-medium transition-all ${
@@ -1415,18 +1869,18 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                             : isDarkMode ? 'bg-neutral-800 text-white/70' : 'bg-gray-100 text-gray-600'
                         }`}
                       >
-                        🚶 Walk
+                        {t('map.walk')}
                       </button>
                     </div>
 
                     <div className="flex gap-3 mb-3">
                       <div className={`flex-1 rounded-lg px-3 py-2 text-center ${isDarkMode ? 'bg-neutral-800' : 'bg-sky-50'}`}>
                         <p className="text-base font-bold text-sky-600">{routeInfo.distance}</p>
-                        <p className={`text-xs ${panelSubtextClass}`}>Distance</p>
+                        <p className={`text-xs ${panelSubtextClass}`}>{t('map.distance')}</p>
                       </div>
                       <div className={`flex-1 rounded-lg px-3 py-2 text-center ${isDarkMode ? 'bg-neutral-800' : 'bg-green-50'}`}>
                         <p className="text-base font-bold text-green-600">{routeInfo.duration}</p>
-                        <p className={`text-xs ${panelSubtextClass}`}>Duration</p>
+                        <p className={`text-xs ${panelSubtextClass}`}>{t('map.duration')}</p>
                       </div>
                     </div>
 
@@ -1440,7 +1894,7 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
                         </svg>
-                        Start Navigation
+                        {t('map.startNavigation')}
                       </button>
                     ) : (
                       <button
@@ -1451,7 +1905,7 @@ export default function TriageMapRouter({ triageResult, isDarkMode = false }) {
                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 10a1 1 0 011-1h4a1 1 0 011 1v4a1 1 0 01-1 1h-4a1 1 0 01-1-1v-4z" />
                         </svg>
-                        Stop Navigation
+                        {t('map.stopNavigation')}
                       </button>
                     )}
 
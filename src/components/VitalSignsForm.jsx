@@ -0,0 +1,127 @@
+import { useLocale } from '../context/useLocale'
+import { GLUCOSE_UNITS, TEMPERATURE_UNITS, getVitalErrors, matchVitalAlerts, normalizeVitals } from '../utils/vitals'
+
+const fieldClass = 'w-full rounded-xl bg-white/5 px-3 py-2 text-sm text-white ring-1 ring-white/10 outline-none focus:ring-2 focus:ring-sky-500/50'
+const errorFieldClass = 'ring-red-500/50 focus:ring-red-500/60'
+
+export default function VitalSignsForm({ vitals, onChange, patient = null }) {
+  const { t } = useLocale()
+  const update = (changes) => onChange({ ...vitals, ...changes })
+
+  const errors = getVitalErrors(vitals)
+  // Preview of the threshold that will escalate urgency on submit
+  const [alert] = matchVitalAlerts(normalizeVitals(vitals), patient)
+
+  const numberField = (field, { step = 'any', placeholder } = {}) => (
+    <input
+      type="number"
+      inputMode="decimal"
+      step={step}
+      value={vitals[field]}
+      onChange={(e) => update({ [field]: e.target.value })}
+      placeholder={placeholder}
+      aria-invalid={Boolean(errors[field])}
+      className={`${fieldClass} ${errors[field] ? errorFieldClass : ''}`}
+    />
+  )
+
+  const unitSelect = (field, units) => (
+    <select
+      value={vitals[field]}
+      onChange={(e) => update({ [field]: e.target.value })}
+      className={`${fieldClass} w-auto`}
+    >
+      {units.map((unit) => (
+        <option key={unit} value={unit} className="bg-slate-900">{t(`vitals.unit.${unit}`, null, unit)}</option>
+      ))}
+    </select>
+  )
+
+  const errorText = (...fields) => {
+    const field = fields.find((name) => errors[name])
+    return field ? <span className="mt-1 block text-red-300">{t(`vitals.errors.${errors[field]}`)}</span> : null
+  }
+
+  return (
+    <div className="mt-3 rounded-2xl bg-slate-800/60 p-4 ring-1 ring-white/10 backdrop-blur-sm">
+      <p className="text-xs text-white/60">{t('vitals.hint')}</p>
+
+      <div className="mt-3 grid gap-3 sm:grid-cols-2">
+        <label className="text-xs text-white/60">
+          {t('vitals.temperature')}
+          <div className="mt-1 flex gap-2">
+            {numberField('temperature', { step: '0.1', placeholder: vitals.temperatureUnit === 'F' ? '98.6' : '37.0' })}
+            {unitSelect('temperatureUnit', TEMPERATURE_UNITS)}
+          </div>
+          {errorText('temperature')}
+        </label>
+
+        <label className="text-xs text-white/60">
+          {t('vitals.spo2')}
+          <div className="mt-1 flex items-center gap-2">
+            {numberField('spo2', { step: '1', placeholder: '98' })}
+            <span className="text-white/40">%</span>
+          </div>
+          {errorText('spo2')}
+        </label>
+
+        <label className="text-xs text-white/60">
+          {t('vitals.heartRate')}
+          <div className="mt-1 flex items-center gap-2">
+            {numberField('heartRate', { step: '1', placeholder: '72' })}
+            <span className="text-white/40">{t('vitals.unit.bpm')}</span>
+          </div>
+          {errorText('heartRate')}
+        </label>
+
+        <div className="text-xs text-white/60">
+          {t('vitals.bloodPressure')}
+          <div className="mt-1 flex items-center gap-2">
+            <input
+              type="number"
+              inputMode="numeric"
+              value={vitals.systolic}
+              onChange={(e) => update({ systolic: e.target.value })}
+              placeholder="120"
+              aria-label={t('vitals.systolic')}
+              aria-invalid={Boolean(errors.systolic)}
+              className={`${fieldClass} ${errors.systolic ? errorFieldClass : ''}`}
+            />
+            <span className="text-white/40">/</span>
+            <input
+              type="number"
+              inputMode="numeric"
+              value={vitals.diastolic}
+              onChange={(e) => update({ diastolic: e.target.value })}
+              placeholder="80"
+              aria-label={t('vitals.diastolic')}
+              aria-invalid={Boolean(errors.diastolic)}
+              className={`${fieldClass} ${errors.diastolic ? errorFieldClass : ''}`}
+            />
+            <span className="text-white/40">mmHg</span>
+          </div>
+          {errorText('systolic', 'diastolic')}
+        </div>
+
+        <label className="text-xs text-white/60">
+          {t('vitals.glucose')}
+          <div className="mt-1 flex gap-2">
+            {numberField('glucose', { step: vitals.glucoseUnit === 'mmol/L' ? '0.1' : '1', placeholder: vitals.glucoseUnit === 'mmol/L' ? '5.5' : '100' })}
+            {unitSelect('glucoseUnit', GLUCOSE_UNITS)}
+          </div>
+          {errorText('glucose')}
+        </label>
+      </div>
+
+      {alert && (
+        <p className={`mt-3 rounded-xl px-3 py-2 text-xs ring-1 ${
+          alert.urgency === 'emergency'
+            ? 'bg-red-500/15 text-red-300 ring-red-500/30'
+            : 'bg-yellow-500/15 text-yellow-300 ring-yellow-500/30'
+        }`}>
+          ⚠️ {t(`vitals.alert.${alert.id}`, null, alert.label)} · {t(`vitals.alertPreview.${alert.urgency}`)}
+        </p>
+      )}
+    </div>
+  )
+}
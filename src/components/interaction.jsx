@@ -1,9 +1,44 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { useNavigate, Link } from 'react-router-dom'
 import { motion, AnimatePresence } from 'framer-motion'
-import { getTriageResult } from '../utils/openai'
+import { getTriageResult, getTriageTurn } from '../utils/openai'
+import { matchRedFlags } from '../utils/redFlags'
+import { redactText } from '../utils/redaction'
+import { matchCrisis } from '../utils/crisis'
+import { createSpeechEngine, SPEECH_LANGUAGES } from '../utils/speech'
+import {
+  ATTACHMENT_MIME_TYPES,
+  MAX_ATTACHMENTS,
+  MAX_ATTACHMENT_TEXT_LENGTH,
+  guessAttachmentKind,
+  toAttachmentMetadata,
+} from '../utils/attachments'
+import { extractAttachmentText } from '../utils/attachmentText'
+import {
+  BODY_REGIONS,
+  EMPTY_STRUCTURED_SYMPTOMS,
+  describeStructuredSymptoms,
+  normalizeStructuredSymptoms,
+} from '../utils/structuredSymptoms'
+import { EMPTY_VITALS, matchVitalAlerts, normalizeVitals, toPromptVitals } from '../utils/vitals'
+import { HEALTH_SOURCES } from '../utils/healthTrends'
+import { toPreviousTriage } from '../utils/symptomChange'
+import { findOutcomePrompt } from '../utils/searchOutcome'
 import { useAuth } from '../context/AuthContext'
-import { saveSearch, getSearchHistory } from '../services/searchHistory'
+import { useLocale } from '../context/useLocale'
+import { saveSearch, getSearchHistory, groupSearchEpisodes, dismissOutcomePrompt, updateSearchChoice } from '../services/searchHistory'
+import { getPatientProfile, savePatientProfile } from '../services/patientProfile'
+import { EMPTY_PATIENT_CONTEXT, normalizePatientContext } from '../utils/patientContext'
+import PatientContextForm from './PatientContextForm'
+import LanguageSelector from './LanguageSelector'
+import CrisisSupport from './CrisisSupport'
+import AttachmentList from './AttachmentList'
+import BodyMapPicker from './BodyMapPicker'
+import VitalSignsForm from './VitalSignsForm'
+import HealthImport from './HealthImport'
+import SymptomChangeSummary from './SymptomChangeSummary'
+import EpisodeTimeline from './EpisodeTimeline'
+import SearchOutcome from './SearchOutcome'
 
 const fadeInUp = {
   initial: { opacity: 0, y: 30 },
@@ -26,16 +61,91 @@ const scaleIn = {
   exit: { opacity: 0, scale: 0.9 },
 }
 
+// Symptom suggestion chips; the text is entered in the user's language
+const SUGGESTION_KEYS = ['headache', 'fever', 'chestPain', 'fatigue', 'cough']
+
+// Maximum number of follow-up questions the assistant may ask before routing
+const MAX_FOLLOW_UP_QUESTIONS = 3
+
+// Voice input engine; VITE_SPEECH_ENGINE=stub replays a fixed transcript for demos
+const speechEngine = createSpeechEngine({ engine: import.meta.env.VITE_SPEECH_ENGINE || 'web-speech' })
+
+// Speech engine error codes with their own message; anything else gets voice.errors.generic
+const VOICE_ERROR_KEYS = {
+  'not-allowed': 'voice.errors.notAllowed',
+  'service-not-allowed': 'voice.errors.notAllowed',
+  'no-speech': 'voice.errors.noSpeech',
+  'audio-capture': 'voice.errors.noMicrophone',
+}
+
+const ACCEPTED_ATTACHMENT_TYPES = Object.values(ATTACHMENT_MIME_TYPES).flat().join(',')
+
+// Red-flag rules and vital-sign thresholds keep their translated labels in separate namespaces
+const alertLabelKey = (alert) => (alert.vital ? `vitals.alert.${alert.id}` : `redFlags.${alert.id}`)
+
+const joinText = (...parts) => parts.map((part) => part?.trim()).filter(Boolean).join(' ')
+
+// Route with a lower-ranked specialist/department instead of the top pick
+function withAlternative(result, alternative) {
+  return {
+    ...result,
+    specialist: alternative.specialist,
+    department: alternative.department,
+    search_keywords: alternative.search_keywords,
+  }
+}
+
 export default function Interaction({ isDarkMode = false }) {
   const navigate = useNavigate()
   const { currentUser } = useAuth()
+  const { t, tTriage, locale, intlLocale } = useLocale()
   const [input, setInput] = useState('')
   const [loading, setLoading] = useState(false)
   const [result, setResult] = useState(null) // { specialist: "", urgency: "" }
+  const [selectedAlternative, setSelectedAlternative] = useState(0) // index into result.alternatives
   const [error, setError] = useState(null)
   const [searchHistory, setSearchHistory] = useState([])
   const [historyLoading, setHistoryLoading] = useState(false)
   const [showHistory, setShowHistory] = useState(false)
+  const [askFollowUps, setAskFollowUps] = useState(true)
+  const [conversation, setConversation] = useState([]) // [{ role: 'user' | 'assistant', content: "" }]
+  const [redFlagAlert, setRedFlagAlert] = useState(null) // red-flag rule or vital-sign threshold matched locally while the model runs
+  const [crisisAlert, setCrisisAlert] = useState(null) // crisis rule matched locally while the model runs
+  const [patient, setPatient] = useState(EMPTY_PATIENT_CONTEXT)
+  const [showPatientForm, setShowPatientForm] = useState(false)
+  const [structuredSymptoms, setStructuredSymptoms] = useState(EMPTY_STRUCTURED_SYMPTOMS) // picked on the body map
+  const [showBodyMap, setShowBodyMap] = useState(false)
+  const [vitals, setVitals] = useState(EMPTY_VITALS)
+  const [showVitalsForm, setShowVitalsForm] = useState(false)
+  const [healthTrends, setHealthTrends] = useState(null) // summary of an imported health app export
+  const [currentSearch, setCurrentSearch] = useState(null) // the search behind the result on screen
+  const [changedFrom, setChangedFrom] = useState(null) // earlier search being re-triaged with changed symptoms
+  const [resultChange, setResultChange] = useState(null) // earlier triage the result on screen is compared with
+  const [profileSaving, setProfileSaving] = useState(false)
+  const [profileSaveStatus, setProfileSaveStatus] = useState(null)
+  const [partialResult, setPartialResult] = useState(null) // routing fields streamed so far
+  const [redactions, setRedactions] = useState([]) // identifiers masked in this conversation
+  const [showRedactions, setShowRedactions] = useState(false)
+  const [listening, setListening] = useState(false)
+  const [voiceInterim, setVoiceInterim] = useState('') // words the speech engine may still change
+  const [voiceError, setVoiceError] = useState(null)
+  const [voiceLanguage, setVoiceLanguage] = useState(null) // null follows the UI language
+  const [attachments, setAttachments] = useState([]) // { id, kind, name, mimeType, size, status, text, truncated, redactions }
+  const requestRef = useRef(null) // AbortController of the in-flight triage request
+  const speechRef = useRef(null) // running speech recognition session
+  const voiceBaseRef = useRef('') // text typed before dictation started
+  const voiceFinalRef = useRef('') // text dictated so far in the running session
+  const fileInputRef = useRef(null)
+
+  const awaitingAnswer = conversation.length > 0 && !result
+  const inputRedactions = redactText(input).redactions
+  const speechLanguage = voiceLanguage || (locale === 'hi' ? 'hi-IN' : 'en-IN')
+  const readingAttachments = attachments.some((attachment) => attachment.status === 'reading')
+  const pickedSymptoms = normalizeStructuredSymptoms(structuredSymptoms)
+  const alternatives = result?.alternatives || []
+  const routedResult = selectedAlternative > 0 && alternatives[selectedAlternative]
+    ? withAlternative(result, alternatives[selectedAlternative])
+    : result
 
   const baseBgClass = isDarkMode ? 'bg-black' : 'bg-slate-950'
   const overlayBgClass = isDarkMode ? 'bg-black/80' : 'bg-slate-950/70'
@@ -64,23 +174,265 @@ export default function Interaction({ isDarkMode = false }) {
     fetchHistory()
   }, [currentUser])
 
+  // Cancel any in-flight triage request and dictation when leaving the page
+  useEffect(() => () => {
+    requestRef.current?.abort()
+    speechRef.current?.abort()
+  }, [])
+
+  // Load the saved patient context when user is logged in
+  useEffect(() => {
+    async function fetchPatientProfile() {
+      if (currentUser) {
+        const profile = await getPatientProfile(currentUser.uid)
+        if (profile) setPatient({ ...EMPTY_PATIENT_CONTEXT, ...profile })
+      } else {
+        setPatient(EMPTY_PATIENT_CONTEXT)
+      }
+    }
+    fetchPatientProfile()
+  }, [currentUser])
+
+  const handleSavePatientProfile = async () => {
+    setProfileSaving(true)
+    setProfileSaveStatus(null)
+    try {
+      await savePatientProfile(currentUser.uid, patient)
+      setProfileSaveStatus(t('patient.saved'))
+    } catch (err) {
+      console.error('Failed to save patient profile:', err)
+      setProfileSaveStatus(t('patient.saveFailed'))
+    } finally {
+      setProfileSaving(false)
+    }
+  }
+
+  // Ask the assistant for the next turn; returns the triage result once it stops asking questions
+  const runConversationTurn = async (messages, maxQuestions, { patientContext, promptAttachments, structured, vitalReadings, trends, symptomChange }, signal) => {
+    const turn = await getTriageTurn(messages, {
+      maxQuestions,
+      patient: patientContext,
+      attachments: promptAttachments,
+      structuredSymptoms: structured,
+      vitals: vitalReadings,
+      healthTrends: trends,
+      previousTriage: symptomChange?.previous,
+      signal,
+      onPartial: setPartialResult,
+    })
+    if (signal.aborted) return null
+    if (turn.question) {
+      setConversation([...messages, { role: 'assistant', content: turn.question }])
+      setInput('')
+      return null
+    }
+    setConversation(messages)
+    return turn.result
+  }
+
+  // Dictate into the input box; typed text is kept and the transcript is appended to it
+  const startListening = (language, { restart = false } = {}) => {
+    if (!speechEngine.isSupported()) {
+      setVoiceError(t('voice.unsupported'))
+      return
+    }
+    // A restart (new language) keeps what was already dictated
+    voiceBaseRef.current = restart ? joinText(voiceBaseRef.current, voiceFinalRef.current) : input
+    voiceFinalRef.current = ''
+    speechRef.current?.abort()
+
+    let session = null
+    // Callbacks from an aborted session are ignored
+    const isCurrent = () => speechRef.current === session
+    session = speechEngine.start({
+      language,
+      onTranscript: ({ final, interim }) => {
+        if (!isCurrent()) return
+        voiceFinalRef.current = final
+        setVoiceInterim(interim)
+        setInput(joinText(voiceBaseRef.current, final, interim))
+      },
+      onError: (err) => {
+        if (!isCurrent()) return
+        console.error('Speech recognition error:', err)
+        setVoiceError(t(VOICE_ERROR_KEYS[err.code] || 'voice.errors.generic'))
+      },
+      onEnd: () => {
+        if (!isCurrent()) return
+        speechRef.current = null
+        setListening(false)
+        setVoiceInterim('')
+      },
+    })
+    speechRef.current = session
+    setListening(true)
+    setVoiceInterim('')
+    setVoiceError(null)
+  }
+
+  // Stop gracefully; the engine delivers its last words before ending
+  const stopListening = () => speechRef.current?.stop()
+
+  // Drop the session without waiting for further results
+  const abortListening = () => {
+    speechRef.current?.abort()
+    speechRef.current = null
+    setListening(false)
+    setVoiceInterim('')
+  }
+
+  const handleVoiceLanguageChange = (language) => {
+    setVoiceLanguage(language)
+    if (listening) startListening(language, { restart: true })
+  }
+
+  const updateAttachment = (id, changes) => {
+    setAttachments((current) => current.map((attachment) => (attachment.id === id ? { ...attachment, ...changes } : attachment)))
+  }
+
+  // Read attached files in the browser; their text is redacted and capped like typed symptoms
+  const handleAttachFiles = async (fileList) => {
+    const files = [...fileList].slice(0, Math.max(MAX_ATTACHMENTS - attachments.length, 0))
+    const added = files.map((file) => ({
+      id: crypto.randomUUID(),
+      kind: guessAttachmentKind(file),
+      name: redactText(file.name).text,
+      mimeType: file.type,
+      size: file.size,
+      status: 'reading',
+    }))
+    setAttachments((current) => [...current, ...added])
+
+    await Promise.all(files.map(async (file, index) => {
+      const { id } = added[index]
+      try {
+        const { text, redactions: attachmentRedactions } = redactText(await extractAttachmentText(file))
+        updateAttachment(id, {
+          status: 'ready',
+          text: text.slice(0, MAX_ATTACHMENT_TEXT_LENGTH),
+          truncated: text.length > MAX_ATTACHMENT_TEXT_LENGTH,
+          redactions: attachmentRedactions,
+        })
+      } catch (err) {
+        console.error('Failed to read attachment:', err)
+        updateAttachment(id, { status: 'error', errorCode: err.code || 'failed' })
+      }
+    }))
+  }
+
   const handleSubmit = async (e) => {
     e.preventDefault()
-    if (!input.trim()) return
+    // Symptoms picked on the body map can stand in for a typed description, but not for an answer
+    const message = input.trim() || (!awaitingAnswer && !result ? describeStructuredSymptoms(pickedSymptoms) : '')
+    if (!message) return
+    abortListening()
+    await submitTriage(message, MAX_FOLLOW_UP_QUESTIONS)
+  }
+
+  // Skip the remaining follow-up questions and route with what we have
+  const handleSkipQuestions = () => submitTriage(null, 0)
+
+  // Abort the in-flight request, if any
+  const cancelTriage = () => {
+    requestRef.current?.abort()
+    requestRef.current = null
+    setLoading(false)
+    setPartialResult(null)
+    setRedFlagAlert(null)
+    setCrisisAlert(null)
+  }
+
+  const submitTriage = async (message, maxQuestions) => {
+    // A finished triage starts a fresh conversation
+    const previousMessages = result ? [] : conversation
+    const useConversation = askFollowUps || previousMessages.length > 0
+    // Personal identifiers are masked before the text reaches the model or history
+    const { text: safeMessage, redactions: newRedactions } = redactText(message)
+    const allRedactions = [...(result ? [] : redactions), ...newRedactions]
+    const messages = message ? [...previousMessages, { role: 'user', content: safeMessage }] : previousMessages
+    const symptoms = messages[0]?.content || safeMessage
+    const patientContext = normalizePatientContext(patient)
+    // The body map, vitals and attachments are hidden once a result is shown, so their values belong to the previous triage
+    const readyAttachments = result ? [] : attachments.filter((attachment) => attachment.status === 'ready')
+    const structured = result ? null : pickedSymptoms
+    const vitalReadings = result ? null : normalizeVitals(vitals)
+    const trends = result ? null : healthTrends
+    if (result) {
+      setStructuredSymptoms(EMPTY_STRUCTURED_SYMPTOMS)
+      setVitals(EMPTY_VITALS)
+      setHealthTrends(null)
+      setAttachments([])
+    }
+    const promptAttachments = readyAttachments.map(({ kind, text }) => ({ kind, text }))
+    const symptomChange = result ? null : changedFrom
+
+    // Red-flag and crisis rules fire instantly, before the model answers
+    const userText = messages.filter((m) => m.role === 'user').map((m) => m.content).join('\n')
+    const [redFlag] = matchRedFlags(userText, patientContext)
+    const crisis = matchCrisis(userText)
+    const [vitalAlert] = matchVitalAlerts(vitalReadings, patientContext)
+    // A new submission replaces the one still running, so a slower answer can't overwrite it
+    requestRef.current?.abort()
+    const controller = new AbortController()
+    requestRef.current = controller
+    const { signal } = controller
+
+    setRedFlagAlert(redFlag || vitalAlert || null)
+    setCrisisAlert(crisis)
+    setRedactions(allRedactions)
 
     setLoading(true)
     setError(null)
     setResult(null)
+    setPartialResult(null)
 
     try {
-      const triageResult = await getTriageResult(input)
+      const triageResult = useConversation
+        ? await runConversationTurn(messages, maxQuestions, { patientContext, promptAttachments, structured, vitalReadings, trends, symptomChange }, signal)
+        : await getTriageResult(safeMessage, {
+          patient: patientContext,
+          attachments: promptAttachments,
+          structuredSymptoms: structured,
+          vitals: vitalReadings,
+          healthTrends: trends,
+          previousTriage: symptomChange?.previous,
+          signal,
+          onPartial: setPartialResult,
+        })
+      if (!triageResult || signal.aborted) return
+
       setResult(triageResult)
+      setSelectedAlternative(0)
+      setResultChange(symptomChange?.previous || null)
+      setChangedFrom(null)
       console.log('Triage result:', triageResult)
+      const search = { symptoms, result: triageResult, createdAt: new Date(), episodeId: symptomChange?.episodeId || null }
+      setCurrentSearch(search)
 
       // Save search to history if user is logged in
       if (currentUser) {
         try {
-          await saveSearch(currentUser.uid, input, triageResult)
+          const searchId = await saveSearch(
+            currentUser.uid,
+            symptoms,
+            triageResult,
+            {
+              ...(useConversation && messages.length > 1 ? { conversation: messages } : {}),
+              ...(patientContext ? { patient: patientContext } : {}),
+              ...(structured ? { structuredSymptoms: structured } : {}),
+              ...(vitalReadings ? { vitals: vitalReadings } : {}),
+              ...(trends ? { healthTrends: trends } : {}),
+              // Links the re-triage to the search it follows from and to the first search of the episode
+              ...(symptomChange
+                ? { previousSearchId: symptomChange.searchId, episodeId: symptomChange.episodeId, previousTriage: symptomChange.previous }
+                : {}),
+              // Only the kind of identifier is stored, never the original value
+              ...(allRedactions.length ? { redactions: allRedactions.map(({ type, placeholder }) => ({ type, placeholder })) } : {}),
+              // Attachment text is never stored, only what was attached
+              ...(readyAttachments.length ? { attachments: readyAttachments.map(toAttachmentMetadata) } : {}),
+            }
+          )
+          setCurrentSearch((current) => (current === search ? { ...search, id: searchId } : current))
           // Refresh search history
           const history = await getSearchHistory(currentUser.uid)
           setSearchHistory(history)
@@ -89,25 +441,92 @@ export default function Interaction({ isDarkMode = false }) {
         }
       }
     } catch (err) {
+      if (signal.aborted) return
       const errorMessage = err.message || 'Failed to analyze symptoms. Please try again.'
       setError(errorMessage)
       console.error('Triage error:', err)
     } finally {
-      setLoading(false)
+      // Only the latest request owns the loading state
+      if (requestRef.current === controller) {
+        requestRef.current = null
+        setLoading(false)
+        setPartialResult(null)
+        setRedFlagAlert(null)
+        setCrisisAlert(null)
+      }
     }
   }
 
   // Load a previous search result
   const loadPreviousSearch = (search) => {
+    cancelTriage()
     setInput(search.symptoms)
     setResult(search.result)
+    setSelectedAlternative(search.chosenAlternative?.index || 0)
+    setConversation(search.conversation || [])
+    setRedactions([])
+    setAttachments([])
+    setStructuredSymptoms(search.structuredSymptoms || EMPTY_STRUCTURED_SYMPTOMS)
+    setCurrentSearch(search)
+    setChangedFrom(null)
+    setResultChange(search.previousTriage || null)
     setShowHistory(false)
   }
 
+  // Outcome answers are written to Firestore by SearchOutcome; keep the loaded history in step
+  const handleOutcomeSaved = (searchId, outcome) => {
+    setSearchHistory((history) => history.map((search) => (search.id === searchId ? { ...search, outcome } : search)))
+  }
+
+  const handleDismissOutcomePrompt = async (searchId) => {
+    setSearchHistory((history) => history.map((search) => (search.id === searchId ? { ...search, outcomeDismissedAt: new Date() } : search)))
+    try {
+      await dismissOutcomePrompt(searchId)
+    } catch (err) {
+      console.error('Failed to dismiss outcome prompt:', err)
+    }
+  }
+
+  // Open the map for the selected alternative, saving the choice so outcomes are compared with it
+  const findFacilities = () => {
+    const searchId = currentSearch?.id
+    if (searchId && alternatives.length > 0) {
+      const choice = { index: selectedAlternative, specialist: routedResult.specialist, department: routedResult.department }
+      setSearchHistory((history) => history.map((search) => (search.id === searchId ? { ...search, chosenAlternative: choice } : search)))
+      updateSearchChoice(searchId, choice).catch((err) => {
+        console.error('Failed to save chosen alternative:', err)
+      })
+    }
+    navigate('/maps', { state: { triageResult: routedResult, searchId } })
+  }
+
+  // "My symptoms changed": start a new triage linked to the search on screen
+  const startSymptomChange = () => {
+    cancelTriage()
+    setChangedFrom({
+      searchId: currentSearch.id || null,
+      episodeId: currentSearch.episodeId || currentSearch.id || null,
+      previous: toPreviousTriage(currentSearch),
+    })
+    setResult(null)
+    setResultChange(null)
+    setInput('')
+    setConversation([])
+    setRedactions([])
+    setAttachments([])
+    setStructuredSymptoms(EMPTY_STRUCTURED_SYMPTOMS)
+    setVitals(EMPTY_VITALS)
+    setHealthTrends(null)
+    setError(null)
+  }
+
+  // Ask about the outcome of one earlier search at a time
+  const outcomePrompt = currentUser ? findOutcomePrompt(searchHistory) : null
+
   // Format date for display
   const formatDate = (date) => {
     if (!date) return ''
-    return new Intl.DateTimeFormat('en-US', {
+    return new Intl.DateTimeFormat(intlLocale, {
       month: 'short',
       day: 'numeric',
       hour: '2-digit',
@@ -180,6 +599,8 @@ export default function Interaction({ isDarkMode = false }) {
           </Link>
 
           <div className="flex items-center gap-2">
+            <LanguageSelector className="bg-white/10 text-white/85 ring-1 ring-white/15 hover:bg-white/15" />
+
             <motion.div
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
@@ -188,7 +609,7 @@ export default function Interaction({ isDarkMode = false }) {
                 to="/"
                 className="inline-flex items-center justify-center rounded-xl bg-white/10 px-3 py-2 sm:px-4 sm:py-2 text-xs sm:text-sm font-medium text-white/85 ring-1 ring-white/15 hover:bg-white/15 transition-colors"
               >
-                Back to Home
+                {t('common.backToHome')}
               </Link>
             </motion.div>
 
@@ -203,7 +624,7 @@ export default function Interaction({ isDarkMode = false }) {
                 <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-4 h-4">
                   <path strokeLinecap="round" strokeLinejoin="round" d="M12 6v6h4.5m4.5 0a9 9 0 1 1-18 0 9 9 0 0 1 18 0Z" />
                 </svg>
-                <span className="hidden sm:inline">History</span>
+                <span className="hidden sm:inline">{t('interaction.history')}</span>
                 <span className="text-white/50">({searchHistory.length})</span>
               </motion.button>
             )}
@@ -239,7 +660,7 @@ export default function Interaction({ isDarkMode = false }) {
             >
               {/* Panel Header */}
               <div className="flex items-center justify-between p-4 border-b border-white/10">
-                <h2 className="text-lg font-semibold text-white">Search History</h2>
+                <h2 className="text-lg font-semibold text-white">{t('interaction.searchHistory')}</h2>
                 <button
                   onClick={() => setShowHistory(false)}
                   className="p-2 rounded-lg bg-white/10 hover:bg-white/15 transition-colors"
@@ -260,37 +681,78 @@ export default function Interaction({ isDarkMode = false }) {
                     </svg>
                   </div>
                 ) : searchHistory.length === 0 ? (
-                  <p className="text-white/50 text-center py-8">No previous searches</p>
+                  <p className="text-white/50 text-center py-8">{t('interaction.noPreviousSearches')}</p>
                 ) : (
-                  searchHistory.map((search, index) => (
-                    <motion.button
-                      key={search.id}
-                      onClick={() => loadPreviousSearch(search)}
-                      className="w-full text-left rounded-xl bg-white/5 p-4 ring-1 ring-white/10 hover:bg-white/10 transition-all"
-                      initial={{ opacity: 0, y: 20 }}
-                      animate={{ opacity: 1, y: 0 }}
-                      transition={{ delay: index * 0.05 }}
-                      whileHover={{ scale: 1.02 }}
-                    >
-                      <div className="flex items-start justify-between gap-2">
-                        <p className="text-white font-medium line-clamp-2">{search.symptoms}</p>
-                        <span className={`shrink-0 text-xs px-2 py-1 rounded-full ${
-                          search.result?.urgency === 'emergency' 
-                            ? 'bg-red-500/20 text-red-400' 
-                            : search.result?.urgency === 'urgent' 
-                            ? 'bg-yellow-500/20 text-yellow-400' 
-                            : 'bg-green-500/20 text-green-400'
-                        }`}>
-                          {search.result?.urgency}
-                        </span>
-                      </div>
-                      <div className="mt-2 flex items-center gap-3 text-xs text-white/50">
-                        <span className="text-sky-400">{search.result?.specialist}</span>
-                        <span>•</span>
-                        <span>{formatDate(search.createdAt)}</span>
-                      </div>
-                    </motion.button>
-                  ))
+                  groupSearchEpisodes(searchHistory).map((episode, index) => {
+                    const [search] = episode.searches
+                    return episode.searches.length > 1 ? (
+                      <motion.div
+                        key={episode.id}
+                        initial={{ opacity: 0, y: 20 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        transition={{ delay: index * 0.05 }}
+                      >
+                        <EpisodeTimeline episode={episode} onSelect={loadPreviousSearch} formatDate={formatDate}>
+                          {/* The outcome belongs to the latest triage of the episode */}
+                          <SearchOutcome search={episode.searches[episode.searches.length - 1]} onSaved={handleOutcomeSaved} />
+                        </EpisodeTimeline>
+                      </motion.div>
+                    ) : (
+                      <motion.div
+                        key={search.id}
+                        className="rounded-xl bg-white/5 ring-1 ring-white/10"
+                        initial={{ opacity: 0, y: 20 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        transition={{ delay: index * 0.05 }}
+                      >
+                        <button
+                          type="button"
+                          onClick={() => loadPreviousSearch(search)}
+                          className="w-full text-left rounded-xl p-4 hover:bg-white/10 transition-all"
+                        >
+                          <div className="flex items-start justify-between gap-2">
+                            <p className="text-white font-medium line-clamp-2">{search.symptoms}</p>
+                            <span className={`shrink-0 text-xs px-2 py-1 rounded-full ${
+                              search.result?.urgency === 'emergency' 
+                                ? 'bg-red-500/20 text-red-400' 
+                                : search.result?.urgency === 'urgent' 
+                                ? 'bg-yellow-500/20 text-yellow-400' 
+                                : 'bg-green-500/20 text-green-400'
+                            }`}>
+                              {tTriage('urgency', search.result?.urgency)}
+                            </span>
+                          </div>
+                          <div className="mt-2 flex items-center gap-3 text-xs text-white/50">
+                            <span className="text-sky-400">{tTriage('specialist', search.result?.specialist)}</span>
+                            <span>•</span>
+                            <span>{formatDate(search.createdAt)}</span>
+                            {search.origin && (
+                              <span title={search.origin.label || t(`map.location.source.${search.origin.source}`)}>📍</span>
+                            )}
+                            {search.vitals && (
+                              <span title={Object.values(toPromptVitals(search.vitals)).join(', ')}>🩺</span>
+                            )}
+                            {search.healthTrends && (
+                              <span title={HEALTH_SOURCES.find((source) => source.value === search.healthTrends.source)?.label}>⌚</span>
+                            )}
+                            {search.structuredSymptoms && (
+                              <span title={search.structuredSymptoms.regions.map(({ region }) => t(`bodyMap.region.${region}`, null, BODY_REGIONS.find((option) => option.value === region)?.label)).join(', ')}>
+                                🧍 {search.structuredSymptoms.regions.length}
+                              </span>
+                            )}
+                            {search.attachments?.length > 0 && (
+                              <span title={search.attachments.map((attachment) => attachment.name).join(', ')}>
+                                📎 {search.attachments.length}
+                              </span>
+                            )}
+                          </div>
+                        </button>
+                        <div className="border-t border-white/10 px-4 py-2">
+                          <SearchOutcome search={search} onSaved={handleOutcomeSaved} />
+                        </div>
+                      </motion.div>
+                    )
+                  })
                 )}
               </div>
             </motion.div>
@@ -308,13 +770,75 @@ export default function Interaction({ isDarkMode = false }) {
           transition={{ duration: 0.8, delay: 0.2, ease: [0.22, 1, 0.36, 1] }}
         >
           <h1 className="text-2xl sm:text-3xl font-semibold text-white/90 md:text-4xl">
-            Tell us how you're feeling.
+            {t('interaction.heading')}
           </h1>
           <p className="mt-2 sm:mt-3 text-sm sm:text-base text-white/60">
-            Describe your symptoms and we'll guide you to the right care.
+            {t('interaction.subheading')}
           </p>
         </motion.div>
 
+        {/* Follow-up Conversation Thread */}
+        <AnimatePresence>
+          {conversation.length > 0 && (
+            <motion.div
+              className="mb-4 w-full max-w-2xl space-y-2 sm:space-y-3"
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -10 }}
+              transition={{ duration: 0.4 }}
+            >
+              {conversation.map((message, index) => (
+                <motion.div
+                  key={index}
+                  className={`flex ${message.role === 'user' ? 'justify-end' : 'justify-start'}`}
+                  initial={{ opacity: 0, y: 10 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ duration: 0.3 }}
+                >
+                  <p className={`max-w-[85%] rounded-2xl px-4 py-2.5 text-sm sm:text-base ${
+                    message.role === 'user'
+                      ? 'rounded-br-md bg-sky-500/80 text-white'
+                      : 'rounded-bl-md bg-white/10 text-white/90 ring-1 ring-white/15 backdrop-blur-sm'
+                  }`}>
+                    {message.content}
+                  </p>
+                </motion.div>
+              ))}
+              {loading && (
+                <div className="flex justify-start">
+                  <p className="rounded-2xl rounded-bl-md bg-white/10 px-4 py-2.5 text-sm text-white/50 ring-1 ring-white/15">
+                    {t('interaction.thinking')}
+                  </p>
+                </div>
+              )}
+            </motion.div>
+          )}
+        </AnimatePresence>
+
+        {/* Symptom change banner */}
+        {changedFrom && !result && (
+          <div className="mb-3 w-full max-w-2xl rounded-2xl bg-sky-500/10 p-3 sm:p-4 text-sm ring-1 ring-sky-400/30">
+            <div className="flex items-start justify-between gap-3">
+              <div className="min-w-0">
+                <p className="font-medium text-sky-200">{t('symptomChange.bannerTitle')}</p>
+                <p className="mt-1 text-white/60 line-clamp-2">
+                  {t('symptomChange.bannerBody', {
+                    symptoms: changedFrom.previous.symptoms,
+                    urgency: tTriage('urgency', changedFrom.previous.urgency),
+                  })}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => setChangedFrom(null)}
+                className="shrink-0 text-xs text-white/50 transition-colors hover:text-white"
+              >
+                {t('symptomChange.cancel')}
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Input Box */}
         <motion.form 
           onSubmit={handleSubmit} 
@@ -328,32 +852,56 @@ export default function Interaction({ isDarkMode = false }) {
             whileHover={{ scale: 1.01 }}
             transition={{ duration: 0.2 }}
           >
-            {/* Plus Icon - hidden on mobile */}
-            <motion.button
-              type="button"
-              className="hidden sm:flex ml-4 h-8 w-8 shrink-0 items-center justify-center rounded-lg bg-white/10 text-white/70 hover:bg-white/15 hover:text-white"
-              whileHover={{ scale: 1.1, rotate: 90 }}
-              whileTap={{ scale: 0.9 }}
-              transition={{ type: "spring", stiffness: 400 }}
-            >
-              <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={2} stroke="currentColor" className="h-5 w-5">
-                <path strokeLinecap="round" strokeLinejoin="round" d="M12 4.5v15m7.5-7.5h-15" />
-              </svg>
-            </motion.button>
+            {/* Plus Icon - attach a medication list, discharge summary or prescription photo */}
+            <input
+              ref={fileInputRef}
+              type="file"
+              multiple
+              accept={ACCEPTED_ATTACHMENT_TYPES}
+              className="hidden"
+              onChange={(e) => {
+                handleAttachFiles(e.target.files)
+                // Allow picking the same file again after removing it
+                e.target.value = ''
+              }}
+            />
+            {!result && (
+              <motion.button
+                type="button"
+                onClick={() => fileInputRef.current?.click()}
+                disabled={attachments.length >= MAX_ATTACHMENTS}
+                aria-label={t('attachments.add')}
+                title={attachments.length >= MAX_ATTACHMENTS ? t('attachments.limit', { max: MAX_ATTACHMENTS }) : t('attachments.add')}
+                className="flex ml-2 sm:ml-4 h-8 w-8 shrink-0 items-center justify-center rounded-lg bg-white/10 text-white/70 hover:bg-white/15 hover:text-white disabled:opacity-40 disabled:cursor-not-allowed"
+                whileHover={{ scale: 1.1, rotate: 90 }}
+                whileTap={{ scale: 0.9 }}
+                transition={{ type: "spring", stiffness: 400 }}
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={2} stroke="currentColor" className="h-5 w-5">
+                  <path strokeLinecap="round" strokeLinejoin="round" d="M12 4.5v15m7.5-7.5h-15" />
+                </svg>
+              </motion.button>
+            )}
 
             {/* Text Input */}
             <input
               type="text"
               value={input}
               onChange={(e) => setInput(e.target.value)}
-              placeholder="Describe your symptoms..."
+              placeholder={awaitingAnswer ? t('interaction.answerPlaceholder') : t('interaction.placeholder')}
               className="flex-1 bg-transparent px-3 sm:px-4 py-3 sm:py-4 text-sm sm:text-base text-white placeholder-white/40 outline-none"
             />
 
-            {/* Mic Icon - hidden on small mobile */}
+            {/* Mic Icon - toggles dictation */}
             <motion.button
               type="button"
-              className="hidden xs:flex mr-1 sm:mr-2 h-8 w-8 sm:h-10 sm:w-10 shrink-0 items-center justify-center rounded-xl text-white/50 hover:text-white"
+              onClick={() => (listening ? stopListening() : startListening(speechLanguage))}
+              aria-label={listening ? t('voice.stop') : t('voice.start')}
+              aria-pressed={listening}
+              title={listening ? t('voice.stop') : t('voice.start')}
+              className={`flex mr-1 sm:mr-2 h-8 w-8 sm:h-10 sm:w-10 shrink-0 items-center justify-center rounded-xl transition-colors ${
+                listening ? 'bg-red-500/20 text-red-300 ring-1 ring-red-400/40 animate-pulse' : 'text-white/50 hover:text-white'
+              }`}
               whileHover={{ scale: 1.1 }}
               whileTap={{ scale: 0.9 }}
             >
@@ -365,7 +913,8 @@ export default function Interaction({ isDarkMode = false }) {
             {/* Submit Button */}
             <motion.button
               type="submit"
-              disabled={loading}
+              disabled={readingAttachments}
+              title={readingAttachments ? t('attachments.waitForReading') : loading ? t('interaction.replaceRequest') : undefined}
               className={`mr-2 sm:mr-3 flex h-9 w-9 sm:h-10 sm:w-10 shrink-0 items-center justify-center rounded-xl text-white shadow-lg shadow-sky-500/25 transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${submitBg}`}
               whileHover={{ scale: loading ? 1 : 1.1, boxShadow: "0 15px 30px -5px rgba(14, 165, 233, 0.5)" }}
               whileTap={{ scale: loading ? 1 : 0.9 }}
@@ -382,6 +931,206 @@ export default function Interaction({ isDarkMode = false }) {
               )}
             </motion.button>
           </motion.div>
+
+          {!result && (
+            <AttachmentList
+              attachments={attachments}
+              onKindChange={(id, kind) => updateAttachment(id, { kind })}
+              onRemove={(id) => setAttachments((current) => current.filter((attachment) => attachment.id !== id))}
+            />
+          )}
+
+          {/* Dictation status - live transcript and recognition language */}
+          {(listening || voiceError) && (
+            <div className="mt-3 rounded-xl bg-white/5 px-4 py-2.5 text-xs sm:text-sm text-white/60 ring-1 ring-white/10">
+              {listening && (
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <span className="flex items-center gap-2 text-red-300">
+                    <span className="h-2 w-2 rounded-full bg-red-400 animate-pulse" />
+                    {t('voice.listening')}
+                  </span>
+                  <div className="flex items-center gap-2">
+                    <label className="flex items-center gap-1.5">
+                      <span className="text-white/40">{t('voice.language')}</span>
+                      <select
+                        value={speechLanguage}
+                        onChange={(e) => handleVoiceLanguageChange(e.target.value)}
+                        className="rounded-md bg-slate-800 px-2 py-1 text-white/80 ring-1 ring-white/10 outline-none"
+                      >
+                        {SPEECH_LANGUAGES.map(({ value, label }) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <button
+                      type="button"
+                      onClick={stopListening}
+                      className="text-sky-400 hover:text-sky-300"
+                    >
+                      {t('voice.stop')}
+                    </button>
+                  </div>
+                </div>
+              )}
+              {listening && voiceInterim && (
+                <p className="mt-2 italic text-white/50">{voiceInterim}…</p>
+              )}
+              {voiceError && <p className="text-red-300">{voiceError}</p>}
+            </div>
+          )}
+
+          {/* Redaction preview - what will be masked before the text is sent */}
+          {inputRedactions.length > 0 && (
+            <div className="mt-3 rounded-xl bg-white/5 px-4 py-2.5 text-xs sm:text-sm text-white/60 ring-1 ring-white/10">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <span>🔒 {t('interaction.redactionNotice', { count: inputRedactions.length })}</span>
+                <button
+                  type="button"
+                  onClick={() => setShowRedactions(!showRedactions)}
+                  className="text-sky-400 hover:text-sky-300"
+                >
+                  {showRedactions ? t('interaction.hideRedactions') : t('interaction.showRedactions')}
+                </button>
+              </div>
+              {showRedactions && (
+                <ul className="mt-2 space-y-1">
+                  {inputRedactions.map((redaction, index) => (
+                    <li key={index} className="flex flex-wrap items-center gap-2">
+                      <span className="text-white/40">{t(`redaction.${redaction.type}`)}</span>
+                      <span className="text-white/70 line-through">{redaction.value}</span>
+                      <span className="text-white/40">→</span>
+                      <span className="font-mono text-sky-300">{redaction.placeholder}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          {/* Follow-up question controls */}
+          {!result && (
+            <div className="mt-3 flex flex-wrap items-center justify-center gap-2 text-xs sm:text-sm">
+              {loading ? (
+                <button
+                  type="button"
+                  onClick={cancelTriage}
+                  className="rounded-full bg-white/5 px-3 py-1.5 text-white/70 ring-1 ring-white/10 transition-colors hover:bg-white/10 hover:text-white"
+                >
+                  {t('common.cancel')}
+                </button>
+              ) : awaitingAnswer ? (
+                <>
+                  <button
+                    type="button"
+                    onClick={handleSkipQuestions}
+                    className="rounded-full bg-white/5 px-3 py-1.5 text-white/70 ring-1 ring-white/10 transition-colors hover:bg-white/10 hover:text-white disabled:opacity-50"
+                  >
+                    {t('interaction.skipQuestions')}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => { setConversation([]); setRedactions([]); setAttachments([]); setStructuredSymptoms(EMPTY_STRUCTURED_SYMPTOMS); setVitals(EMPTY_VITALS); setHealthTrends(null); setChangedFrom(null); setInput(''); setError(null); }}
+                    className="rounded-full px-3 py-1.5 text-white/50 transition-colors hover:text-white disabled:opacity-50"
+                  >
+                    {t('interaction.startOver')}
+                  </button>
+                </>
+              ) : (
+                <label className="flex cursor-pointer items-center gap-2 text-white/60">
+                  <input
+                    type="checkbox"
+                    checked={askFollowUps}
+                    onChange={(e) => setAskFollowUps(e.target.checked)}
+                    className="h-4 w-4 rounded accent-sky-500"
+                  />
+                  {t('interaction.askFollowUps')}
+                </label>
+              )}
+              <button
+                type="button"
+                onClick={() => setShowPatientForm(!showPatientForm)}
+                className="rounded-full bg-white/5 px-3 py-1.5 text-white/70 ring-1 ring-white/10 transition-colors hover:bg-white/10 hover:text-white"
+              >
+                {showPatientForm ? t('interaction.hidePatientDetails') : t('interaction.patientDetails')}
+                {!showPatientForm && normalizePatientContext(patient) && <span className="ml-1 text-sky-400">•</span>}
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowVitalsForm(!showVitalsForm)}
+                className="rounded-full bg-white/5 px-3 py-1.5 text-white/70 ring-1 ring-white/10 transition-colors hover:bg-white/10 hover:text-white"
+              >
+                {showVitalsForm ? t('interaction.hideVitals') : t('interaction.vitals')}
+                {!showVitalsForm && (normalizeVitals(vitals) || healthTrends) && <span className="ml-1 text-sky-400">•</span>}
+              </button>
+              {!awaitingAnswer && (
+                <button
+                  type="button"
+                  onClick={() => setShowBodyMap(!showBodyMap)}
+                  className="rounded-full bg-white/5 px-3 py-1.5 text-white/70 ring-1 ring-white/10 transition-colors hover:bg-white/10 hover:text-white"
+                >
+                  {showBodyMap ? t('bodyMap.hide') : t('bodyMap.open')}
+                  {!showBodyMap && pickedSymptoms && <span className="ml-1 text-sky-400">•</span>}
+                </button>
+              )}
+            </div>
+          )}
+
+          {/* Vital Signs Form */}
+          <AnimatePresence>
+            {!result && showVitalsForm && (
+              <motion.div
+                className="overflow-hidden"
+                initial={{ opacity: 0, height: 0 }}
+                animate={{ opacity: 1, height: 'auto' }}
+                exit={{ opacity: 0, height: 0 }}
+                transition={{ duration: 0.3 }}
+              >
+                <VitalSignsForm vitals={vitals} onChange={setVitals} patient={normalizePatientContext(patient)} />
+                <HealthImport
+                  trends={healthTrends}
+                  onChange={setHealthTrends}
+                  onUseLatest={(latest) => setVitals({ ...vitals, ...latest })}
+                />
+              </motion.div>
+            )}
+          </AnimatePresence>
+
+          {/* Body map symptom picker */}
+          <AnimatePresence>
+            {!result && !awaitingAnswer && showBodyMap && (
+              <motion.div
+                className="overflow-hidden"
+                initial={{ opacity: 0, height: 0 }}
+                animate={{ opacity: 1, height: 'auto' }}
+                exit={{ opacity: 0, height: 0 }}
+                transition={{ duration: 0.3 }}
+              >
+                <BodyMapPicker value={structuredSymptoms} onChange={setStructuredSymptoms} />
+              </motion.div>
+            )}
+          </AnimatePresence>
+
+          {/* Patient Context Form */}
+          <AnimatePresence>
+            {!result && showPatientForm && (
+              <motion.div
+                className="overflow-hidden"
+                initial={{ opacity: 0, height: 0 }}
+                animate={{ opacity: 1, height: 'auto' }}
+                exit={{ opacity: 0, height: 0 }}
+                transition={{ duration: 0.3 }}
+              >
+                <PatientContextForm
+                  patient={patient}
+                  onChange={(next) => { setPatient(next); setProfileSaveStatus(null) }}
+                  onSave={handleSavePatientProfile}
+                  saving={profileSaving}
+                  saveStatus={profileSaveStatus}
+                  canSave={!!currentUser}
+                />
+              </motion.div>
+            )}
+          </AnimatePresence>
         </motion.form>
 
         {/* Error Message */}
@@ -399,6 +1148,59 @@ export default function Interaction({ isDarkMode = false }) {
           )}
         </AnimatePresence>
 
+        {/* Crisis lines - shown straight away, while the model is still answering */}
+        {loading && crisisAlert && <CrisisSupport className="mt-4 w-full max-w-md" />}
+
+        {/* Red-flag Alert - shown while the model is still answering */}
+        <AnimatePresence>
+          {loading && redFlagAlert && !crisisAlert && (
+            <motion.div
+              className="mt-4 w-full max-w-md rounded-xl bg-red-500/20 px-4 py-3 text-center text-sm text-red-300 ring-1 ring-red-500/30"
+              initial={{ opacity: 0, y: 10, scale: 0.95 }}
+              animate={{ opacity: 1, y: 0, scale: 1 }}
+              exit={{ opacity: 0, y: -10, scale: 0.95 }}
+              transition={{ duration: 0.3 }}
+            >
+              <p className="font-semibold text-red-400">⚠️ {t(alertLabelKey(redFlagAlert), null, redFlagAlert.label)}</p>
+              <p className="mt-1">
+                {redFlagAlert.urgency === 'emergency'
+                  ? t('interaction.redFlagEmergency')
+                  : t('interaction.redFlagSoon')}
+              </p>
+            </motion.div>
+          )}
+        </AnimatePresence>
+
+        {/* Streamed routing fields, filled in while the model is still answering */}
+        <AnimatePresence>
+          {loading && partialResult && (
+            <motion.div
+              className="mt-4 w-full max-w-md rounded-2xl bg-white/5 p-4 ring-1 ring-white/10 backdrop-blur-sm"
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0 }}
+              transition={{ duration: 0.3 }}
+            >
+              <p className="mb-2 text-center text-xs uppercase tracking-wide text-white/40">{t('interaction.analyzing')}</p>
+              {[
+                { label: t('fields.specialist'), value: tTriage('specialist', partialResult.specialist) },
+                { label: t('fields.department'), value: tTriage('department', partialResult.department) },
+                { label: t('fields.urgency'), value: tTriage('urgency', partialResult.urgency) },
+                { label: t('fields.facilityType'), value: tTriage('facility_type', partialResult.facility_type) },
+              ].map((item) => (
+                <div key={item.label} className="flex items-center justify-between py-1 text-sm">
+                  <span className="text-white/50">{item.label}</span>
+                  {item.value ? (
+                    <span className="font-medium capitalize text-white/90">{item.value}</span>
+                  ) : (
+                    <span className="h-3 w-20 animate-pulse rounded bg-white/10" />
+                  )}
+                </div>
+              ))}
+            </motion.div>
+          )}
+        </AnimatePresence>
+
         {/* Result Display */}
         <AnimatePresence>
           {result && (
@@ -415,12 +1217,46 @@ export default function Interaction({ isDarkMode = false }) {
                 animate={{ opacity: 1 }}
                 transition={{ delay: 0.2 }}
               >
-                Triage Result
+                {t('interaction.resultTitle')}
               </motion.h2>
+
+            {/* What changed since the earlier triage of this episode */}
+            {resultChange && (
+              <SymptomChangeSummary
+                className="mb-3 sm:mb-4"
+                previous={resultChange}
+                result={result}
+                symptoms={currentSearch?.symptoms}
+              />
+            )}
+
+            {/* Crisis lines lead instead of a hospital search */}
+            {result.crisis_risk && (
+              <CrisisSupport
+                className="mb-3 sm:mb-4"
+                onFindCare={() => navigate('/maps', { state: { triageResult: result, searchId: currentSearch?.id } })}
+              />
+            )}
+
+            {/* Offline Estimate Notice */}
+            {result.offline && (
+              <motion.div
+                className="mb-3 sm:mb-4 rounded-xl bg-amber-500/15 p-3 sm:p-4 text-sm ring-1 ring-amber-500/30"
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: 0.25 }}
+              >
+                <p className="font-semibold text-amber-300">{t('interaction.offlineTitle')}</p>
+                <p className="mt-1 text-white/70">{t('interaction.offlineBody')}</p>
+                {result.offline_reason && (
+                  <p className="mt-1 text-xs text-white/40">{result.offline_reason}</p>
+                )}
+              </motion.div>
+            )}
             
             {/* Emergency Alert */}
             <AnimatePresence>
-              {result.emergency_required && (
+              {result.emergency_required && !result.crisis_risk && (
                 <motion.div 
                   className="mb-3 sm:mb-4 rounded-xl bg-red-500/20 p-3 sm:p-4 text-center ring-1 ring-red-500/30"
                   initial={{ opacity: 0, scale: 0.9 }}
@@ -432,7 +1268,7 @@ export default function Interaction({ isDarkMode = false }) {
                     animate={{ scale: [1, 1.05, 1] }}
                     transition={{ duration: 1, repeat: Infinity }}
                   >
-                    ⚠️ Emergency Care Required
+                    ⚠️ {t('interaction.emergencyRequired')}
                   </motion.span>
                 </motion.div>
               )}
@@ -445,10 +1281,10 @@ export default function Interaction({ isDarkMode = false }) {
               animate="animate"
             >
               {[
-                { label: 'Specialist', value: result.specialist, color: 'text-indigo-300' },
-                { label: 'Department', value: result.department, color: 'text-sky-300' },
-                { label: 'Urgency', value: result.urgency, color: result.urgency === 'emergency' ? 'text-red-400' : result.urgency === 'urgent' ? 'text-yellow-400' : 'text-green-400' },
-                { label: 'Facility Type', value: result.facility_type?.replace('_', ' '), color: 'text-purple-300' },
+                { label: t('fields.specialist'), value: tTriage('specialist', routedResult.specialist), color: 'text-indigo-300' },
+                { label: t('fields.department'), value: tTriage('department', routedResult.department), color: 'text-sky-300' },
+                { label: t('fields.urgency'), value: tTriage('urgency', result.urgency), color: result.urgency === 'emergency' ? 'text-red-400' : result.urgency === 'urgent' ? 'text-yellow-400' : 'text-green-400' },
+                { label: t('fields.facilityType'), value: tTriage('facility_type', result.facility_type), color: 'text-purple-300' },
               ].map((item, i) => (
                 <motion.div 
                   key={item.label}
@@ -465,20 +1301,108 @@ export default function Interaction({ isDarkMode = false }) {
               ))}
             </motion.div>
 
-            <motion.button
-              onClick={() => navigate('/maps', { state: { triageResult: result } })}
-              className="mt-4 sm:mt-6 w-full rounded-xl bg-sky-500 py-2.5 sm:py-3 text-sm font-medium text-white shadow-lg shadow-sky-500/25 transition-colors hover:bg-sky-400"
-              initial={{ opacity: 0, y: 10 }}
-              animate={{ opacity: 1, y: 0 }}
-              transition={{ delay: 0.6 }}
-              whileHover={{ scale: 1.02, boxShadow: "0 15px 30px -5px rgba(14, 165, 233, 0.4)" }}
-              whileTap={{ scale: 0.98 }}
-            >
-              Find Nearby Facilities
-            </motion.button>
+            {/* Ranked alternatives; the chosen one is sent to the map */}
+            {alternatives.length > 1 && (
+              <motion.div
+                className="mt-2 sm:mt-3 rounded-xl bg-white/5 p-3 sm:p-4"
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: 0.45 }}
+              >
+                <p className="mb-2 text-sm text-white/70">{t('interaction.alternatives')}</p>
+                <div className="space-y-1.5">
+                  {alternatives.map((alternative, index) => (
+                    <button
+                      key={`${alternative.specialist}-${alternative.department}`}
+                      type="button"
+                      onClick={() => setSelectedAlternative(index)}
+                      className={`flex w-full items-center justify-between gap-3 rounded-lg px-3 py-2 text-left text-sm ring-1 transition-colors ${
+                        index === selectedAlternative
+                          ? 'bg-sky-500/20 text-white ring-sky-400/40'
+                          : 'bg-white/5 text-white/70 ring-white/10 hover:bg-white/10'
+                      }`}
+                    >
+                      <span>
+                        {tTriage('specialist', alternative.specialist)}
+                        <span className="text-white/40"> · {tTriage('department', alternative.department)}</span>
+                      </span>
+                      <span className="flex items-center gap-2">
+                        <span className="h-1.5 w-12 overflow-hidden rounded-full bg-white/10">
+                          <span
+                            className="block h-full rounded-full bg-sky-400"
+                            style={{ width: `${Math.round(alternative.confidence * 100)}%` }}
+                          />
+                        </span>
+                        <span className="w-9 text-right text-xs text-white/50">{Math.round(alternative.confidence * 100)}%</span>
+                      </span>
+                    </button>
+                  ))}
+                </div>
+              </motion.div>
+            )}
+
+            {/* Red-flag rule that escalated this result */}
+            {result.red_flag && (
+              <motion.div
+                className="mt-2 sm:mt-3 rounded-xl bg-red-500/10 p-3 sm:p-4 text-sm ring-1 ring-red-500/20"
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: 0.5 }}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <span className="text-white/70">{t('interaction.safetyRule')}</span>
+                  <span className="text-xs text-white/40">{t('interaction.rulesVersion', { version: result.red_flag.rules_version })}</span>
+                </div>
+                <p className="mt-1 font-medium text-red-300">{t(`redFlags.${result.red_flag.id}`, null, result.red_flag.label)}</p>
+              </motion.div>
+            )}
+
+            {/* Vital-sign threshold that escalated this result */}
+            {result.vital_alert && (
+              <motion.div
+                className="mt-2 sm:mt-3 rounded-xl bg-red-500/10 p-3 sm:p-4 text-sm ring-1 ring-red-500/20"
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: 0.5 }}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <span className="text-white/70">{t('interaction.vitalRule')}</span>
+                  <span className="text-xs text-white/40">{t('interaction.rulesVersion', { version: result.vital_alert.rules_version })}</span>
+                </div>
+                <p className="mt-1 font-medium text-red-300">{t(alertLabelKey(result.vital_alert), null, result.vital_alert.label)}</p>
+              </motion.div>
+            )}
+
+            {!result.crisis_risk && (
+              <motion.button
+                onClick={findFacilities}
+                className="mt-4 sm:mt-6 w-full rounded-xl bg-sky-500 py-2.5 sm:py-3 text-sm font-medium text-white shadow-lg shadow-sky-500/25 transition-colors hover:bg-sky-400"
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: 0.6 }}
+                whileHover={{ scale: 1.02, boxShadow: "0 15px 30px -5px rgba(14, 165, 233, 0.4)" }}
+                whileTap={{ scale: 0.98 }}
+              >
+                {t('interaction.findFacilities')}
+              </motion.button>
+            )}
+
+            {currentSearch && (
+              <motion.button
+                onClick={startSymptomChange}
+                className="mt-2 sm:mt-3 w-full rounded-xl bg-white/5 py-2.5 sm:py-3 text-sm font-medium text-white/80 ring-1 ring-sky-400/30 transition-colors hover:bg-sky-500/10"
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: 0.65 }}
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+              >
+                {t('symptomChange.start')}
+              </motion.button>
+            )}
 
             <motion.button
-              onClick={() => { setResult(null); setInput(''); }}
+              onClick={() => { setResult(null); setResultChange(null); setCurrentSearch(null); setInput(''); setConversation([]); setStructuredSymptoms(EMPTY_STRUCTURED_SYMPTOMS); setVitals(EMPTY_VITALS); setHealthTrends(null); }}
               className="mt-2 sm:mt-3 w-full rounded-xl bg-white/10 py-2.5 sm:py-3 text-sm font-medium text-white/80 ring-1 ring-white/15 transition-colors hover:bg-white/15"
               initial={{ opacity: 0, y: 10 }}
               animate={{ opacity: 1, y: 0 }}
@@ -486,7 +1410,7 @@ export default function Interaction({ isDarkMode = false }) {
               whileHover={{ scale: 1.02 }}
               whileTap={{ scale: 0.98 }}
             >
-              Check another symptom
+              {t('interaction.checkAnother')}
             </motion.button>
           </motion.div>
         )}
@@ -494,7 +1418,7 @@ export default function Interaction({ isDarkMode = false }) {
 
         {/* Suggestion Chips */}
         <AnimatePresence>
-          {!result && (
+          {!result && conversation.length === 0 && (
             <motion.div 
               className="mt-5 sm:mt-6 flex flex-wrap justify-center gap-2 px-2"
               initial={{ opacity: 0, y: 20 }}
@@ -502,7 +1426,7 @@ export default function Interaction({ isDarkMode = false }) {
               exit={{ opacity: 0, y: -10 }}
               transition={{ duration: 0.5, delay: 0.6 }}
             >
-              {['Headache', 'Fever', 'Chest pain', 'Fatigue', 'Cough'].map((symptom, i) => (
+              {SUGGESTION_KEYS.map((key) => t(`interaction.chips.${key}`)).map((symptom, i) => (
                 <motion.button
                   key={symptom}
                   onClick={() => setInput(symptom)}
@@ -520,9 +1444,47 @@ export default function Interaction({ isDarkMode = false }) {
           )}
         </AnimatePresence>
 
+        {/* Outcome prompt for an earlier search */}
+        <AnimatePresence>
+          {!result && conversation.length === 0 && outcomePrompt && (
+            <motion.div
+              key={outcomePrompt.id}
+              className="mt-8 w-full max-w-2xl rounded-2xl bg-slate-800/60 p-4 ring-1 ring-sky-400/20 backdrop-blur-sm"
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -10 }}
+              transition={{ duration: 0.5, delay: 0.7 }}
+            >
+              <div className="flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-white">{t('outcome.promptTitle')}</p>
+                  <p className="mt-1 text-xs text-white/50 line-clamp-2">
+                    {t('outcome.promptBody', { symptoms: outcomePrompt.symptoms, date: formatDate(outcomePrompt.createdAt) })}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleDismissOutcomePrompt(outcomePrompt.id)}
+                  className="shrink-0 text-xs text-white/50 transition-colors hover:text-white"
+                >
+                  {t('outcome.notNow')}
+                </button>
+              </div>
+              <div className="mt-3">
+                <SearchOutcome
+                  search={outcomePrompt}
+                  onSaved={handleOutcomeSaved}
+                  onCancel={() => handleDismissOutcomePrompt(outcomePrompt.id)}
+                  startEditing
+                />
+              </div>
+            </motion.div>
+          )}
+        </AnimatePresence>
+
         {/* Recent Searches Section - Always visible for logged in users */}
         <AnimatePresence>
-          {!result && currentUser && searchHistory.length > 0 && (
+          {!result && conversation.length === 0 && currentUser && searchHistory.length > 0 && (
             <motion.div
               className="mt-8 w-full max-w-2xl"
               initial={{ opacity: 0, y: 20 }}
@@ -535,14 +1497,14 @@ export default function Interaction({ isDarkMode = false }) {
                   <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-4 h-4">
                     <path strokeLinecap="round" strokeLinejoin="round" d="M12 6v6h4.5m4.5 0a9 9 0 1 1-18 0 9 9 0 0 1 18 0Z" />
                   </svg>
-                  Recent Searches
+                  {t('interaction.recentSearches')}
                 </h3>
                 {searchHistory.length > 3 && (
                   <button
                     onClick={() => setShowHistory(true)}
                     className="text-xs text-sky-400 hover:text-sky-300 transition-colors"
                   >
-                    View all ({searchHistory.length})
+                    {t('interaction.viewAll', { count: searchHistory.length })}
                   </button>
                 )}
               </div>
@@ -572,10 +1534,10 @@ export default function Interaction({ isDarkMode = false }) {
                           ? 'bg-yellow-500/20 text-yellow-400 ring-1 ring-yellow-500/30' 
                           : 'bg-green-500/20 text-green-400 ring-1 ring-green-500/30'
                       }`}>
-                        {search.result?.urgency || 'N/A'}
+                        {tTriage('urgency', search.result?.urgency) || t('common.notAvailable')}
                       </span>
                       <span className="text-xs text-white/40">
-                        {search.result?.specialist || 'Unknown'}
+                        {tTriage('specialist', search.result?.specialist) || t('common.unknown')}
                       </span>
                     </div>
                     <div className="mt-2 pt-2 border-t border-white/5">
@@ -597,9 +1559,9 @@ export default function Interaction({ isDarkMode = false }) {
           animate={{ opacity: 1 }}
           transition={{ delay: 1 }}
         >
-          {currentUser 
-            ? "Your search history is saved securely. Sign out to browse privately."
-            : "Your information is private and secure. Sign in to save your search history."}
+          {currentUser
+            ? t('interaction.footerSignedIn')
+            : t('interaction.footerSignedOut')}
         </motion.p>
       </main>
     </div>
@@ -5,6 +5,8 @@ export default function Maps({ isDarkMode = false }) {
     // Get triage result passed via navigation state
     const location = useLocation()
     const triageResult = location.state?.triageResult
+    // The saved search the result belongs to, so the chosen origin can be stored with it
+    const searchId = location.state?.searchId
 
-    return <TriageMapRouter triageResult={triageResult} isDarkMode={isDarkMode} />
+    return <TriageMapRouter triageResult={triageResult} searchId={searchId} isDarkMode={isDarkMode} />
 }
\ No newline at end of file
@@ -0,0 +1,38 @@
+import { useEffect, useState } from 'react';
+import { LOCALES, DEFAULT_LOCALE, translate, translateTriageValue } from '../utils/locales';
+import { LocaleContext } from './useLocale';
+
+const STORAGE_KEY = 'lackecity-locale';
+
+// Saved choice first, then the browser language, then English
+function getInitialLocale() {
+  if (typeof window === 'undefined') return DEFAULT_LOCALE;
+  const stored = localStorage.getItem(STORAGE_KEY);
+  if (stored && LOCALES[stored]) return stored;
+  const browserLocale = navigator.language?.split('-')[0];
+  return LOCALES[browserLocale] ? browserLocale : DEFAULT_LOCALE;
+}
+
+export function LocaleProvider({ children }) {
+  const [locale, setLocale] = useState(getInitialLocale);
+
+  // Persist the choice and keep the document language in sync for screen readers
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, locale);
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const value = {
+    locale,
+    setLocale,
+    intlLocale: LOCALES[locale].intl,
+    t: (key, params, fallback) => translate(locale, key, params, fallback),
+    tTriage: (field, triageValue) => translateTriageValue(locale, field, triageValue)
+  };
+
+  return (
+    <LocaleContext.Provider value={value}>
+      {children}
+    </LocaleContext.Provider>
+  );
+}
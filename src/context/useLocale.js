@@ -0,0 +1,8 @@
+import { createContext, useContext } from 'react';
+
+// Kept apart from LocaleProvider so that file only exports components (fast refresh)
+export const LocaleContext = createContext();
+
+export function useLocale() {
+  return useContext(LocaleContext);
+}
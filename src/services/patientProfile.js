@@ -0,0 +1,75 @@
+import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
+import { db } from '../firebase/config';
+import { normalizePatientContext } from '../utils/patientContext';
+import { normalizeSavedPlaces } from '../utils/location';
+
+// One document per user, keyed by user ID
+const PATIENT_PROFILES_COLLECTION = 'patientProfiles';
+
+/**
+ * Get the user's saved patient context
+ * @param {string} userId - The user's ID
+ * @returns {Promise<object|null>} The saved patient context, or null if none is saved
+ */
+export async function getPatientProfile(userId) {
+  try {
+    const snapshot = await getDoc(doc(db, PATIENT_PROFILES_COLLECTION, userId));
+    if (!snapshot.exists()) return null;
+    return normalizePatientContext(snapshot.data().patient);
+  } catch (error) {
+    console.error('Error fetching patient profile:', error);
+    // Return null instead of throwing so triage still works without a profile
+    return null;
+  }
+}
+
+/**
+ * Save the user's patient context
+ * @param {string} userId - The user's ID
+ * @param {object} patient - Patient context (age, sex, pregnancy, chronic conditions)
+ */
+export async function savePatientProfile(userId, patient) {
+  try {
+    await setDoc(doc(db, PATIENT_PROFILES_COLLECTION, userId), {
+      patient: normalizePatientContext(patient),
+      updatedAt: serverTimestamp()
+    }, { merge: true });
+  } catch (error) {
+    console.error('Error saving patient profile:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the user's saved places (home, work, a relative's house...)
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Array>} Saved places, see normalizeSavedPlaces in ../utils/location
+ */
+export async function getSavedPlaces(userId) {
+  try {
+    const snapshot = await getDoc(doc(db, PATIENT_PROFILES_COLLECTION, userId));
+    if (!snapshot.exists()) return [];
+    return normalizeSavedPlaces(snapshot.data().places);
+  } catch (error) {
+    console.error('Error fetching saved places:', error);
+    // Return an empty list so the map still works with GPS or a typed address
+    return [];
+  }
+}
+
+/**
+ * Replace the user's saved places
+ * @param {string} userId - The user's ID
+ * @param {Array} places - Saved places
+ */
+export async function saveSavedPlaces(userId, places) {
+  try {
+    await setDoc(doc(db, PATIENT_PROFILES_COLLECTION, userId), {
+      places: normalizeSavedPlaces(places),
+      updatedAt: serverTimestamp()
+    }, { merge: true });
+  } catch (error) {
+    console.error('Error saving places:', error);
+    throw error;
+  }
+}
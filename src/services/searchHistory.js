@@ -6,27 +6,39 @@ import {
   orderBy, 
   limit, 
   getDocs,
+  doc,
+  updateDoc,
   serverTimestamp 
 } from 'firebase/firestore';
 import { db } from '../firebase/config';
+import { redactConversation, redactText } from '../utils/redaction';
 
 const SEARCHES_COLLECTION = 'searches';
 
 /**
- * Save a search to the user's history
+ * Save a search to the user's history. Personal identifiers in the symptoms and the
+ * follow-up conversation are masked again here so nothing unredacted is persisted,
+ * whichever screen saved it.
  * @param {string} userId - The user's ID
  * @param {string} symptoms - The symptoms searched
  * @param {object} result - The triage result
+ * @param {object} details - Optional extra fields stored with the search (e.g. the follow-up conversation)
+ * @returns {Promise<string>} The ID of the saved search
  */
-export async function saveSearch(userId, symptoms, result) {
+export async function saveSearch(userId, symptoms, result, details = {}) {
   try {
-    await addDoc(collection(db, SEARCHES_COLLECTION), {
+    const docRef = await addDoc(collection(db, SEARCHES_COLLECTION), {
+      ...details,
       userId,
-      symptoms,
+      symptoms: redactText(symptoms).text,
+      ...(details.conversation ? { conversation: redactConversation(details.conversation).messages } : {}),
       result,
+      // Which triage prompt produced the result; offline estimates have none
+      promptVersion: result?.prompt_version || null,
       createdAt: serverTimestamp()
     });
     // console.log('Search saved successfully');
+    return docRef.id;
   } catch (error) {
     console.error('Error saving search:', error);
     throw error;
@@ -75,3 +87,86 @@ export async function getSearchHistory(userId, maxResults = 10) {
     return [];
   }
 }
+
+/**
+ * Record what happened after a search (facility visited, whether the specialist was right).
+ * Saving again replaces the previous answers.
+ * @param {string} searchId - The search document ID
+ * @param {object} outcome - Normalized outcome, see ../utils/searchOutcome
+ */
+export async function updateSearchOutcome(searchId, outcome) {
+  try {
+    await updateDoc(doc(db, SEARCHES_COLLECTION, searchId), {
+      outcome: { ...outcome, updatedAt: serverTimestamp() }
+    });
+  } catch (error) {
+    console.error('Error saving search outcome:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record where facilities were searched from for a search. Changing the location on the map
+ * replaces it.
+ * @param {string} searchId - The search document ID
+ * @param {object} origin - Search origin, see toSearchOrigin in ../utils/location
+ */
+export async function updateSearchOrigin(searchId, origin) {
+  try {
+    await updateDoc(doc(db, SEARCHES_COLLECTION, searchId), {
+      origin: { ...origin, updatedAt: serverTimestamp() }
+    });
+  } catch (error) {
+    console.error('Error saving search origin:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record which ranked alternative the facility search was opened for. Opening the map again
+ * with another alternative replaces it.
+ * @param {string} searchId - The search document ID
+ * @param {{index: number, specialist: string, department: string}} choice - Position in
+ *   `result.alternatives` (0 is the top suggestion) and what was searched for
+ */
+export async function updateSearchChoice(searchId, choice) {
+  try {
+    await updateDoc(doc(db, SEARCHES_COLLECTION, searchId), {
+      chosenAlternative: { ...choice, updatedAt: serverTimestamp() }
+    });
+  } catch (error) {
+    console.error('Error saving chosen alternative:', error);
+    throw error;
+  }
+}
+
+/**
+ * Stop asking about the outcome of a search. It can still be added from the history panel.
+ * @param {string} searchId - The search document ID
+ */
+export async function dismissOutcomePrompt(searchId) {
+  try {
+    await updateDoc(doc(db, SEARCHES_COLLECTION, searchId), {
+      outcomeDismissedAt: serverTimestamp()
+    });
+  } catch (error) {
+    console.error('Error dismissing outcome prompt:', error);
+    throw error;
+  }
+}
+
+/**
+ * Group searches into episodes: a search re-triaged with "my symptoms changed" shares the
+ * `episodeId` of the first search it follows from.
+ * @param {Array} searches - Search history items, newest first
+ * @returns {Array<{id: string, searches: Array}>} Episodes, newest first; each lists its searches oldest first
+ */
+export function groupSearchEpisodes(searches) {
+  const episodes = new Map();
+  searches.forEach((search) => {
+    const id = search.episodeId || search.id;
+    if (!episodes.has(id)) episodes.set(id, { id, searches: [] });
+    episodes.get(id).searches.unshift(search);
+  });
+  return [...episodes.values()];
+}
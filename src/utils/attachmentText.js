@@ -0,0 +1,76 @@
+// Text extraction for attachments, in the browser: files are never uploaded.
+// PDF.js and Tesseract are loaded on first use so they stay out of the main bundle.
+// PDF.js is bundled, but Tesseract is not self-hosted: the first time a photo is read it downloads
+// its worker script, WebAssembly core and English + Hindi language model from cdn.jsdelivr.net.
+// Only those assets are fetched; the photo itself stays on the device.
+import { getAttachmentFormat, MAX_ATTACHMENT_BYTES } from './attachments'
+
+// Languages recognized in prescription photos
+const OCR_LANGUAGES = ['eng', 'hin']
+
+function attachmentError(code, message) {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+async function extractPdfText(file) {
+  const [pdfjs, { default: workerUrl }] = await Promise.all([
+    import('pdfjs-dist'),
+    import('pdfjs-dist/build/pdf.worker.min.mjs?url'),
+  ])
+  pdfjs.GlobalWorkerOptions.workerSrc = workerUrl
+
+  const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise
+  try {
+    const pages = []
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber)
+      const { items } = await page.getTextContent()
+      pages.push(items.map((item) => item.str).join(' '))
+    }
+    return pages.join('\n')
+  } finally {
+    pdf.destroy()
+  }
+}
+
+async function extractImageText(file) {
+  const { createWorker } = await import('tesseract.js')
+  const worker = await createWorker(OCR_LANGUAGES)
+  try {
+    const { data } = await worker.recognize(file)
+    return data.text
+  } finally {
+    await worker.terminate()
+  }
+}
+
+/**
+ * Extract the text of an attached file.
+ * @param {File} file - Text file, PDF or photo
+ * @returns {Promise<string>} The extracted text with whitespace collapsed
+ * @throws {Error} With `code` 'unsupported', 'too_large' or 'no_text'
+ */
+export async function extractAttachmentText(file) {
+  const format = getAttachmentFormat(file.type)
+  if (!format) {
+    throw attachmentError('unsupported', `Unsupported file type: ${file.type || 'unknown'}`)
+  }
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    throw attachmentError('too_large', `File is larger than ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB`)
+  }
+
+  const raw = format === 'pdf'
+    ? await extractPdfText(file)
+    : format === 'image'
+      ? await extractImageText(file)
+      : await file.text()
+
+  // Keep line breaks (one medicine per line) but drop runs of spaces and blank lines
+  const text = raw.replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim()
+  if (!text) {
+    throw attachmentError('no_text', 'No readable text was found in the file')
+  }
+  return text
+}
@@ -0,0 +1,73 @@
+// Attachments sent with triage: medication lists, discharge summaries and prescription photos.
+// Only the text extracted in the browser reaches the model; it is redacted and size-limited
+// like typed symptoms, and only metadata (never the text) is saved with the search.
+// Shared by the browser and the triage API server.
+
+export const ATTACHMENT_KINDS = ['medication_list', 'discharge_summary', 'prescription']
+
+// File types text can be extracted from: plain text, PDF (text layer) and photos (OCR)
+export const ATTACHMENT_MIME_TYPES = {
+  text: ['text/plain', 'text/markdown', 'text/csv'],
+  pdf: ['application/pdf'],
+  image: ['image/jpeg', 'image/png', 'image/webp'],
+}
+
+export const MAX_ATTACHMENTS = 3
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024
+// Same limit as a typed symptom description
+export const MAX_ATTACHMENT_TEXT_LENGTH = 2000
+
+/**
+ * Which extractor handles a file, from its MIME type.
+ * @param {string} mimeType
+ * @returns {'text'|'pdf'|'image'|null}
+ */
+export function getAttachmentFormat(mimeType) {
+  const format = Object.keys(ATTACHMENT_MIME_TYPES).find((key) => ATTACHMENT_MIME_TYPES[key].includes(mimeType))
+  return format || null
+}
+
+/**
+ * Guess what a file is from its type and name; the user can change it.
+ * @param {{name: string, type: string}} file
+ * @returns {string} One of ATTACHMENT_KINDS
+ */
+export function guessAttachmentKind({ name = '', type = '' }) {
+  if (/discharge|summary/i.test(name)) return 'discharge_summary'
+  if (/prescription|rx/i.test(name) || type.startsWith('image/')) return 'prescription'
+  return 'medication_list'
+}
+
+/**
+ * Clean up attachments so they are safe to send to the model.
+ * @param {Array<object>} attachments - Raw attachments from the form or request body
+ * @returns {Array<{kind: string, text: string}>} At most MAX_ATTACHMENTS entries with non-empty text
+ */
+export function normalizeAttachments(attachments) {
+  if (!Array.isArray(attachments)) return []
+
+  return attachments
+    .filter((attachment) => typeof attachment?.text === 'string' && attachment.text.trim())
+    .slice(0, MAX_ATTACHMENTS)
+    .map((attachment) => ({
+      kind: ATTACHMENT_KINDS.includes(attachment.kind) ? attachment.kind : 'medication_list',
+      text: attachment.text.trim().slice(0, MAX_ATTACHMENT_TEXT_LENGTH),
+    }))
+}
+
+/**
+ * What is saved with a search for an attachment: everything except the extracted text.
+ * @param {object} attachment - Attachment as held by the symptom form
+ * @returns {{kind: string, name: string, mimeType: string, size: number, textLength: number, truncated: boolean, redactions: Array<object>}}
+ */
+export function toAttachmentMetadata(attachment) {
+  return {
+    kind: attachment.kind,
+    name: attachment.name,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    textLength: attachment.text.length,
+    truncated: attachment.truncated,
+    redactions: attachment.redactions.map(({ type, placeholder }) => ({ type, placeholder })),
+  }
+}
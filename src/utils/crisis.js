@@ -0,0 +1,135 @@
+// Mental-health crisis detection and crisis-line lookup.
+// Suicidal thoughts and self-harm are matched locally (like red flags) and can also be
+// reported by the model through `crisis_risk`; either way the UI leads with crisis lines
+// instead of a hospital search. Bump CRISIS_RULES_VERSION whenever a rule changes.
+
+export const CRISIS_RULES_VERSION = '1.1.0'
+
+export const CRISIS_RULES = [
+  {
+    id: 'suicidal-thoughts',
+    label: 'Suicidal thoughts',
+    patterns: [
+      /suicid/i,
+      /\bkill(ing)?\s+my\s?self\b/i,
+      /\bend\s+(my\s+life|it\s+all)\b/i,
+      // Only wording that shows intent: "I'm going to die" is how chest pain or breathlessness feels too
+      /(?<!\b(don'?t|do\s+not|doesn'?t)\s+)\b(wants?|wanted|wanting)\s+to\s+die\b|\bwanna\s+die\b/i,
+      /\b(no\s+reason|don'?t\s+want)\s+to\s+(live|be\s+alive)\b/i,
+      /\bbetter\s+off\s+dead\b/i,
+      /khudkushi|aatmahatya|marna\s+chaht[aei]|mar\s+jaana\s+chaht[aei]|jeene\s+ka\s+mann?\s+nahi/i,
+      /आत्महत्या|खुदकुशी|ख़ुदकुशी|मरना\s*चाहत|मर\s*जाना\s*चाहत|जीने\s*का\s*मन\s*नहीं/,
+    ],
+  },
+  {
+    id: 'self-harm',
+    label: 'Self-harm',
+    patterns: [
+      /\bself[-\s]?harm/i,
+      /\b(cut|cutting|hurt|hurting|harm|harming|burn|burning)\s+my\s?self\b/i,
+      /khud\s+ko\s+(nuksaan|chot|kaat)/i,
+      /खुद\s*को\s*(नुकसान|चोट|काट)/,
+    ],
+  },
+]
+
+// Routing for crisis results; /maps uses it to search for psychiatric emergency care
+export const CRISIS_ROUTING = {
+  specialist: 'Psychiatrist',
+  department: 'Psychiatry',
+  urgency: 'emergency',
+  facility_type: 'hospital',
+  search_keywords: ['psychiatric emergency', 'mental health hospital', 'emergency room'],
+  emergency_required: true,
+}
+
+// Crisis lines by ISO region; `default` is used when the region has no entry
+export const CRISIS_LINES = {
+  IN: [
+    { name: 'Tele-MANAS', number: '14416' },
+    { name: 'AASRA', number: '+91 98204 66726' },
+    { name: 'Emergency', number: '112' },
+  ],
+  US: [
+    { name: '988 Suicide & Crisis Lifeline', number: '988' },
+    { name: 'Emergency', number: '911' },
+  ],
+  CA: [
+    { name: '9-8-8 Suicide Crisis Helpline', number: '988' },
+    { name: 'Emergency', number: '911' },
+  ],
+  GB: [
+    { name: 'Samaritans', number: '116 123' },
+    { name: 'Emergency', number: '999' },
+  ],
+  AU: [
+    { name: 'Lifeline', number: '13 11 14' },
+    { name: 'Emergency', number: '000' },
+  ],
+  default: [
+    { name: 'Emergency', number: '112' },
+  ],
+}
+
+const TIME_ZONE_REGIONS = {
+  'Asia/Kolkata': 'IN',
+  'Asia/Calcutta': 'IN',
+  'Europe/London': 'GB',
+}
+
+/**
+ * Find the first crisis rule matching the given text.
+ * @param {string} text - Free-text symptoms
+ * @returns {{id: string, label: string, rules_version: string}|null}
+ */
+export function matchCrisis(text) {
+  if (!text) return null
+  const rule = CRISIS_RULES.find(({ patterns }) => patterns.some((pattern) => pattern.test(text)))
+  return rule ? { id: rule.id, label: rule.label, rules_version: CRISIS_RULES_VERSION } : null
+}
+
+/**
+ * Mark a triage result as a crisis when a local rule or the model detected one.
+ * The result is routed to psychiatric emergency care unless an emergency red flag
+ * (e.g. an overdose) or vital sign already sent it to an emergency room.
+ * @param {object} result - Triage result; `crisis_risk` may already be set by the model
+ * @param {object|null} match - Local match from matchCrisis
+ * @returns {object} The result with `crisis_risk` and, when detected, `crisis` describing the source
+ */
+export function applyCrisis(result, match) {
+  if (!match && !result.crisis_risk) return result
+
+  const { alternatives, ...rest } = result
+  const keepRouting = result.red_flag?.urgency === 'emergency' || result.vital_alert?.urgency === 'emergency'
+  return {
+    ...(keepRouting ? result : { ...rest, ...CRISIS_ROUTING }),
+    ...(keepRouting || !alternatives ? {} : { alternatives: [] }),
+    crisis_risk: true,
+    crisis: match ? { source: 'rules', ...match } : { source: 'model' },
+  }
+}
+
+/**
+ * Best guess of the user's region, from the time zone first and then the browser language.
+ * @param {string} [timeZone] - IANA time zone
+ * @param {string} [language] - BCP 47 language tag, e.g. 'en-GB'
+ * @returns {string} ISO region code, or 'default'
+ */
+export function guessRegion(
+  timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone,
+  language = globalThis.navigator?.language,
+) {
+  if (TIME_ZONE_REGIONS[timeZone]) return TIME_ZONE_REGIONS[timeZone]
+  if (timeZone?.startsWith('Australia/')) return 'AU'
+  const region = language?.split('-')[1]?.toUpperCase()
+  return region && CRISIS_LINES[region] ? region : 'default'
+}
+
+/**
+ * Crisis lines for a region.
+ * @param {string} [region] - ISO region code, see guessRegion
+ * @returns {Array<{name: string, number: string}>}
+ */
+export function getCrisisLines(region = guessRegion()) {
+  return CRISIS_LINES[region] || CRISIS_LINES.default
+}
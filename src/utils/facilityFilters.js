@@ -0,0 +1,75 @@
+// Filters for the facility results on the map: open now, open 24 hours, minimum rating and
+// review count, facility type and wheelchair-accessible entrance. They only hide results;
+// ranking is unchanged.
+import { FACILITY_TYPES } from './triageSchema'
+
+export const EMPTY_FACILITY_FILTERS = {
+  openNow: false,
+  open24h: false,
+  wheelchair: false,
+  minRating: 0,
+  minReviews: 0,
+  facilityType: '',
+}
+
+export const MIN_RATING_OPTIONS = [0, 3, 3.5, 4, 4.5]
+export const MIN_REVIEW_OPTIONS = [0, 10, 50, 100, 500]
+
+// Places has no "emergency room" type, so names decide
+const EMERGENCY_NAME = /\b(emergency|casualty|trauma)\b/i
+const HOSPITAL_NAME = /\b(hospital|medical college|nursing home|institute of medical)/i
+
+/**
+ * Facility type of a Places result, in the triage result's terms.
+ * @param {object} place - Places result with `name` and `types`
+ * @returns {string} One of FACILITY_TYPES
+ */
+export function getFacilityType(place) {
+  if (EMERGENCY_NAME.test(place.name || '')) return 'emergency_room'
+  if (place.types?.includes('hospital') || HOSPITAL_NAME.test(place.name || '')) return 'hospital'
+  return 'clinic'
+}
+
+/**
+ * Whether opening hours say the place never closes.
+ * @param {object} openingHours - Places `opening_hours` with `periods`
+ * @returns {boolean}
+ */
+export function isOpen24Hours(openingHours) {
+  const periods = openingHours?.periods
+  if (!Array.isArray(periods) || !periods.length) return false
+  // Google's encoding of "open 24 hours": one period opening Sunday 00:00 that never closes
+  if (periods.length === 1 && periods[0].open?.time === '0000' && !periods[0].close) return true
+  // Otherwise every day has to run from midnight to midnight
+  const allDayDays = periods
+    .filter((period) => period.open?.time === '0000' && (!period.close || ['0000', '2359'].includes(period.close.time)))
+    .map((period) => period.open.day)
+  return new Set(allDayDays).size === 7
+}
+
+/**
+ * Number of filters that differ from the defaults.
+ * @param {object} filters
+ * @returns {number}
+ */
+export function countActiveFilters(filters) {
+  return Object.keys(EMPTY_FACILITY_FILTERS).filter((key) => filters[key] !== EMPTY_FACILITY_FILTERS[key]).length
+}
+
+/**
+ * The places that pass the filters. Unknown values (no opening hours, no accessibility info)
+ * fail a filter that needs them.
+ * @param {Array} places - Facility results
+ * @param {object} filters
+ * @returns {Array}
+ */
+export function filterPlaces(places, filters) {
+  return places.filter((place) => (
+    (!filters.openNow || place.isOpen === true) &&
+    (!filters.open24h || place.isOpen24h === true) &&
+    (!filters.wheelchair || place.wheelchairAccessible === true) &&
+    (place.rating || 0) >= filters.minRating &&
+    (place.user_ratings_total || 0) >= filters.minReviews &&
+    (!FACILITY_TYPES.includes(filters.facilityType) || place.facilityType === filters.facilityType)
+  ))
+}
@@ -0,0 +1,204 @@
+// Health app exports, parsed entirely in the browser: files are never uploaded.
+// Apple Health export.xml is streamed record by record since it can be hundreds of megabytes;
+// Google Fit / Takeout JSON and CSV files are read whole.
+import { HEALTH_TREND_DAYS, summarizeHealthReadings } from './healthTrends'
+
+export const MAX_HEALTH_FILE_BYTES = 50 * 1024 * 1024
+
+// Apple Health record types -> metric
+const APPLE_RECORD_TYPES = {
+  HKQuantityTypeIdentifierHeartRate: 'heartRate',
+  HKQuantityTypeIdentifierOxygenSaturation: 'spo2',
+  HKQuantityTypeIdentifierBodyTemperature: 'temperature',
+}
+
+// Google Fit data types -> metric; ".summary" points hold the average first
+const GOOGLE_FIT_DATA_TYPES = {
+  'com.google.heart_rate.bpm': 'heartRate',
+  'com.google.heart_rate.summary': 'heartRate',
+  'com.google.oxygen_saturation': 'spo2',
+  'com.google.oxygen_saturation.summary': 'spo2',
+  'com.google.body.temperature': 'temperature',
+  'com.google.body.temperature.summary': 'temperature',
+}
+
+// CSV header patterns -> metric, tried in order
+const CSV_COLUMNS = [
+  { metric: 'heartRate', pattern: /heart|pulse|bpm/i, exclude: /variab|hrv/i },
+  { metric: 'spo2', pattern: /spo2|oxygen|saturation/i },
+  { metric: 'temperature', pattern: /temp/i },
+]
+const CSV_TIME_COLUMN = /date|time/i
+
+function importError(code, message) {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+// Oxygen saturation is sometimes stored as a fraction, temperature sometimes in °F
+function toCanonical(metric, value, unit = '') {
+  if (metric === 'spo2' && value <= 1) return value * 100
+  if (metric === 'temperature' && (/°F|degF|fahrenheit|\(F\)/i.test(unit) || value > 50)) return (value - 32) * 5 / 9
+  return value
+}
+
+function getHealthExportFormat(file, head) {
+  if (/\.xml$/i.test(file.name) || head.includes('<HealthData')) return 'apple_health'
+  if (/\.json$/i.test(file.name) || /^\s*[[{]/.test(head)) return 'google_fit'
+  if (/\.csv$/i.test(file.name) || file.type === 'text/csv') return 'csv'
+  return null
+}
+
+// "2024-01-15 08:30:00 +0530" -> ms since the epoch
+function parseAppleDate(value) {
+  const [date, time, zone = '+0000'] = value.split(' ')
+  return Date.parse(`${date}T${time}${zone.slice(0, 3)}:${zone.slice(3)}`)
+}
+
+function readAppleRecord(record, onReading) {
+  const attributes = {}
+  for (const [, name, value] of record.matchAll(/(\w+)="([^"]*)"/g)) attributes[name] = value
+  const metric = APPLE_RECORD_TYPES[attributes.type]
+  if (!metric) return
+  onReading({
+    metric,
+    value: toCanonical(metric, Number(attributes.value), attributes.unit),
+    time: parseAppleDate(attributes.startDate || ''),
+  })
+}
+
+async function parseAppleHealth(file, onReading) {
+  const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader()
+  let buffer = ''
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (value) buffer += value
+    // Read up to the end of the last complete tag. Only a tag split across chunks is carried over,
+    // so workouts, activity summaries and routes after the last record never pile up in memory.
+    const cut = done ? buffer.length : buffer.lastIndexOf('>') + 1
+    if (cut > 0) {
+      for (const [record] of buffer.slice(0, cut).matchAll(/<Record\b[^>]*>/g)) {
+        if (record.includes('HKQuantityTypeIdentifier')) readAppleRecord(record, onReading)
+      }
+      buffer = buffer.slice(cut)
+    }
+    if (done) return
+    // Text between tags is never read
+    const tagStart = buffer.indexOf('<')
+    buffer = tagStart === -1 ? '' : buffer.slice(tagStart)
+  }
+}
+
+// Takeout files list { "Data Points": [...] }, the Fitness REST API returns { point: [...] }
+// or { bucket: [{ dataset: [{ point: [...] }] }] }
+function parseGoogleFit(data, onReading) {
+  const points = [
+    ...(data['Data Points'] || []),
+    ...(data.point || []),
+    ...(data.bucket || []).flatMap((bucket) => (bucket.dataset || []).flatMap((dataset) => dataset.point || [])),
+  ]
+  for (const point of points) {
+    const metric = GOOGLE_FIT_DATA_TYPES[point.dataTypeName]
+    const value = point.fitValue?.[0]?.value?.fpVal ?? point.value?.[0]?.fpVal
+    if (!metric || value === undefined) continue
+    onReading({ metric, value: toCanonical(metric, Number(value)), time: Number(point.startTimeNanos) / 1e6 })
+  }
+}
+
+function splitCsvLine(line) {
+  const cells = []
+  let cell = ''
+  let quoted = false
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (char === '"' && quoted && line[i + 1] === '"') {
+      cell += '"'
+      i++
+    } else if (char === '"') {
+      quoted = !quoted
+    } else if (char === ',' && !quoted) {
+      cells.push(cell.trim())
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+  return [...cells, cell.trim()]
+}
+
+function parseCsv(text, onReading) {
+  const [header, ...rows] = text.split(/\r?\n/).filter((line) => line.trim())
+  if (!header) return
+  const names = splitCsvLine(header)
+  const timeColumn = names.findIndex((name) => CSV_TIME_COLUMN.test(name))
+  if (timeColumn === -1) return
+
+  const columns = []
+  names.forEach((name, index) => {
+    const match = CSV_COLUMNS.find(({ pattern, exclude }) => pattern.test(name) && !exclude?.test(name))
+    if (match && index !== timeColumn) columns.push({ index, metric: match.metric, unit: name })
+  })
+
+  for (const row of rows) {
+    const cells = splitCsvLine(row)
+    const time = Date.parse(cells[timeColumn])
+    for (const { index, metric, unit } of columns) {
+      if (cells[index] === '' || cells[index] === undefined) continue
+      onReading({ metric, value: toCanonical(metric, Number(cells[index]), unit), time })
+    }
+  }
+}
+
+/**
+ * Read recent heart rate, SpO2 and temperature trends from a health app export.
+ * @param {File} file - Apple Health export.xml, Google Fit / Takeout JSON, or CSV with a date column
+ * @param {object} [options]
+ * @param {Date} [options.now] - End of the trend window
+ * @returns {Promise<object>} Health trends, see summarizeHealthReadings in ./healthTrends
+ * @throws {Error} With `code` 'unsupported', 'too_large', 'no_readings' or 'no_recent'
+ */
+export async function importHealthExport(file, { now = new Date() } = {}) {
+  const head = await file.slice(0, 512).text()
+  const source = getHealthExportFormat(file, head)
+  if (!source) {
+    throw importError('unsupported', `Unsupported health export: ${file.name}`)
+  }
+  if (source !== 'apple_health' && file.size > MAX_HEALTH_FILE_BYTES) {
+    throw importError('too_large', `File is larger than ${MAX_HEALTH_FILE_BYTES / 1024 / 1024} MB`)
+  }
+
+  // Old readings are only counted, so a multi-year export does not have to fit in memory
+  const since = now.getTime() - HEALTH_TREND_DAYS * 24 * 60 * 60 * 1000
+  const readings = []
+  let total = 0
+  const onReading = (reading) => {
+    if (!Number.isFinite(reading.value) || !Number.isFinite(reading.time)) return
+    total++
+    if (reading.time >= since) readings.push(reading)
+  }
+
+  if (source === 'apple_health') {
+    await parseAppleHealth(file, onReading)
+  } else if (source === 'google_fit') {
+    let data
+    try {
+      data = JSON.parse(await file.text())
+    } catch {
+      throw importError('unsupported', `Not a valid JSON file: ${file.name}`)
+    }
+    // A Takeout folder may be combined into a list of data sources
+    for (const item of Array.isArray(data) ? data : [data]) parseGoogleFit(item || {}, onReading)
+  } else {
+    parseCsv(await file.text(), onReading)
+  }
+
+  if (!total) {
+    throw importError('no_readings', 'No heart rate, SpO2 or temperature readings were found in the file')
+  }
+  const trends = summarizeHealthReadings(readings, { source, now })
+  if (!trends) {
+    throw importError('no_recent', `No readings from the last ${HEALTH_TREND_DAYS} days were found in the file`)
+  }
+  return trends
+}
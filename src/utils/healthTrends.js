@@ -0,0 +1,175 @@
+// Recent heart rate, SpO2 and temperature trends imported from a health app export
+// (Apple Health, Google Fit, CSV). Exports are parsed in the browser (see ./healthImport);
+// only the per-metric summary built here is sent to the model and saved with the search.
+// Shared by the browser and the triage API server.
+
+import { VITAL_RANGES } from './vitals.js'
+
+export const HEALTH_SOURCES = [
+  { value: 'apple_health', label: 'Apple Health' },
+  { value: 'google_fit', label: 'Google Fit' },
+  { value: 'csv', label: 'CSV file' },
+]
+
+// Canonical units match ./vitals so trends and typed readings compare directly
+export const HEALTH_METRICS = [
+  { value: 'heartRate', label: 'Heart rate', unit: 'bpm', promptKey: 'heart_rate' },
+  { value: 'spo2', label: 'Oxygen saturation', unit: '%', promptKey: 'spo2' },
+  { value: 'temperature', label: 'Temperature', unit: '°C', promptKey: 'temperature' },
+]
+
+// Only readings this recent are summarized
+export const HEALTH_TREND_DAYS = 14
+// The last few days are compared with the rest of the window to tell the direction of a trend
+const RECENT_DAYS = 3
+// Smallest change in the average that counts as rising or falling
+const TREND_TOLERANCE = { heartRate: 5, spo2: 1, temperature: 0.3 }
+export const TREND_DIRECTIONS = ['rising', 'falling', 'stable']
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const MAX_READINGS = 1_000_000
+
+const round1 = (value) => Math.round(value * 10) / 10
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length
+const inRange = (metric, value) => Number.isFinite(value) && value >= VITAL_RANGES[metric].min && value <= VITAL_RANGES[metric].max
+const isDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value))
+
+function trendDirection(metric, readings) {
+  const latest = readings[readings.length - 1].time
+  const recent = readings.filter((reading) => reading.time > latest - RECENT_DAYS * DAY_MS)
+  const earlier = readings.filter((reading) => reading.time <= latest - RECENT_DAYS * DAY_MS)
+  if (!recent.length || !earlier.length) return null
+
+  const change = average(recent.map((reading) => reading.value)) - average(earlier.map((reading) => reading.value))
+  if (Math.abs(change) < TREND_TOLERANCE[metric]) return 'stable'
+  return change > 0 ? 'rising' : 'falling'
+}
+
+/**
+ * Summarize raw readings from a health export into recent per-metric trends.
+ * @param {Array<{metric: string, value: number, time: number}>} readings - Values in canonical units, `time` in ms since the epoch
+ * @param {object} options
+ * @param {string} options.source - One of HEALTH_SOURCES
+ * @param {Date} [options.now] - End of the trend window
+ * @param {number} [options.days] - Length of the trend window
+ * @returns {object|null} { source, from, to, days, metrics: { heartRate?, spo2?, temperature? } }, or null without recent readings
+ */
+export function summarizeHealthReadings(readings, { source, now = new Date(), days = HEALTH_TREND_DAYS }) {
+  const end = now.getTime()
+  const start = end - days * DAY_MS
+  const metrics = {}
+
+  for (const { value: metric } of HEALTH_METRICS) {
+    const recent = readings
+      .filter((reading) => reading.metric === metric && reading.time >= start && reading.time <= end && inRange(metric, reading.value))
+      .sort((a, b) => a.time - b.time)
+    if (!recent.length) continue
+
+    const values = recent.map((reading) => reading.value)
+    const latest = recent[recent.length - 1]
+    metrics[metric] = {
+      latest: round1(latest.value),
+      latestAt: new Date(latest.time).toISOString(),
+      average: round1(average(values)),
+      min: round1(values.reduce((min, value) => Math.min(min, value))),
+      max: round1(values.reduce((max, value) => Math.max(max, value))),
+      count: recent.length,
+      direction: trendDirection(metric, recent),
+    }
+  }
+
+  if (!Object.keys(metrics).length) return null
+  return {
+    source,
+    from: new Date(start).toISOString(),
+    to: now.toISOString(),
+    days,
+    metrics,
+  }
+}
+
+/**
+ * Validate health trends received from the client.
+ * @param {object} value - As returned by summarizeHealthReadings
+ * @returns {object|null} The sanitized trends, or null if there is nothing usable
+ */
+export function normalizeHealthTrends(value) {
+  if (!value || typeof value !== 'object') return null
+  if (!HEALTH_SOURCES.some((source) => source.value === value.source)) return null
+  if (!isDate(value.from) || !isDate(value.to)) return null
+
+  const metrics = {}
+  for (const { value: metric } of HEALTH_METRICS) {
+    const trend = value.metrics?.[metric]
+    if (!trend || typeof trend !== 'object') continue
+    const numbers = [trend.latest, trend.average, trend.min, trend.max]
+    const count = Number(trend.count)
+    if (!numbers.every((number) => inRange(metric, number)) || !isDate(trend.latestAt)) continue
+    if (!Number.isInteger(count) || count < 1 || count > MAX_READINGS) continue
+
+    metrics[metric] = {
+      latest: round1(trend.latest),
+      latestAt: new Date(trend.latestAt).toISOString(),
+      average: round1(trend.average),
+      min: round1(trend.min),
+      max: round1(trend.max),
+      count,
+      direction: TREND_DIRECTIONS.includes(trend.direction) ? trend.direction : null,
+    }
+  }
+
+  if (!Object.keys(metrics).length) return null
+  return {
+    source: value.source,
+    from: new Date(value.from).toISOString(),
+    to: new Date(value.to).toISOString(),
+    days: Math.min(Math.max(Math.round(Number(value.days)) || HEALTH_TREND_DAYS, 1), HEALTH_TREND_DAYS),
+    metrics,
+  }
+}
+
+/**
+ * Health trends as sent to the model, with units.
+ * @param {object|null} trends - Normalized health trends
+ * @returns {object|null}
+ */
+export function toPromptHealthTrends(trends) {
+  if (!trends) return null
+  const prompt = {
+    source: HEALTH_SOURCES.find((source) => source.value === trends.source).label,
+    period: `${trends.from.slice(0, 10)} to ${trends.to.slice(0, 10)}`,
+  }
+  for (const { value: metric, unit, promptKey } of HEALTH_METRICS) {
+    const trend = trends.metrics[metric]
+    if (!trend) continue
+    prompt[promptKey] = {
+      latest: `${trend.latest} ${unit} at ${trend.latestAt.slice(0, 16).replace('T', ' ')} UTC`,
+      average: `${trend.average} ${unit}`,
+      range: `${trend.min}-${trend.max} ${unit}`,
+      readings: trend.count,
+      ...(trend.direction ? { trend: trend.direction } : {}),
+    }
+  }
+  return prompt
+}
+
+/**
+ * The latest imported readings that are recent enough to stand in for typed vital signs.
+ * @param {object|null} trends - Normalized health trends
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @param {number} [options.maxAgeHours] - Older readings are left out
+ * @returns {object|null} Partial vitals form values (°C), or null if no reading is recent enough
+ */
+export function getLatestVitals(trends, { now = new Date(), maxAgeHours = 24 } = {}) {
+  if (!trends) return null
+  const latest = {}
+  for (const { value: metric } of HEALTH_METRICS) {
+    const trend = trends.metrics[metric]
+    if (trend && now.getTime() - Date.parse(trend.latestAt) <= maxAgeHours * 60 * 60 * 1000) {
+      latest[metric] = String(trend.latest)
+    }
+  }
+  if (!Object.keys(latest).length) return null
+  return latest.temperature ? { ...latest, temperatureUnit: 'C' } : latest
+}
@@ -0,0 +1,381 @@
+// English UI strings. Keys missing from another locale fall back to these.
+
+export const MESSAGES = {
+  'common.backToHome': 'Back to Home',
+  'common.language': 'Language',
+  'common.cancel': 'Cancel',
+  'common.notAvailable': 'N/A',
+  'common.unknown': 'Unknown',
+
+  'fields.specialist': 'Specialist',
+  'fields.department': 'Department',
+  'fields.urgency': 'Urgency',
+  'fields.facilityType': 'Facility Type',
+
+  'interaction.history': 'History',
+  'interaction.searchHistory': 'Search History',
+  'interaction.noPreviousSearches': 'No previous searches',
+  'interaction.heading': "Tell us how you're feeling.",
+  'interaction.subheading': "Describe your symptoms in any language and we'll guide you to the right care.",
+  'interaction.thinking': 'Thinking...',
+  'interaction.placeholder': 'Describe your symptoms...',
+  'interaction.answerPlaceholder': 'Type your answer...',
+  'interaction.replaceRequest': 'Submit again to replace the current request',
+  'interaction.skipQuestions': 'Skip questions and show result',
+  'interaction.startOver': 'Start over',
+  'interaction.askFollowUps': 'Let the assistant ask follow-up questions',
+  'interaction.patientDetails': 'Patient details (optional)',
+  'interaction.hidePatientDetails': 'Hide patient details',
+  'interaction.redFlagEmergency': 'This may be an emergency. Call 112 or go to the nearest emergency room now.',
+  'interaction.redFlagSoon': 'Please seek medical care soon.',
+  'interaction.analyzing': 'Analyzing...',
+  'interaction.resultTitle': 'Triage Result',
+  'interaction.offlineTitle': 'Offline estimate',
+  'interaction.offlineBody': "We couldn't reach the triage assistant, so this is a rough keyword-based estimate. If you feel very unwell, call 112 or go to the nearest emergency room.",
+  'interaction.emergencyRequired': 'Emergency Care Required',
+  'interaction.alternatives': 'Other possible specialists',
+  'interaction.safetyRule': 'Safety rule triggered',
+  'interaction.rulesVersion': 'rules v{version}',
+  'interaction.findFacilities': 'Find Nearby Facilities',
+  'interaction.checkAnother': 'Check another symptom',
+  'interaction.recentSearches': 'Recent Searches',
+  'interaction.viewAll': 'View all ({count})',
+  'interaction.footerSignedIn': 'Your search history is saved securely. Sign out to browse privately.',
+  'interaction.footerSignedOut': 'Your information is private and secure. Sign in to save your search history.',
+  'interaction.chips.headache': 'Headache',
+  'interaction.chips.fever': 'Fever',
+  'interaction.chips.chestPain': 'Chest pain',
+  'interaction.chips.fatigue': 'Fatigue',
+  'interaction.chips.cough': 'Cough',
+  'interaction.redactionNotice': '{count} personal detail(s) will be masked before sending',
+  'interaction.showRedactions': 'Show what will be redacted',
+  'interaction.hideRedactions': 'Hide',
+
+  'redaction.email': 'Email',
+  'redaction.phone': 'Phone',
+  'redaction.id_number': 'ID number',
+  'redaction.date_of_birth': 'Date of birth',
+  'redaction.address': 'Address',
+  'redaction.pincode': 'Pincode',
+  'redaction.name': 'Name',
+
+  'voice.start': 'Describe symptoms by voice',
+  'voice.stop': 'Stop listening',
+  'voice.listening': 'Listening… speak your symptoms',
+  'voice.language': 'Speech language',
+  'voice.unsupported': 'Voice input is not supported in this browser. Please type your symptoms.',
+  'voice.errors.notAllowed': 'Microphone access was blocked. Allow it in your browser settings to use voice input.',
+  'voice.errors.noSpeech': "We didn't hear anything. Tap the mic and try again.",
+  'voice.errors.noMicrophone': 'No microphone was found.',
+  'voice.errors.generic': 'Voice input stopped unexpectedly. Please try again or type instead.',
+
+  'attachments.add': 'Attach a medication list, discharge summary or prescription photo',
+  'attachments.limit': 'You can attach up to {max} files',
+  'attachments.kind': 'Document type',
+  'attachments.kind.medication_list': 'Medication list',
+  'attachments.kind.discharge_summary': 'Discharge summary',
+  'attachments.kind.prescription': 'Prescription',
+  'attachments.remove': 'Remove attachment',
+  'attachments.reading': 'Reading text from the file…',
+  'attachments.ready': '{count} characters will be sent',
+  'attachments.redacted': '{count} personal detail(s) masked',
+  'attachments.truncated': 'Only the beginning of this document will be sent.',
+  'attachments.waitForReading': 'Wait until the attachments have been read',
+  'attachments.errors.unsupported': 'This file type is not supported. Use a text file, PDF or photo.',
+  'attachments.errors.too_large': 'This file is too large (10 MB max).',
+  'attachments.errors.no_text': 'No readable text was found in this file.',
+  'attachments.errors.failed': 'This file could not be read.',
+
+  'bodyMap.open': 'Body map (optional)',
+  'bodyMap.hide': 'Hide body map',
+  'bodyMap.title': 'Body map',
+  'bodyMap.hint': 'Tap where you feel symptoms, then pick what you feel. You can send this instead of typing.',
+  'bodyMap.rightSide': 'R',
+  'bodyMap.leftSide': 'L',
+  'bodyMap.otherAreas': 'Other areas',
+  'bodyMap.empty': 'Select an area on the body map to describe your symptoms.',
+  'bodyMap.remove': 'Remove area',
+  'bodyMap.symptoms': 'What do you feel?',
+  'bodyMap.pickSymptom': 'Pick at least one symptom for this area.',
+  'bodyMap.severity': 'How bad is it?',
+  'bodyMap.duration': 'Since when?',
+  'bodyMap.durationUnknown': 'Not sure',
+  'bodyMap.region.head': 'Head',
+  'bodyMap.region.neck': 'Neck / throat',
+  'bodyMap.region.chest': 'Chest',
+  'bodyMap.region.abdomen': 'Abdomen',
+  'bodyMap.region.pelvis': 'Pelvis / groin',
+  'bodyMap.region.left_arm': 'Left arm',
+  'bodyMap.region.right_arm': 'Right arm',
+  'bodyMap.region.left_leg': 'Left leg',
+  'bodyMap.region.right_leg': 'Right leg',
+  'bodyMap.region.back': 'Back',
+  'bodyMap.region.skin': 'Skin',
+  'bodyMap.region.whole_body': 'Whole body',
+  'bodyMap.descriptor.pain': 'Pain',
+  'bodyMap.descriptor.pressure': 'Pressure / tightness',
+  'bodyMap.descriptor.swelling': 'Swelling',
+  'bodyMap.descriptor.numbness': 'Numbness / tingling',
+  'bodyMap.descriptor.weakness': 'Weakness',
+  'bodyMap.descriptor.injury': 'Injury',
+  'bodyMap.descriptor.bleeding': 'Bleeding',
+  'bodyMap.descriptor.rash': 'Rash / itching',
+  'bodyMap.descriptor.dizziness': 'Dizziness',
+  'bodyMap.descriptor.vision_problems': 'Vision problems',
+  'bodyMap.descriptor.sore_throat': 'Sore throat',
+  'bodyMap.descriptor.cough': 'Cough',
+  'bodyMap.descriptor.breathlessness': 'Shortness of breath',
+  'bodyMap.descriptor.palpitations': 'Palpitations',
+  'bodyMap.descriptor.nausea': 'Nausea / vomiting',
+  'bodyMap.descriptor.diarrhea': 'Diarrhea',
+  'bodyMap.descriptor.urinary_problems': 'Urinary problems',
+  'bodyMap.descriptor.fever': 'Fever',
+  'bodyMap.descriptor.fatigue': 'Fatigue',
+  'bodyMap.descriptor.chills': 'Chills',
+  'bodyMap.severity.mild': 'Mild',
+  'bodyMap.severity.moderate': 'Moderate',
+  'bodyMap.severity.severe': 'Severe',
+  'bodyMap.duration.under_24_hours': 'Less than 24 hours',
+  'bodyMap.duration.1_3_days': '1-3 days',
+  'bodyMap.duration.4_7_days': '4-7 days',
+  'bodyMap.duration.over_1_week': 'More than a week',
+  'bodyMap.duration.over_1_month': 'More than a month',
+
+  'interaction.vitals': 'Vital signs (optional)',
+  'interaction.hideVitals': 'Hide vital signs',
+  'interaction.vitalRule': 'Vital-sign threshold crossed',
+
+  'vitals.hint': 'Enter any readings you have from a thermometer, pulse oximeter, BP cuff or glucometer. Leave the rest empty.',
+  'vitals.temperature': 'Temperature',
+  'vitals.spo2': 'Oxygen saturation (SpO2)',
+  'vitals.heartRate': 'Heart rate',
+  'vitals.bloodPressure': 'Blood pressure',
+  'vitals.systolic': 'Systolic (top number)',
+  'vitals.diastolic': 'Diastolic (bottom number)',
+  'vitals.glucose': 'Blood glucose',
+  'vitals.unit.C': '°C',
+  'vitals.unit.F': '°F',
+  'vitals.unit.bpm': 'bpm',
+  'vitals.errors.invalid': 'Enter a number.',
+  'vitals.errors.out_of_range': 'This reading looks unlikely. Check the value and unit.',
+  'vitals.errors.incomplete': 'Enter both blood pressure numbers.',
+  'vitals.errors.diastolic_above_systolic': 'The bottom number should be lower than the top number.',
+  'vitals.alertPreview.emergency': 'this will be treated as an emergency',
+  'vitals.alertPreview.urgent': 'this will be treated as urgent',
+
+  'healthImport.title': 'Import from a health app',
+  'healthImport.hint': 'Apple Health export.xml (unzip export.zip first), Google Fit / Takeout JSON, or a CSV with a date column. The file is read on this device and never uploaded; only a summary of the last 14 days of heart rate, SpO2 and temperature is used.',
+  'healthImport.import': 'Choose file',
+  'healthImport.replace': 'Choose another file',
+  'healthImport.importing': 'Reading file...',
+  'healthImport.remove': 'Remove',
+  'healthImport.summary': 'From {source}, last {days} days',
+  'healthImport.metric.heartRate': 'Heart rate',
+  'healthImport.metric.spo2': 'Oxygen saturation',
+  'healthImport.metric.temperature': 'Temperature',
+  'healthImport.latest': 'Latest {value} on {time}',
+  'healthImport.stats': 'Average {average} · range {min}–{max} · {count} readings',
+  'healthImport.direction.rising': 'Rising',
+  'healthImport.direction.falling': 'Falling',
+  'healthImport.direction.stable': 'Stable',
+  'healthImport.useLatest': 'Use latest readings as vital signs',
+  'healthImport.errors.unsupported': 'This file is not a supported health export.',
+  'healthImport.errors.too_large': 'This file is too large. Export a shorter period or a single data type.',
+  'healthImport.errors.no_readings': 'No heart rate, SpO2 or temperature readings were found in this file.',
+  'healthImport.errors.no_recent': 'This file has no readings from the last 14 days.',
+
+  'symptomChange.start': 'My symptoms changed',
+  'symptomChange.bannerTitle': 'Describe how your symptoms have changed',
+  'symptomChange.bannerBody': 'Compared with: "{symptoms}" ({urgency})',
+  'symptomChange.cancel': 'Cancel',
+  'symptomChange.comparedWith': 'Compared with your earlier check',
+  'symptomChange.comparedWithDate': 'Compared with your check on {date}',
+  'symptomChange.direction.escalated': 'more urgent',
+  'symptomChange.direction.de-escalated': 'less urgent',
+  'symptomChange.unchanged': 'Urgency and specialist are unchanged.',
+  'symptomChange.showText': 'Show what changed in the description',
+  'symptomChange.episode': 'Episode · {count} checks',
+
+  'outcome.none': 'Did you visit a facility?',
+  'outcome.add': 'Add outcome',
+  'outcome.edit': 'Edit outcome',
+  'outcome.summaryVisited': 'Visited {facility}',
+  'outcome.summaryNotVisited': 'Did not visit a facility',
+  'outcome.aFacility': 'a facility',
+  'outcome.verdictShort.right': 'specialist was right',
+  'outcome.verdictShort.wrong': 'needed a different specialist',
+  'outcome.verdictShort.unsure': 'not sure about the specialist',
+  'outcome.visited': 'Did you visit a facility?',
+  'outcome.visit.yes': 'Yes',
+  'outcome.visit.no': 'No',
+  'outcome.facilityName': 'Which one?',
+  'outcome.facilityNamePlaceholder': 'e.g. City Hospital',
+  'outcome.facilityType': 'Type',
+  'outcome.facilityTypeUnknown': 'Not sure',
+  'outcome.specialistRight': 'We suggested {specialist}. Was that right?',
+  'outcome.verdict.right': 'Yes, it was right',
+  'outcome.verdict.wrong': 'No, I needed someone else',
+  'outcome.verdict.unsure': 'Not sure',
+  'outcome.actualSpecialist': 'Who did you end up seeing?',
+  'outcome.actualSpecialistPlaceholder': 'e.g. Orthopedic surgeon',
+  'outcome.save': 'Save',
+  'outcome.saving': 'Saving...',
+  'outcome.cancel': 'Cancel',
+  'outcome.saveError': 'Could not save your answers. Please try again.',
+  'outcome.promptTitle': 'How did it go?',
+  'outcome.promptBody': 'You checked "{symptoms}" on {date}. Your answers help us route people better.',
+  'outcome.notNow': 'Not now',
+
+  'map.loadMore': 'Load more facilities',
+  'map.loadingMore': 'Loading more...',
+  'map.radiusExpanded': 'Fewer than {count} facilities that may be open within {from} km, so the search was widened to {to} km.',
+  'map.filters.title': 'Filters',
+  'map.filters.titleCount': 'Filters ({count})',
+  'map.filters.showing': 'Showing {count} of {total}',
+  'map.filters.clear': 'Clear filters',
+  'map.filters.openNow': 'Open now',
+  'map.filters.open24h': 'Open 24 hours',
+  'map.filters.wheelchair': 'Wheelchair-accessible entrance',
+  'map.filters.facilityType': 'Facility type',
+  'map.filters.anyType': 'Any',
+  'map.filters.minRating': 'Minimum rating',
+  'map.filters.minReviews': 'Minimum reviews',
+  'map.filters.any': 'Any',
+  'map.filters.emergencyNote': 'In an emergency, facilities that are closed right now are already left out.',
+  'map.filters.noMatch': 'No facilities match these filters.',
+  'map.location.title': 'Search from',
+  'map.location.source.gps': 'Your GPS location',
+  'map.location.source.manual': 'Address you entered',
+  'map.location.source.pin': 'Pin on the map',
+  'map.location.source.saved': 'Saved place',
+  'map.location.savedPlaces': 'Your saved places',
+  'map.location.removePlace': 'Remove {name}',
+  'map.location.saveCurrent': 'Save the current location as',
+  'map.location.kind.home': 'Home',
+  'map.location.kind.work': 'Work',
+  'map.location.kind.parents': "Parents' house",
+  'map.location.kind.other': 'Other',
+  'map.location.placeName': 'Name for this place',
+  'map.location.savePlace': 'Save',
+  'map.location.saving': 'Saving...',
+  'map.location.placeSaveError': "Couldn't update your saved places. Please try again.",
+  'map.location.gpsAccuracy': 'Accurate to ±{value}',
+  'map.location.areaAccuracy': 'Area of about {value}',
+  'map.location.pinned': 'Exact point you chose',
+  'map.location.change': 'Change',
+  'map.location.cancel': 'Cancel',
+  'map.location.locating': 'Finding your location...',
+  'map.location.useGps': 'Use my location',
+  'map.location.dropPin': 'Drop a pin',
+  'map.location.pinHint': 'Tap the map where you are',
+  'map.location.addressPlaceholder': 'Address, area or pincode',
+  'map.location.finding': 'Looking up the address...',
+  'map.location.notFound': "We couldn't find that place. Try a fuller address or a 6-digit pincode.",
+  'map.location.gpsError.denied': 'Location access is turned off. Enter an address or pincode, or drop a pin on the map.',
+  'map.location.gpsError.unavailable': "We couldn't get your GPS position. Enter an address or pincode, or drop a pin on the map.",
+  'map.location.gpsError.timeout': 'Getting your GPS position took too long. Enter an address or pincode, or drop a pin on the map.',
+  'map.location.gpsError.unsupported': "This browser can't share your location. Enter an address or pincode, or drop a pin on the map.",
+  'crisis.title': "You don't have to go through this alone",
+  'crisis.body': 'If you are thinking about ending your life or hurting yourself, please talk to someone now. These lines are free and confidential.',
+  'crisis.findCare': 'Find psychiatric emergency care nearby',
+  'crisis.line.Emergency': 'Emergency services',
+
+  'patient.age': 'Age',
+  'patient.ageExample': 'e.g. 34',
+  'patient.years': 'years',
+  'patient.months': 'months',
+  'patient.sex': 'Sex',
+  'patient.preferNotToSay': 'Prefer not to say',
+  'patient.sex.female': 'Female',
+  'patient.sex.male': 'Male',
+  'patient.sex.other': 'Other',
+  'patient.pregnant': 'Currently pregnant',
+  'patient.conditions': 'Long-term conditions',
+  'patient.otherConditions': 'Other conditions (optional)',
+  'patient.saving': 'Saving...',
+  'patient.saveToProfile': 'Save to my profile',
+  'patient.saved': 'Saved',
+  'patient.saveFailed': 'Could not save',
+  'patient.ageBand.infant': 'Infant',
+  'patient.ageBand.child': 'Child',
+  'patient.ageBand.adolescent': 'Adolescent',
+  'patient.ageBand.adult': 'Adult',
+  'patient.ageBand.older_adult': 'Older adult',
+  'patient.condition.diabetes': 'Diabetes',
+  'patient.condition.hypertension': 'High blood pressure',
+  'patient.condition.heart_disease': 'Heart disease',
+  'patient.condition.lung_disease': 'Asthma / COPD',
+  'patient.condition.kidney_disease': 'Kidney disease',
+  'patient.condition.immunocompromised': 'Weak immune system',
+  'patient.condition.cancer': 'Cancer treatment',
+
+  'map.noResultTitle': 'No Triage Result',
+  'map.noResultBody': 'Please describe your symptoms first.',
+  'map.goToChecker': 'Go to Symptom Checker',
+  'map.emergencyBanner': '⚠️ EMERGENCY: Visit the nearest hospital immediately!',
+  'map.crisisBanner': 'Free, confidential support is available now:',
+  'map.recommended': 'Recommended Facilities',
+  'map.nearbyHospitals': 'Nearby Hospitals',
+  'map.viewHospitals': 'View {count} Hospitals',
+  'map.offlineNote': 'Offline estimate - the triage assistant was unreachable.',
+  'map.offlineShort': 'Offline estimate',
+  'map.searching': 'Searching nearby facilities...',
+  'map.searchingShort': 'Searching...',
+  'map.open': 'Open',
+  'map.closed': 'Closed',
+  'map.hoursNA': 'Hours N/A',
+  'map.getDirections': 'Get Directions',
+  'map.startNavigation': 'Start Navigation',
+  'map.stopNavigation': 'Stop Navigation',
+  'map.bookAppointment': 'Book Appointment',
+  'map.callNow': '📞 Call Now',
+  'map.call': '📞 Call',
+  'map.visitWebsite': '🌐 Visit Website',
+  'map.website': '🌐 Website',
+  'map.bookViaGoogle': '🧾 Book via Google',
+  'map.google': '🧾 Google',
+  'map.contactReception': 'Please contact the hospital reception for appointment.',
+  'map.directionsTo': 'Directions to {name}',
+  'map.routeTo': 'Route to {name}',
+  'map.clear': 'Clear',
+  'map.car': '🚗 Car',
+  'map.bike': '🚴 Bike',
+  'map.walk': '🚶 Walk',
+  'map.driving': '🚗 Driving',
+  'map.cycling': '🚴 Cycling',
+  'map.walking': '🚶 Walking',
+  'map.distance': 'Distance',
+  'map.duration': 'Duration',
+  'map.travelTime': 'Travel time',
+  'map.liveNavigation': 'Live Navigation Active',
+  'map.followingLocation': 'Following your location',
+  'map.live': 'Live',
+  'map.triageSummary': 'Triage Summary',
+  'map.searchRadius': 'Search Radius',
+  'map.sortBy': 'Sort by: {option}',
+  'map.sort.recommended': 'Recommended',
+  'map.sort.travelTime': 'Travel time',
+  'map.sort.distance': 'Distance',
+  'map.sort.rating': 'Rating',
+  'map.yourLocation': 'Your Location',
+  'map.errors.noApiKey': 'Google Maps API key is not configured',
+  'map.errors.loadFailed': 'Failed to load Google Maps',
+  'map.errors.noneFound': 'No hospitals found nearby',
+  'map.errors.trackingFailed': 'Unable to track location. Please enable GPS.',
+}
+
+// Display names for triage values; anything not listed is shown as returned by the model
+export const TRIAGE_LABELS = {
+  urgency: {
+    normal: 'Normal',
+    urgent: 'Urgent',
+    emergency: 'Emergency',
+  },
+  facility_type: {
+    clinic: 'Clinic',
+    hospital: 'Hospital',
+    emergency_room: 'Emergency room',
+  },
+  specialist: {},
+  department: {},
+}
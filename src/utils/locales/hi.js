@@ -0,0 +1,453 @@
+// Hindi UI strings and display names for common specialists and departments.
+
+export const MESSAGES = {
+  'common.backToHome': 'होम पर वापस जाएँ',
+  'common.language': 'भाषा',
+  'common.cancel': 'रद्द करें',
+  'common.notAvailable': 'उपलब्ध नहीं',
+  'common.unknown': 'अज्ञात',
+
+  'fields.specialist': 'विशेषज्ञ',
+  'fields.department': 'विभाग',
+  'fields.urgency': 'तात्कालिकता',
+  'fields.facilityType': 'सुविधा का प्रकार',
+
+  'interaction.history': 'इतिहास',
+  'interaction.searchHistory': 'खोज इतिहास',
+  'interaction.noPreviousSearches': 'कोई पिछली खोज नहीं',
+  'interaction.heading': 'बताइए आप कैसा महसूस कर रहे हैं।',
+  'interaction.subheading': 'अपने लक्षण किसी भी भाषा में लिखें, हम आपको सही इलाज तक पहुँचाएँगे।',
+  'interaction.thinking': 'सोच रहे हैं...',
+  'interaction.placeholder': 'अपने लक्षण लिखें...',
+  'interaction.answerPlaceholder': 'अपना जवाब लिखें...',
+  'interaction.replaceRequest': 'मौजूदा अनुरोध बदलने के लिए फिर से भेजें',
+  'interaction.skipQuestions': 'सवाल छोड़ें और नतीजा दिखाएँ',
+  'interaction.startOver': 'फिर से शुरू करें',
+  'interaction.askFollowUps': 'सहायक को आगे सवाल पूछने दें',
+  'interaction.patientDetails': 'मरीज़ की जानकारी (वैकल्पिक)',
+  'interaction.hidePatientDetails': 'मरीज़ की जानकारी छिपाएँ',
+  'interaction.redFlagEmergency': 'यह आपातकाल हो सकता है। अभी 112 पर कॉल करें या नज़दीकी इमरजेंसी में जाएँ।',
+  'interaction.redFlagSoon': 'कृपया जल्द डॉक्टर को दिखाएँ।',
+  'interaction.analyzing': 'विश्लेषण हो रहा है...',
+  'interaction.resultTitle': 'ट्राइएज परिणाम',
+  'interaction.offlineTitle': 'ऑफ़लाइन अनुमान',
+  'interaction.offlineBody': 'ट्राइएज सहायक से संपर्क नहीं हो सका, इसलिए यह शब्दों पर आधारित एक मोटा अनुमान है। अगर आपकी तबीयत बहुत खराब है, तो 112 पर कॉल करें या नज़दीकी इमरजेंसी में जाएँ।',
+  'interaction.emergencyRequired': 'आपातकालीन इलाज ज़रूरी',
+  'interaction.alternatives': 'अन्य संभावित विशेषज्ञ',
+  'interaction.safetyRule': 'सुरक्षा नियम लागू हुआ',
+  'interaction.rulesVersion': 'नियम v{version}',
+  'interaction.findFacilities': 'नज़दीकी अस्पताल खोजें',
+  'interaction.checkAnother': 'दूसरा लक्षण जाँचें',
+  'interaction.recentSearches': 'हाल की खोजें',
+  'interaction.viewAll': 'सभी देखें ({count})',
+  'interaction.footerSignedIn': 'आपका खोज इतिहास सुरक्षित रूप से सहेजा गया है। निजी रूप से ब्राउज़ करने के लिए साइन आउट करें।',
+  'interaction.footerSignedOut': 'आपकी जानकारी निजी और सुरक्षित है। खोज इतिहास सहेजने के लिए साइन इन करें।',
+  'interaction.chips.headache': 'सिर दर्द',
+  'interaction.chips.fever': 'बुखार',
+  'interaction.chips.chestPain': 'सीने में दर्द',
+  'interaction.chips.fatigue': 'थकान',
+  'interaction.chips.cough': 'खाँसी',
+  'interaction.redactionNotice': 'भेजने से पहले {count} निजी जानकारी छिपाई जाएगी',
+  'interaction.showRedactions': 'देखें क्या छिपाया जाएगा',
+  'interaction.hideRedactions': 'छिपाएँ',
+
+  'redaction.email': 'ईमेल',
+  'redaction.phone': 'फ़ोन',
+  'redaction.id_number': 'पहचान संख्या',
+  'redaction.date_of_birth': 'जन्म तिथि',
+  'redaction.address': 'पता',
+  'redaction.pincode': 'पिनकोड',
+  'redaction.name': 'नाम',
+
+  'voice.start': 'बोलकर लक्षण बताएं',
+  'voice.stop': 'सुनना बंद करें',
+  'voice.listening': 'सुन रहे हैं… अपने लक्षण बोलें',
+  'voice.language': 'बोलने की भाषा',
+  'voice.unsupported': 'इस ब्राउज़र में आवाज़ से इनपुट उपलब्ध नहीं है। कृपया अपने लक्षण टाइप करें।',
+  'voice.errors.notAllowed': 'माइक्रोफ़ोन की अनुमति नहीं मिली। आवाज़ से इनपुट के लिए ब्राउज़र सेटिंग में अनुमति दें।',
+  'voice.errors.noSpeech': 'हमें कुछ सुनाई नहीं दिया। माइक दबाकर फिर से कोशिश करें।',
+  'voice.errors.noMicrophone': 'कोई माइक्रोफ़ोन नहीं मिला।',
+  'voice.errors.generic': 'आवाज़ से इनपुट अचानक बंद हो गया। फिर से कोशिश करें या टाइप करें।',
+
+  'attachments.add': 'दवाओं की सूची, डिस्चार्ज समरी या पर्चे की फ़ोटो जोड़ें',
+  'attachments.limit': 'आप अधिकतम {max} फ़ाइलें जोड़ सकते हैं',
+  'attachments.kind': 'दस्तावेज़ का प्रकार',
+  'attachments.kind.medication_list': 'दवाओं की सूची',
+  'attachments.kind.discharge_summary': 'डिस्चार्ज समरी',
+  'attachments.kind.prescription': 'पर्चा',
+  'attachments.remove': 'हटाएं',
+  'attachments.reading': 'फ़ाइल से टेक्स्ट पढ़ा जा रहा है…',
+  'attachments.ready': '{count} अक्षर भेजे जाएंगे',
+  'attachments.redacted': '{count} निजी जानकारी छिपाई गई',
+  'attachments.truncated': 'इस दस्तावेज़ का केवल शुरुआती हिस्सा भेजा जाएगा।',
+  'attachments.waitForReading': 'फ़ाइलें पढ़े जाने तक प्रतीक्षा करें',
+  'attachments.errors.unsupported': 'यह फ़ाइल प्रकार समर्थित नहीं है। टेक्स्ट फ़ाइल, PDF या फ़ोटो जोड़ें।',
+  'attachments.errors.too_large': 'यह फ़ाइल बहुत बड़ी है (अधिकतम 10 MB)।',
+  'attachments.errors.no_text': 'इस फ़ाइल में पढ़ने योग्य टेक्स्ट नहीं मिला।',
+  'attachments.errors.failed': 'यह फ़ाइल पढ़ी नहीं जा सकी।',
+
+  'bodyMap.open': 'शरीर का नक्शा (वैकल्पिक)',
+  'bodyMap.hide': 'शरीर का नक्शा छिपाएं',
+  'bodyMap.title': 'शरीर का नक्शा',
+  'bodyMap.hint': 'जहाँ लक्षण महसूस हो रहे हैं वहाँ टैप करें, फिर चुनें कि क्या महसूस हो रहा है। टाइप करने की जगह आप यही भेज सकते हैं।',
+  'bodyMap.rightSide': 'दा',
+  'bodyMap.leftSide': 'बा',
+  'bodyMap.otherAreas': 'अन्य हिस्से',
+  'bodyMap.empty': 'अपने लक्षण बताने के लिए शरीर के नक्शे पर कोई हिस्सा चुनें।',
+  'bodyMap.remove': 'हिस्सा हटाएं',
+  'bodyMap.symptoms': 'क्या महसूस हो रहा है?',
+  'bodyMap.pickSymptom': 'इस हिस्से के लिए कम से कम एक लक्षण चुनें।',
+  'bodyMap.severity': 'कितना गंभीर है?',
+  'bodyMap.duration': 'कब से?',
+  'bodyMap.durationUnknown': 'पता नहीं',
+  'bodyMap.region.head': 'सिर',
+  'bodyMap.region.neck': 'गर्दन / गला',
+  'bodyMap.region.chest': 'सीना',
+  'bodyMap.region.abdomen': 'पेट',
+  'bodyMap.region.pelvis': 'पेड़ू / जांघ का जोड़',
+  'bodyMap.region.left_arm': 'बायां हाथ',
+  'bodyMap.region.right_arm': 'दायां हाथ',
+  'bodyMap.region.left_leg': 'बायां पैर',
+  'bodyMap.region.right_leg': 'दायां पैर',
+  'bodyMap.region.back': 'पीठ',
+  'bodyMap.region.skin': 'त्वचा',
+  'bodyMap.region.whole_body': 'पूरा शरीर',
+  'bodyMap.descriptor.pain': 'दर्द',
+  'bodyMap.descriptor.pressure': 'दबाव / जकड़न',
+  'bodyMap.descriptor.swelling': 'सूजन',
+  'bodyMap.descriptor.numbness': 'सुन्नपन / झुनझुनी',
+  'bodyMap.descriptor.weakness': 'कमज़ोरी',
+  'bodyMap.descriptor.injury': 'चोट',
+  'bodyMap.descriptor.bleeding': 'खून बहना',
+  'bodyMap.descriptor.rash': 'दाने / खुजली',
+  'bodyMap.descriptor.dizziness': 'चक्कर',
+  'bodyMap.descriptor.vision_problems': 'देखने में परेशानी',
+  'bodyMap.descriptor.sore_throat': 'गले में खराश',
+  'bodyMap.descriptor.cough': 'खांसी',
+  'bodyMap.descriptor.breathlessness': 'सांस फूलना',
+  'bodyMap.descriptor.palpitations': 'धड़कन तेज़ होना',
+  'bodyMap.descriptor.nausea': 'जी मिचलाना / उल्टी',
+  'bodyMap.descriptor.diarrhea': 'दस्त',
+  'bodyMap.descriptor.urinary_problems': 'पेशाब में परेशानी',
+  'bodyMap.descriptor.fever': 'बुखार',
+  'bodyMap.descriptor.fatigue': 'थकान',
+  'bodyMap.descriptor.chills': 'ठंड लगना',
+  'bodyMap.severity.mild': 'हल्का',
+  'bodyMap.severity.moderate': 'मध्यम',
+  'bodyMap.severity.severe': 'गंभीर',
+  'bodyMap.duration.under_24_hours': '24 घंटे से कम',
+  'bodyMap.duration.1_3_days': '1-3 दिन',
+  'bodyMap.duration.4_7_days': '4-7 दिन',
+  'bodyMap.duration.over_1_week': 'एक हफ़्ते से ज़्यादा',
+  'bodyMap.duration.over_1_month': 'एक महीने से ज़्यादा',
+
+  'interaction.vitals': 'वाइटल साइन्स (वैकल्पिक)',
+  'interaction.hideVitals': 'वाइटल साइन्स छिपाएं',
+  'interaction.vitalRule': 'वाइटल साइन की सीमा पार हुई',
+
+  'vitals.hint': 'थर्मामीटर, पल्स ऑक्सीमीटर, बीपी मशीन या ग्लूकोमीटर की जो रीडिंग आपके पास है वह भरें। बाकी खाली छोड़ दें।',
+  'vitals.temperature': 'तापमान',
+  'vitals.spo2': 'ऑक्सीजन स्तर (SpO2)',
+  'vitals.heartRate': 'धड़कन (पल्स)',
+  'vitals.bloodPressure': 'ब्लड प्रेशर',
+  'vitals.systolic': 'सिस्टोलिक (ऊपर वाली संख्या)',
+  'vitals.diastolic': 'डायस्टोलिक (नीचे वाली संख्या)',
+  'vitals.glucose': 'ब्लड शुगर',
+  'vitals.unit.C': '°C',
+  'vitals.unit.F': '°F',
+  'vitals.unit.bpm': 'प्रति मिनट',
+  'vitals.errors.invalid': 'कोई संख्या भरें।',
+  'vitals.errors.out_of_range': 'यह रीडिंग सही नहीं लगती। संख्या और इकाई जाँचें।',
+  'vitals.errors.incomplete': 'ब्लड प्रेशर की दोनों संख्याएँ भरें।',
+  'vitals.errors.diastolic_above_systolic': 'नीचे वाली संख्या ऊपर वाली से कम होनी चाहिए।',
+  'vitals.alertPreview.emergency': 'इसे आपातकाल माना जाएगा',
+  'vitals.alertPreview.urgent': 'इसे जल्दी दिखाने वाला माना जाएगा',
+
+  'healthImport.title': 'हेल्थ ऐप से इम्पोर्ट करें',
+  'healthImport.hint': 'Apple Health की export.xml (पहले export.zip खोलें), Google Fit / Takeout JSON, या तारीख वाले कॉलम की CSV फ़ाइल। फ़ाइल इसी डिवाइस पर पढ़ी जाती है और कभी अपलोड नहीं होती; सिर्फ़ पिछले 14 दिनों की धड़कन, SpO2 और तापमान का सारांश इस्तेमाल होता है।',
+  'healthImport.import': 'फ़ाइल चुनें',
+  'healthImport.replace': 'दूसरी फ़ाइल चुनें',
+  'healthImport.importing': 'फ़ाइल पढ़ी जा रही है...',
+  'healthImport.remove': 'हटाएं',
+  'healthImport.summary': '{source} से, पिछले {days} दिन',
+  'healthImport.metric.heartRate': 'धड़कन (पल्स)',
+  'healthImport.metric.spo2': 'ऑक्सीजन स्तर',
+  'healthImport.metric.temperature': 'तापमान',
+  'healthImport.latest': 'आख़िरी रीडिंग {value}, {time}',
+  'healthImport.stats': 'औसत {average} · सीमा {min}–{max} · {count} रीडिंग',
+  'healthImport.direction.rising': 'बढ़ रहा है',
+  'healthImport.direction.falling': 'घट रहा है',
+  'healthImport.direction.stable': 'स्थिर',
+  'healthImport.useLatest': 'आख़िरी रीडिंग को वाइटल साइन्स में भरें',
+  'healthImport.errors.unsupported': 'यह फ़ाइल समर्थित हेल्थ एक्सपोर्ट नहीं है।',
+  'healthImport.errors.too_large': 'यह फ़ाइल बहुत बड़ी है। कम समय या एक ही तरह का डेटा एक्सपोर्ट करें।',
+  'healthImport.errors.no_readings': 'इस फ़ाइल में धड़कन, SpO2 या तापमान की कोई रीडिंग नहीं मिली।',
+  'healthImport.errors.no_recent': 'इस फ़ाइल में पिछले 14 दिनों की कोई रीडिंग नहीं है।',
+
+  'symptomChange.start': 'मेरे लक्षण बदल गए हैं',
+  'symptomChange.bannerTitle': 'बताएं कि आपके लक्षण कैसे बदले हैं',
+  'symptomChange.bannerBody': 'पिछली जाँच: "{symptoms}" ({urgency})',
+  'symptomChange.cancel': 'रद्द करें',
+  'symptomChange.comparedWith': 'आपकी पिछली जाँच से तुलना',
+  'symptomChange.comparedWithDate': '{date} की जाँच से तुलना',
+  'symptomChange.direction.escalated': 'ज़्यादा ज़रूरी',
+  'symptomChange.direction.de-escalated': 'कम ज़रूरी',
+  'symptomChange.unchanged': 'तात्कालिकता और विशेषज्ञ में कोई बदलाव नहीं है।',
+  'symptomChange.showText': 'विवरण में क्या बदला, देखें',
+  'symptomChange.episode': 'एक ही बीमारी · {count} जाँचें',
+
+  'outcome.none': 'क्या आप किसी अस्पताल या क्लिनिक गए?',
+  'outcome.add': 'नतीजा जोड़ें',
+  'outcome.edit': 'नतीजा बदलें',
+  'outcome.summaryVisited': '{facility} गए',
+  'outcome.summaryNotVisited': 'कहीं नहीं गए',
+  'outcome.aFacility': 'किसी सुविधा में',
+  'outcome.verdictShort.right': 'विशेषज्ञ सही था',
+  'outcome.verdictShort.wrong': 'दूसरे विशेषज्ञ की ज़रूरत पड़ी',
+  'outcome.verdictShort.unsure': 'विशेषज्ञ के बारे में पक्का नहीं',
+  'outcome.visited': 'क्या आप किसी अस्पताल या क्लिनिक गए?',
+  'outcome.visit.yes': 'हाँ',
+  'outcome.visit.no': 'नहीं',
+  'outcome.facilityName': 'कौन सा?',
+  'outcome.facilityNamePlaceholder': 'जैसे सिटी हॉस्पिटल',
+  'outcome.facilityType': 'प्रकार',
+  'outcome.facilityTypeUnknown': 'पता नहीं',
+  'outcome.specialistRight': 'हमने {specialist} सुझाया था। क्या यह सही था?',
+  'outcome.verdict.right': 'हाँ, सही था',
+  'outcome.verdict.wrong': 'नहीं, किसी और की ज़रूरत थी',
+  'outcome.verdict.unsure': 'पता नहीं',
+  'outcome.actualSpecialist': 'आख़िर में आपने किसे दिखाया?',
+  'outcome.actualSpecialistPlaceholder': 'जैसे हड्डी रोग विशेषज्ञ',
+  'outcome.save': 'सेव करें',
+  'outcome.saving': 'सेव हो रहा है...',
+  'outcome.cancel': 'रद्द करें',
+  'outcome.saveError': 'आपके जवाब सेव नहीं हो सके। फिर से कोशिश करें।',
+  'outcome.promptTitle': 'कैसा रहा?',
+  'outcome.promptBody': 'आपने {date} को "{symptoms}" की जाँच की थी। आपके जवाब हमें लोगों को सही जगह भेजने में मदद करते हैं।',
+  'outcome.notNow': 'अभी नहीं',
+
+  'map.loadMore': 'और सुविधाएँ दिखाएँ',
+  'map.loadingMore': 'और लोड कर रहे हैं...',
+  'map.radiusExpanded': '{from} किमी के अंदर {count} से कम ऐसी सुविधाएँ मिलीं जो खुली हो सकती हैं, इसलिए खोज {to} किमी तक बढ़ाई गई।',
+  'map.filters.title': 'फ़िल्टर',
+  'map.filters.titleCount': 'फ़िल्टर ({count})',
+  'map.filters.showing': '{total} में से {count} दिखा रहे हैं',
+  'map.filters.clear': 'फ़िल्टर हटाएँ',
+  'map.filters.openNow': 'अभी खुला',
+  'map.filters.open24h': '24 घंटे खुला',
+  'map.filters.wheelchair': 'व्हीलचेयर के लायक प्रवेश',
+  'map.filters.facilityType': 'सुविधा का प्रकार',
+  'map.filters.anyType': 'कोई भी',
+  'map.filters.minRating': 'न्यूनतम रेटिंग',
+  'map.filters.minReviews': 'न्यूनतम रिव्यू',
+  'map.filters.any': 'कोई भी',
+  'map.filters.emergencyNote': 'आपातकाल में, अभी बंद सुविधाएँ पहले से ही हटा दी जाती हैं।',
+  'map.filters.noMatch': 'इन फ़िल्टर से कोई सुविधा मेल नहीं खाती।',
+  'map.location.title': 'यहाँ से खोजें',
+  'map.location.source.gps': 'आपकी GPS लोकेशन',
+  'map.location.source.manual': 'आपका डाला गया पता',
+  'map.location.source.pin': 'मैप पर पिन',
+  'map.location.source.saved': 'सहेजी गई जगह',
+  'map.location.savedPlaces': 'आपकी सहेजी गई जगहें',
+  'map.location.removePlace': '{name} हटाएँ',
+  'map.location.saveCurrent': 'मौजूदा लोकेशन को इस रूप में सहेजें',
+  'map.location.kind.home': 'घर',
+  'map.location.kind.work': 'ऑफ़िस',
+  'map.location.kind.parents': 'माता-पिता का घर',
+  'map.location.kind.other': 'अन्य',
+  'map.location.placeName': 'इस जगह का नाम',
+  'map.location.savePlace': 'सहेजें',
+  'map.location.saving': 'सहेज रहे हैं...',
+  'map.location.placeSaveError': 'सहेजी गई जगहें अपडेट नहीं हो सकीं। कृपया फिर से कोशिश करें।',
+  'map.location.gpsAccuracy': '±{value} तक सटीक',
+  'map.location.areaAccuracy': 'लगभग {value} का क्षेत्र',
+  'map.location.pinned': 'आपका चुना हुआ सटीक स्थान',
+  'map.location.change': 'बदलें',
+  'map.location.cancel': 'रद्द करें',
+  'map.location.locating': 'आपकी लोकेशन ढूँढ रहे हैं...',
+  'map.location.useGps': 'मेरी लोकेशन इस्तेमाल करें',
+  'map.location.dropPin': 'पिन लगाएँ',
+  'map.location.pinHint': 'मैप पर वहाँ टैप करें जहाँ आप हैं',
+  'map.location.addressPlaceholder': 'पता, इलाका या पिनकोड',
+  'map.location.finding': 'पता खोज रहे हैं...',
+  'map.location.notFound': 'यह जगह नहीं मिली। पूरा पता या 6 अंकों का पिनकोड डालकर देखें।',
+  'map.location.gpsError.denied': 'लोकेशन एक्सेस बंद है। पता या पिनकोड डालें, या मैप पर पिन लगाएँ।',
+  'map.location.gpsError.unavailable': 'आपकी GPS लोकेशन नहीं मिल सकी। पता या पिनकोड डालें, या मैप पर पिन लगाएँ।',
+  'map.location.gpsError.timeout': 'GPS लोकेशन मिलने में बहुत देर हुई। पता या पिनकोड डालें, या मैप पर पिन लगाएँ।',
+  'map.location.gpsError.unsupported': 'यह ब्राउज़र आपकी लोकेशन साझा नहीं कर सकता। पता या पिनकोड डालें, या मैप पर पिन लगाएँ।',
+  'crisis.title': 'आप इसमें अकेले नहीं हैं',
+  'crisis.body': 'अगर आप अपनी जान लेने या खुद को नुकसान पहुँचाने के बारे में सोच रहे हैं, तो कृपया अभी किसी से बात करें। ये हेल्पलाइन मुफ़्त और गोपनीय हैं।',
+  'crisis.findCare': 'पास में मनोरोग आपातकालीन सेवा खोजें',
+  'crisis.line.Emergency': 'आपातकालीन सेवा',
+
+  'patient.age': 'उम्र',
+  'patient.ageExample': 'जैसे 34',
+  'patient.years': 'साल',
+  'patient.months': 'महीने',
+  'patient.sex': 'लिंग',
+  'patient.preferNotToSay': 'बताना नहीं चाहते',
+  'patient.sex.female': 'महिला',
+  'patient.sex.male': 'पुरुष',
+  'patient.sex.other': 'अन्य',
+  'patient.pregnant': 'अभी गर्भवती हैं',
+  'patient.conditions': 'लंबी बीमारियाँ',
+  'patient.otherConditions': 'अन्य बीमारियाँ (वैकल्पिक)',
+  'patient.saving': 'सहेज रहे हैं...',
+  'patient.saveToProfile': 'मेरी प्रोफ़ाइल में सहेजें',
+  'patient.saved': 'सहेजा गया',
+  'patient.saveFailed': 'सहेजा नहीं जा सका',
+  'patient.ageBand.infant': 'शिशु',
+  'patient.ageBand.child': 'बच्चा',
+  'patient.ageBand.adolescent': 'किशोर',
+  'patient.ageBand.adult': 'वयस्क',
+  'patient.ageBand.older_adult': 'बुज़ुर्ग',
+  'patient.condition.diabetes': 'डायबिटीज़',
+  'patient.condition.hypertension': 'हाई ब्लड प्रेशर',
+  'patient.condition.heart_disease': 'दिल की बीमारी',
+  'patient.condition.lung_disease': 'अस्थमा / COPD',
+  'patient.condition.kidney_disease': 'किडनी की बीमारी',
+  'patient.condition.immunocompromised': 'कमज़ोर रोग प्रतिरोधक क्षमता',
+  'patient.condition.cancer': 'कैंसर का इलाज',
+
+  'map.noResultTitle': 'कोई ट्राइएज परिणाम नहीं',
+  'map.noResultBody': 'कृपया पहले अपने लक्षण बताएँ।',
+  'map.goToChecker': 'लक्षण जाँच पर जाएँ',
+  'map.emergencyBanner': '⚠️ आपातकाल: तुरंत नज़दीकी अस्पताल जाएँ!',
+  'map.crisisBanner': 'मुफ़्त, गोपनीय सहायता अभी उपलब्ध है:',
+  'map.recommended': 'सुझाए गए अस्पताल',
+  'map.nearbyHospitals': 'नज़दीकी अस्पताल',
+  'map.viewHospitals': '{count} अस्पताल देखें',
+  'map.offlineNote': 'ऑफ़लाइन अनुमान - ट्राइएज सहायक से संपर्क नहीं हो सका।',
+  'map.offlineShort': 'ऑफ़लाइन अनुमान',
+  'map.searching': 'नज़दीकी अस्पताल खोज रहे हैं...',
+  'map.searchingShort': 'खोज रहे हैं...',
+  'map.open': 'खुला',
+  'map.closed': 'बंद',
+  'map.hoursNA': 'समय उपलब्ध नहीं',
+  'map.getDirections': 'रास्ता देखें',
+  'map.startNavigation': 'नेविगेशन शुरू करें',
+  'map.stopNavigation': 'नेविगेशन रोकें',
+  'map.bookAppointment': 'अपॉइंटमेंट बुक करें',
+  'map.callNow': '📞 अभी कॉल करें',
+  'map.call': '📞 कॉल',
+  'map.visitWebsite': '🌐 वेबसाइट देखें',
+  'map.website': '🌐 वेबसाइट',
+  'map.bookViaGoogle': '🧾 Google से बुक करें',
+  'map.google': '🧾 Google',
+  'map.contactReception': 'अपॉइंटमेंट के लिए कृपया अस्पताल के रिसेप्शन से संपर्क करें।',
+  'map.directionsTo': '{name} तक का रास्ता',
+  'map.routeTo': '{name} तक का रास्ता',
+  'map.clear': 'हटाएँ',
+  'map.car': '🚗 कार',
+  'map.bike': '🚴 साइकिल',
+  'map.walk': '🚶 पैदल',
+  'map.driving': '🚗 कार से',
+  'map.cycling': '🚴 साइकिल से',
+  'map.walking': '🚶 पैदल',
+  'map.distance': 'दूरी',
+  'map.duration': 'समय',
+  'map.travelTime': 'यात्रा का समय',
+  'map.liveNavigation': 'लाइव नेविगेशन चालू है',
+  'map.followingLocation': 'आपकी लोकेशन के साथ',
+  'map.live': 'लाइव',
+  'map.triageSummary': 'ट्राइएज सारांश',
+  'map.searchRadius': 'खोज का दायरा',
+  'map.sortBy': 'क्रम: {option}',
+  'map.sort.recommended': 'सुझाया गया क्रम',
+  'map.sort.travelTime': 'पहुँचने का समय',
+  'map.sort.distance': 'दूरी',
+  'map.sort.rating': 'रेटिंग',
+  'map.yourLocation': 'आपकी लोकेशन',
+  'map.errors.noApiKey': 'Google Maps API key सेट नहीं है',
+  'map.errors.loadFailed': 'Google Maps लोड नहीं हो सका',
+  'map.errors.noneFound': 'आस-पास कोई अस्पताल नहीं मिला',
+  'map.errors.trackingFailed': 'लोकेशन ट्रैक नहीं हो पा रही। कृपया GPS चालू करें।',
+
+  // Red-flag rule labels by rule id; English labels live with the rules in redFlags.js
+  'redFlags.cardiac-chest-pain': 'सीने में दबाव वाला दर्द या हाथ, जबड़े या पीठ तक फैलता दर्द',
+  'redFlags.stroke-signs': 'स्ट्रोक के संभावित लक्षण (चेहरा टेढ़ा होना, बोलने में दिक्कत, एक तरफ़ कमज़ोरी)',
+  'redFlags.severe-breathing': 'साँस लेने में गंभीर तकलीफ़',
+  'redFlags.anaphylaxis': 'गंभीर एलर्जी के संकेत (गले, जीभ या होंठों में सूजन)',
+  'redFlags.loss-of-consciousness': 'बेहोशी, कोई प्रतिक्रिया नहीं या दौरा',
+  'redFlags.severe-bleeding': 'बहुत ज़्यादा खून बहना या खून की उल्टी/खाँसी',
+  'redFlags.thunderclap-headache': 'अचानक, अब तक का सबसे तेज़ सिर दर्द',
+  'redFlags.fever-stiff-neck': 'बुखार के साथ गर्दन में अकड़न',
+  'redFlags.poisoning-overdose': 'ज़हर या दवा की ओवरडोज़',
+  'redFlags.infant-fever': '3 महीने से छोटे शिशु को बुखार',
+  'redFlags.pregnancy-bleeding-pain': 'गर्भावस्था में खून आना या पेट में तेज़ दर्द',
+  'redFlags.high-fever': 'बहुत तेज़ बुखार',
+
+  // Vital-sign threshold labels by id; English labels live with the thresholds in vitals.js
+  'vitals.alert.low-spo2': 'ऑक्सीजन स्तर 92% से कम',
+  'vitals.alert.borderline-spo2': 'ऑक्सीजन स्तर 92-94%',
+  'vitals.alert.young-infant-fever': '3 महीने से छोटे शिशु का तापमान 38 °C (100.4 °F) या ज़्यादा',
+  'vitals.alert.hyperpyrexia': 'तापमान 41 °C (105.8 °F) या ज़्यादा',
+  'vitals.alert.hypothermia': 'तापमान 35 °C (95 °F) से कम',
+  'vitals.alert.very-high-temperature': 'तापमान 40 °C (104 °F) या ज़्यादा',
+  'vitals.alert.infant-tachycardia': 'शिशु की धड़कन 180 से ज़्यादा',
+  'vitals.alert.infant-bradycardia': 'शिशु की धड़कन 100 से कम',
+  'vitals.alert.child-tachycardia': 'बच्चे की धड़कन 160 से ज़्यादा',
+  'vitals.alert.child-bradycardia': 'बच्चे की धड़कन 60 से कम',
+  'vitals.alert.severe-tachycardia': 'धड़कन 150 से ज़्यादा',
+  'vitals.alert.bradycardia': 'धड़कन 40 से कम',
+  'vitals.alert.tachycardia': 'धड़कन 120 से ज़्यादा',
+  'vitals.alert.pregnancy-hypertension': 'गर्भावस्था में ब्लड प्रेशर 160/110 या ज़्यादा',
+  'vitals.alert.pregnancy-hypertension-diastolic': 'गर्भावस्था में ब्लड प्रेशर 160/110 या ज़्यादा',
+  'vitals.alert.hypotension': 'सिस्टोलिक ब्लड प्रेशर 90 से कम',
+  'vitals.alert.severe-hypertension': 'ब्लड प्रेशर 180/120 या ज़्यादा',
+  'vitals.alert.severe-hypertension-diastolic': 'ब्लड प्रेशर 180/120 या ज़्यादा',
+  'vitals.alert.severe-hypoglycemia': 'ब्लड शुगर 54 mg/dL (3.0 mmol/L) से कम',
+  'vitals.alert.severe-hyperglycemia': 'ब्लड शुगर 400 mg/dL (22.2 mmol/L) या ज़्यादा',
+  'vitals.alert.hypoglycemia': 'ब्लड शुगर 70 mg/dL (3.9 mmol/L) से कम',
+  'vitals.alert.hyperglycemia': 'ब्लड शुगर 250 mg/dL (13.9 mmol/L) या ज़्यादा',
+}
+
+export const TRIAGE_LABELS = {
+  urgency: {
+    normal: 'सामान्य',
+    urgent: 'जल्दी',
+    emergency: 'आपातकाल',
+  },
+  facility_type: {
+    clinic: 'क्लिनिक',
+    hospital: 'अस्पताल',
+    emergency_room: 'इमरजेंसी वार्ड',
+  },
+  specialist: {
+    'cardiologist': 'हृदय रोग विशेषज्ञ',
+    'pulmonologist': 'फेफड़ा रोग विशेषज्ञ',
+    'neurologist': 'न्यूरोलॉजिस्ट (तंत्रिका रोग विशेषज्ञ)',
+    'gastroenterologist': 'पेट रोग विशेषज्ञ',
+    'dermatologist': 'त्वचा रोग विशेषज्ञ',
+    'orthopedic surgeon': 'हड्डी रोग विशेषज्ञ',
+    'ophthalmologist': 'नेत्र रोग विशेषज्ञ',
+    'ent specialist': 'नाक-कान-गला विशेषज्ञ',
+    'dentist': 'दंत चिकित्सक',
+    'urologist': 'मूत्र रोग विशेषज्ञ',
+    'gynecologist': 'स्त्री रोग विशेषज्ञ',
+    'pediatrician': 'बाल रोग विशेषज्ञ',
+    'psychiatrist': 'मनोचिकित्सक',
+    'general physician': 'सामान्य चिकित्सक',
+    'emergency physician': 'इमरजेंसी डॉक्टर',
+    'emergency medicine physician': 'इमरजेंसी डॉक्टर',
+    'physiotherapist': 'फिज़ियोथेरेपिस्ट',
+  },
+  department: {
+    'cardiology': 'हृदय रोग विभाग',
+    'pulmonology': 'फेफड़ा रोग विभाग',
+    'neurology': 'तंत्रिका रोग विभाग',
+    'gastroenterology': 'पेट रोग विभाग',
+    'dermatology': 'त्वचा रोग विभाग',
+    'orthopedics': 'हड्डी रोग विभाग',
+    'ophthalmology': 'नेत्र रोग विभाग',
+    'ent': 'नाक-कान-गला विभाग',
+    'dentistry': 'दंत विभाग',
+    'urology': 'मूत्र रोग विभाग',
+    'obstetrics and gynecology': 'प्रसूति एवं स्त्री रोग विभाग',
+    'pediatrics': 'बाल रोग विभाग',
+    'psychiatry': 'मनोरोग विभाग',
+    'general medicine': 'सामान्य चिकित्सा',
+    'emergency': 'इमरजेंसी',
+    'physiotherapy': 'फिज़ियोथेरेपी',
+  },
+}
@@ -0,0 +1,38 @@
+// UI localization. Triage results always stay in English (they feed Places search),
+// so specialist/department/urgency are translated for display only.
+import * as en from './en.js'
+import * as hi from './hi.js'
+
+export const LOCALES = {
+  en: { label: 'English', intl: 'en-US', ...en },
+  hi: { label: 'हिन्दी', intl: 'hi-IN', ...hi },
+}
+
+export const DEFAULT_LOCALE = 'en'
+
+/**
+ * Look up a UI string, falling back to English and then to `fallback` (the key by default).
+ * @param {string} locale - One of the keys of LOCALES
+ * @param {string} key - Message key, e.g. 'interaction.heading'
+ * @param {object} [params] - Values for `{name}` placeholders
+ * @param {string} [fallback] - Text to use when no locale has the key
+ * @returns {string}
+ */
+export function translate(locale, key, params, fallback = key) {
+  const message = LOCALES[locale]?.MESSAGES[key] ?? en.MESSAGES[key] ?? fallback
+  if (!params) return message
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match))
+}
+
+/**
+ * Display name for a triage value in the given locale.
+ * @param {string} locale - One of the keys of LOCALES
+ * @param {'specialist'|'department'|'urgency'|'facility_type'} field - Triage result field
+ * @param {string} value - Value as returned by the model
+ * @returns {string} Translated label, or the value itself when there is no translation
+ */
+export function translateTriageValue(locale, field, value) {
+  if (!value) return value
+  const labels = LOCALES[locale]?.TRIAGE_LABELS[field] || {}
+  return labels[value] ?? labels[value.toLowerCase()] ?? en.TRIAGE_LABELS[field]?.[value] ?? value
+}
@@ -0,0 +1,225 @@
+// Where facility searches start from: the device's GPS, an address or pincode typed by the user
+// (geocoded with Google Maps), a pin dropped on the map, or a place saved in the user's profile
+// (e.g. a parent's house when triaging for a relative). Nothing falls back to a default city:
+// if GPS is unavailable the user is asked for a location instead.
+// Needs the Google Maps JavaScript API (with the places library) to be loaded for geocoding.
+
+export const LOCATION_SOURCES = ['gps', 'manual', 'pin', 'saved']
+
+export const SAVED_PLACE_KINDS = [
+  { value: 'home', label: 'Home', icon: '🏠' },
+  { value: 'work', label: 'Work', icon: '💼' },
+  { value: 'parents', label: "Parents' house", icon: '👪' },
+  { value: 'other', label: 'Other', icon: '📍' },
+]
+
+export const MAX_SAVED_PLACES = 10
+const MAX_NAME_LENGTH = 60
+const MAX_ADDRESS_LENGTH = 200
+
+// Initial map view before a location is known: all of India. Never used as a search origin.
+export const DEFAULT_MAP_VIEW = { center: { lat: 22.5937, lng: 78.9629 }, zoom: 5 }
+
+// Addresses and pincodes are looked up in India first
+const REGION = 'in'
+const GPS_TIMEOUT_MS = 10000
+// Distance Matrix limit for one origin
+const MAX_MATRIX_DESTINATIONS = 25
+
+// GeolocationPositionError codes -> our error codes
+const GPS_ERROR_CODES = { 1: 'denied', 2: 'unavailable', 3: 'timeout' }
+
+function locationError(code, message) {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+/**
+ * Distance between two points in meters (haversine).
+ * @param {{lat: number, lng: number}} a
+ * @param {{lat: number, lng: number}} b
+ * @returns {number}
+ */
+export function distanceMeters(a, b) {
+  const toRad = (degrees) => degrees * Math.PI / 180
+  const dLat = toRad(b.lat - a.lat)
+  const dLng = toRad(b.lng - a.lng)
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2
+  return 2 * 6371000 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h))
+}
+
+/**
+ * The device's current position.
+ * @returns {Promise<{lat: number, lng: number, source: 'gps', accuracy: number, label: null}>} `accuracy` in meters
+ * @throws {Error} With `code` 'unsupported', 'denied', 'unavailable' or 'timeout'
+ */
+export function getGpsLocation() {
+  return new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(locationError('unsupported', 'Geolocation is not supported by this browser'))
+      return
+    }
+    navigator.geolocation.getCurrentPosition(
+      (position) => resolve({
+        lat: position.coords.latitude,
+        lng: position.coords.longitude,
+        source: 'gps',
+        accuracy: position.coords.accuracy,
+        label: null,
+      }),
+      (error) => reject(locationError(GPS_ERROR_CODES[error.code] || 'unavailable', error.message)),
+      { enableHighAccuracy: true, timeout: GPS_TIMEOUT_MS, maximumAge: 0 }
+    )
+  })
+}
+
+/**
+ * Address and pincode suggestions for what the user has typed so far.
+ * @param {string} input
+ * @returns {Promise<Array<{placeId: string, description: string}>>}
+ */
+export async function suggestAddresses(input) {
+  if (!input.trim()) return []
+  const service = new window.google.maps.places.AutocompleteService()
+  try {
+    const { predictions } = await service.getPlacePredictions({ input, region: REGION })
+    return predictions.map((prediction) => ({ placeId: prediction.place_id, description: prediction.description }))
+  } catch {
+    // ZERO_RESULTS is reported as an error
+    return []
+  }
+}
+
+/**
+ * Geocode a picked suggestion or a typed address / pincode.
+ * @param {{placeId: string}|{address: string}} request
+ * @returns {Promise<{lat: number, lng: number, source: 'manual', accuracy: number|null, label: string}>}
+ *   `accuracy` is the radius of the matched area in meters, e.g. a whole pincode
+ * @throws {Error} With `code` 'not_found'
+ */
+export async function geocodeLocation(request) {
+  const geocoder = new window.google.maps.Geocoder()
+  let results
+  try {
+    ({ results } = await geocoder.geocode({ ...request, region: REGION }))
+  } catch {
+    results = []
+  }
+  if (!results.length) {
+    throw locationError('not_found', 'No location was found for this address')
+  }
+
+  const [{ geometry, formatted_address: label }] = results
+  const center = { lat: geometry.location.lat(), lng: geometry.location.lng() }
+  const viewport = geometry.viewport
+  const accuracy = geometry.location_type === 'ROOFTOP' || !viewport
+    ? null
+    : Math.round(distanceMeters(center, { lat: viewport.getNorthEast().lat(), lng: viewport.getNorthEast().lng() }))
+  return { ...center, source: 'manual', accuracy, label }
+}
+
+/**
+ * Travel times from the origin to each destination, in one Distance Matrix request.
+ * Driving times account for current traffic.
+ * @param {{lat: number, lng: number}} origin
+ * @param {Array} destinations - LatLng or {lat, lng}, at most 25
+ * @param {string} travelMode - 'DRIVING' | 'BICYCLING' | 'WALKING'
+ * @returns {Promise<Array<{seconds: number, text: string, meters: number}|null>>} In destination order;
+ *   null where there is no route
+ */
+export async function getTravelTimes(origin, destinations, travelMode) {
+  if (!destinations.length) return []
+  const { DistanceMatrixService, TravelMode } = window.google.maps
+  const request = {
+    origins: [origin],
+    destinations: destinations.slice(0, MAX_MATRIX_DESTINATIONS),
+    travelMode: TravelMode[travelMode],
+  }
+  if (travelMode === 'DRIVING') request.drivingOptions = { departureTime: new Date() }
+
+  const { rows } = await new DistanceMatrixService().getDistanceMatrix(request)
+  return destinations.map((_, index) => {
+    const element = rows[0]?.elements[index]
+    if (element?.status !== 'OK') return null
+    const duration = element.duration_in_traffic || element.duration
+    return { seconds: duration.value, text: duration.text, meters: element.distance.value }
+  })
+}
+
+const isCoordinate = (value, max) => typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= max
+const cleanText = (value, max) => (typeof value === 'string' ? value.trim().slice(0, max) : '')
+
+/**
+ * Sanitize the saved places of a profile before they are used or stored.
+ * @param {Array} places - Saved places, e.g. from Firestore
+ * @returns {Array<{id: string, kind: string, name: string, lat: number, lng: number, address: string}>}
+ */
+export function normalizeSavedPlaces(places) {
+  if (!Array.isArray(places)) return []
+  return places
+    .filter((place) => place && typeof place.id === 'string' && isCoordinate(place.lat, 90) && isCoordinate(place.lng, 180))
+    .slice(0, MAX_SAVED_PLACES)
+    .map((place) => {
+      const kind = SAVED_PLACE_KINDS.some((option) => option.value === place.kind) ? place.kind : 'other'
+      return {
+        id: place.id,
+        kind,
+        name: cleanText(place.name, MAX_NAME_LENGTH) || SAVED_PLACE_KINDS.find((option) => option.value === kind).label,
+        lat: place.lat,
+        lng: place.lng,
+        address: cleanText(place.address, MAX_ADDRESS_LENGTH),
+      }
+    })
+}
+
+/**
+ * A saved place for the current search location.
+ * @param {object} location - Search location
+ * @param {{kind: string, name?: string}} details
+ * @returns {object} Saved place, see normalizeSavedPlaces
+ */
+export function createSavedPlace(location, { kind, name }) {
+  const [place] = normalizeSavedPlaces([{
+    id: Date.now().toString(36),
+    kind,
+    name,
+    lat: location.lat,
+    lng: location.lng,
+    address: location.source === 'manual' ? location.label : '',
+  }])
+  return place
+}
+
+/**
+ * Use a saved place as the search location.
+ * @param {object} place - Saved place
+ * @returns {object} Search location with source 'saved'
+ */
+export function toSavedPlaceLocation(place) {
+  return {
+    lat: place.lat,
+    lng: place.lng,
+    source: 'saved',
+    accuracy: null,
+    label: place.name,
+    savedPlaceId: place.id,
+    kind: place.kind,
+  }
+}
+
+/**
+ * What is stored with a search about where facilities were searched from.
+ * @param {object} location - Search location
+ * @returns {{source: string, lat: number, lng: number, accuracy: number|null, label: string|null, savedPlaceKind?: string}}
+ */
+export function toSearchOrigin(location) {
+  return {
+    source: location.source,
+    lat: location.lat,
+    lng: location.lng,
+    accuracy: location.accuracy ?? null,
+    label: location.label || null,
+    ...(location.source === 'saved' ? { savedPlaceKind: location.kind } : {}),
+  }
+}
@@ -0,0 +1,186 @@
+// Offline, keyword-based triage estimate used when the triage model cannot be reached.
+// It is deliberately coarse: it only picks a department and a conservative urgency,
+// and red-flag rules still take precedence.
+
+import { matchRedFlags, buildRedFlagResult } from './redFlags.js'
+import { matchCrisis, applyCrisis, CRISIS_ROUTING } from './crisis.js'
+import { getAgeBand } from './patientContext.js'
+import { matchVitalAlerts, applyVitalAlert, VITAL_THRESHOLDS } from './vitals.js'
+
+const OFFLINE_RULES = [
+  {
+    keywords: ['chest', 'heart', 'palpitation', 'blood pressure', 'seene', 'dil ki', 'dil me', 'सीने', 'छाती', 'दिल'],
+    specialist: 'Cardiologist',
+    department: 'Cardiology',
+    urgency: 'urgent',
+    facility_type: 'hospital',
+    search_keywords: ['cardiology hospital', 'heart specialist'],
+  },
+  {
+    keywords: ['breath', 'cough', 'wheez', 'asthma', 'phlegm', 'saans', 'khansi', 'सांस', 'साँस', 'खांसी'],
+    specialist: 'Pulmonologist',
+    department: 'Pulmonology',
+    urgency: 'normal',
+    facility_type: 'hospital',
+    search_keywords: ['pulmonologist', 'chest clinic'],
+  },
+  {
+    keywords: ['headache', 'migraine', 'dizz', 'numb', 'faint', 'memory', 'tremor', 'sir dard', 'chakkar', 'सिर दर्द', 'सिरदर्द', 'चक्कर'],
+    specialist: 'Neurologist',
+    department: 'Neurology',
+    urgency: 'normal',
+    facility_type: 'clinic',
+    search_keywords: ['neurologist', 'neurology clinic'],
+  },
+  {
+    keywords: ['stomach', 'abdom', 'vomit', 'diarrh', 'nausea', 'constipat', 'acidity', 'indigestion', 'pet dard', 'pet me', 'ulti ho', 'ultiyan', 'dast', 'पेट', 'उल्टी', 'दस्त'],
+    specialist: 'Gastroenterologist',
+    department: 'Gastroenterology',
+    urgency: 'normal',
+    facility_type: 'clinic',
+    search_keywords: ['gastroenterologist', 'gastro clinic'],
+  },
+  {
+    keywords: ['rash', 'itch', 'skin', 'acne', 'hives', 'blister', 'khujli', 'twacha', 'खुजली', 'त्वचा'],
+    specialist: 'Dermatologist',
+    department: 'Dermatology',
+    urgency: 'normal',
+    facility_type: 'clinic',
+    search_keywords: ['dermatologist', 'skin clinic'],
+  },
+  {
+    keywords: ['fracture', 'broken', 'sprain', 'joint', 'back pain', 'knee', 'bone', 'shoulder'],
+    specialist: 'Orthopedic Surgeon',
+    department: 'Orthopedics',
+    urgency: 'normal',
+    facility_type: 'hospital',
+    search_keywords: ['orthopedic hospital', 'bone specialist'],
+  },
+  {
+    keywords: ['eye', 'vision', 'blurry', 'blurred', 'aankh', 'आँख', 'आंख'],
+    specialist: 'Ophthalmologist',
+    department: 'Ophthalmology',
+    urgency: 'normal',
+    facility_type: 'clinic',
+    search_keywords: ['eye hospital', 'ophthalmologist'],
+  },
+  {
+    keywords: ['ear', 'throat', 'nose', 'sinus', 'tonsil', 'hearing', 'kaan', 'gala dard', 'gala kharab', 'gale me', 'naak', 'कान', 'गला', 'नाक'],
+    specialist: 'ENT Specialist',
+    department: 'ENT',
+    urgency: 'normal',
+    facility_type: 'clinic',
+    search_keywords: ['ENT specialist', 'ENT clinic'],
+  },
+  {
+    keywords: ['tooth', 'teeth', 'gum', 'jaw pain', 'daant', 'दांत', 'दाँत'],
+    specialist: 'Dentist',
+    department: 'Dentistry',
+    urgency: 'normal',
+    facility_type: 'clinic',
+    search_keywords: ['dentist', 'dental clinic'],
+  },
+  {
+    keywords: ['urine', 'urinat', 'kidney', 'bladder'],
+    specialist: 'Urologist',
+    department: 'Urology',
+    urgency: 'normal',
+    facility_type: 'clinic',
+    search_keywords: ['urologist', 'urology clinic'],
+  },
+  {
+    keywords: ['pregnan', 'period', 'menstru', 'vaginal', 'pelvic'],
+    specialist: 'Gynecologist',
+    department: 'Obstetrics and Gynecology',
+    urgency: 'normal',
+    facility_type: 'hospital',
+    search_keywords: ['gynecologist', 'maternity hospital'],
+  },
+  {
+    keywords: ['baby', 'infant', 'toddler', 'my child', 'my son', 'my daughter'],
+    specialist: 'Pediatrician',
+    department: 'Pediatrics',
+    urgency: 'normal',
+    facility_type: 'hospital',
+    search_keywords: ['pediatrician', 'children hospital'],
+  },
+  {
+    keywords: ['anxiety', 'anxious', 'depress', 'panic', 'insomnia', "can't sleep", 'stress', 'ghabrahat', 'घबराहट', 'तनाव'],
+    specialist: 'Psychiatrist',
+    department: 'Psychiatry',
+    urgency: 'normal',
+    facility_type: 'clinic',
+    search_keywords: ['psychiatrist', 'mental health clinic'],
+  },
+]
+
+const PEDIATRICS_RULE = OFFLINE_RULES.find((rule) => rule.department === 'Pediatrics')
+
+// Used when no keyword matches
+const DEFAULT_RULE = {
+  specialist: 'General Physician',
+  department: 'General Medicine',
+  urgency: 'normal',
+  facility_type: 'clinic',
+  search_keywords: ['general physician', 'clinic', 'hospital'],
+}
+
+// Keywords match at the start of a word, so "ear" matches "earache" but not "heart".
+// \b is ASCII-only, so a Unicode lookbehind marks word starts in Devanagari too.
+const matchesKeyword = (text, keyword) =>
+  new RegExp(`(?<![\\p{L}\\p{M}])${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'iu').test(text)
+
+// Words that bump a normal estimate to urgent
+const SEVERITY_PATTERN = /\b(severe|unbearable|extreme|sudden|getting worse|worsening|very high)\b/i
+
+/**
+ * Estimate routing from symptom text without any network access.
+ * @param {string} text - Free-text symptoms
+ * @param {object} [options]
+ * @param {string} [options.reason] - Why the model was not used, shown to the user
+ * @param {object|null} [options.patient] - Normalized patient context
+ * @param {object|null} [options.vitals] - Normalized vital signs; crossed thresholds escalate the estimate
+ * @param {Array<object>} [options.vitalThresholds] - Defaults to VITAL_THRESHOLDS
+ * @returns {object} Triage result marked with `offline: true`
+ */
+export function getOfflineTriageResult(text, { reason, patient = null, vitals = null, vitalThresholds = VITAL_THRESHOLDS } = {}) {
+  const marker = { offline: true, ...(reason ? { offline_reason: reason } : {}) }
+
+  const [redFlag] = matchRedFlags(text, patient)
+  const crisis = matchCrisis(text)
+  const [vitalAlert] = matchVitalAlerts(vitals, patient, vitalThresholds)
+  if (redFlag) {
+    return applyCrisis(applyVitalAlert({ ...buildRedFlagResult(redFlag), ...marker }, vitalAlert), crisis)
+  }
+  if (crisis) {
+    return applyCrisis(applyVitalAlert({ ...CRISIS_ROUTING, ...marker }, vitalAlert), crisis)
+  }
+
+  const symptomText = text || ''
+  let bestRule = DEFAULT_RULE
+  let bestHits = 0
+  for (const rule of OFFLINE_RULES) {
+    const hits = rule.keywords.filter((keyword) => matchesKeyword(symptomText, keyword)).length
+    if (hits > bestHits) {
+      bestRule = rule
+      bestHits = hits
+    }
+  }
+
+  // Children with no clearer match see a pediatrician
+  if (bestRule === DEFAULT_RULE && ['infant', 'child'].includes(getAgeBand(patient))) {
+    bestRule = PEDIATRICS_RULE
+  }
+
+  const urgency = bestRule.urgency === 'normal' && SEVERITY_PATTERN.test(symptomText) ? 'urgent' : bestRule.urgency
+
+  return applyVitalAlert({
+    specialist: bestRule.specialist,
+    department: bestRule.department,
+    urgency,
+    facility_type: urgency === 'urgent' && bestRule.facility_type === 'clinic' ? 'hospital' : bestRule.facility_type,
+    search_keywords: bestRule.search_keywords,
+    emergency_required: false,
+    ...marker,
+  }, vitalAlert)
+}
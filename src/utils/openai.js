@@ -1,110 +1,216 @@
-// OpenRouter API utility for medical triage
-const OPENROUTER_API_KEY = import.meta.env.VITE_OPENROUTER_API_KEY
+// Triage client: calls our own /api/triage proxy (default), or an LLM provider directly
+import { auth } from '../firebase/config'
+import { getOfflineTriageResult } from './offlineTriage'
+import { normalizePatientContext } from './patientContext'
+import { normalizeStructuredSymptoms, withStructuredSymptoms } from './structuredSymptoms'
+import { normalizeVitals } from './vitals'
+import { runTriage, runTriageTurn, DEFAULT_TIMEOUT_MS, TIMEOUT_REASON } from './triageEngine'
+import { createProvider } from './providers'
+import { readLines, withTimeout } from './streaming'
 
-export async function getTriageResult(symptoms) {
-  if (!OPENROUTER_API_KEY) {
-    throw new Error('OpenRouter API key is not configured. Please add VITE_OPENROUTER_API_KEY to your .env file.')
-  }
-const systemPrompt = `
-You are an AI medical triage assistant for a healthcare routing system.
-You must NOT diagnose diseases or conditions.
+// Provider selection, see .env.example. 'proxy' keeps API keys on the server.
+const LLM_PROVIDER = import.meta.env.VITE_LLM_PROVIDER || 'proxy'
+const TRIAGE_API_URL = import.meta.env.VITE_TRIAGE_API_URL || '/api/triage'
+const TIMEOUT_MS = Number(import.meta.env.VITE_TRIAGE_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
 
-Your task is to convert symptoms into routing information for hospitals and doctors.
+let defaultProvider = null
 
-Return ONLY a valid JSON object in this exact format:
-{
-  "specialist": "",
-  "department": "",
-  "urgency": "",
-  "facility_type": "",
-  "search_keywords": [],
-  "emergency_required": false
+// Build the provider configured through VITE_LLM_* variables on first use
+function getDefaultProvider() {
+  if (!defaultProvider) {
+    const env = import.meta.env
+    defaultProvider = createProvider({
+      provider: LLM_PROVIDER,
+      apiKey: LLM_PROVIDER === 'openrouter' ? env.VITE_OPENROUTER_API_KEY : env.VITE_LLM_API_KEY,
+      baseUrl: env.VITE_LLM_BASE_URL,
+      model: env.VITE_LLM_MODEL || undefined,
+      referer: window.location.origin,
+      latencyMs: Number(env.VITE_MOCK_LATENCY_MS) || 0,
+      chunkDelayMs: Number(env.VITE_MOCK_CHUNK_DELAY_MS) || 0,
+      envNames: {
+        apiKey: LLM_PROVIDER === 'openrouter' ? 'VITE_OPENROUTER_API_KEY' : 'VITE_LLM_API_KEY',
+        baseUrl: 'VITE_LLM_BASE_URL',
+        model: 'VITE_LLM_MODEL',
+      },
+    })
+  }
+  return defaultProvider
 }
 
-Field meaning:
-- specialist: doctor type (e.g., Cardiologist, General Physician, Neurologist, Dermatologist)
-- department: hospital department name used in searches (e.g., Cardiology, Emergency, Pediatrics)
-- urgency:
-  - "normal"
-  - "urgent"
-  - "emergency"
-- facility_type:
-  - "clinic"
-  - "hospital"
-  - "emergency_room"
-- search_keywords: array of keywords to feed into Google Maps search
-  Example: ["cardiology hospital", "heart specialist", "emergency care"]
-- emergency_required:
-  - true if urgency is "emergency"
-  - false otherwise
+const callsProxy = (provider) => !provider && LLM_PROVIDER === 'proxy'
 
-Rules:
-- Do NOT diagnose.
-- Do NOT name any diseases.
-- Do NOT suggest medicine or treatment.
-- Do NOT explain anything.
-- Do NOT add extra fields.
-- Do NOT write anything outside JSON.
-- Make output optimized for Google Maps search queries.
-`;
+// Read the proxy's newline-delimited JSON stream: { partial } lines, then the final body
+async function readTriageStream(response, onPartial) {
+  let body = null
 
+  await readLines(response, (line) => {
+    const data = JSON.parse(line)
+    if (data.error) throw new Error(data.error)
+    if (data.partial) {
+      onPartial(data.partial)
+      return false
+    }
+    body = data
+    return true
+  })
 
-  const userPrompt = `User symptoms: "${symptoms}"`
+  if (!body) {
+    throw new Error('The triage service closed the connection early.')
+  }
+  return body
+}
 
-  try {
-    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-        'HTTP-Referer': window.location.origin,
-        'X-Title': 'Lackecity Medical Triage',
-      },
-      body: JSON.stringify({
-        model: 'openai/gpt-4o-mini',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt },
-        ],
-        temperature: 0.3,
-        max_tokens: 150,
-      }),
-    })
+// POST to the triage proxy with the signed-in user's Firebase ID token
+async function callTriageApi(payload, { signal, onPartial } = {}) {
+  const idToken = await auth.currentUser?.getIdToken()
 
-    const data = await response.json()
+  const response = await fetch(TRIAGE_API_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(idToken ? { 'Authorization': `Bearer ${idToken}` } : {}),
+    },
+    body: JSON.stringify(onPartial ? { ...payload, stream: true } : payload),
+    signal,
+  })
 
-    if (!response.ok) {
-      console.error('OpenRouter API error response:', data)
-      const errorMsg = data.error?.message || `OpenRouter API error: ${response.status}`
-      throw new Error(errorMsg)
-    }
+  if (response.status === 401) {
+    throw new Error('Please sign in to use the symptom checker.')
+  }
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}))
+    console.error('Triage API error response:', data)
+    throw new Error(data.error || `Triage service error: ${response.status}`)
+  }
 
-    if (!data.choices || !data.choices[0]?.message?.content) {
-      console.error('Unexpected API response format:', data)
-      throw new Error('Unexpected response format from OpenRouter API')
-    }
+  return onPartial ? readTriageStream(response, onPartial) : response.json()
+}
+
+/**
+ * Get routing information for a one-shot symptom description.
+ * @param {string} symptoms - The user's symptoms
+ * @param {object} options
+ * @param {object} options.provider - LLM provider to call directly instead of the configured one
+ * @param {object} options.patient - Optional patient context (age, sex, pregnancy, chronic conditions)
+ * @param {Array<object>} options.attachments - Redacted text extracted from attached documents ({ kind, text })
+ * @param {object} options.structuredSymptoms - Symptoms picked on the body map ({ regions: [{ region, descriptors, severity, duration }] })
+ * @param {object} options.vitals - Home vital-sign readings (temperature, SpO2, heart rate, blood pressure, glucose)
+ * @param {object} options.healthTrends - Recent heart rate, SpO2 and temperature trends imported from a health app
+ * @param {object} options.previousTriage - Earlier triage of the same episode when the user reports changed symptoms
+ * @param {AbortSignal} options.signal - Cancels the request; the promise then rejects with an AbortError
+ * @param {number} options.timeoutMs - Fall back to the offline estimate after this long (VITE_TRIAGE_TIMEOUT_MS by default)
+ * @param {(partial: object) => void} options.onPartial - Streams the routing fields as they arrive
+ * @returns {Promise<object>} Validated triage result; `attempts` is the number of model calls it took.
+ *   If the model cannot be reached, an offline estimate with `offline: true` is returned instead of throwing.
+ */
+export async function getTriageResult(symptoms, {
+  provider,
+  patient,
+  attachments,
+  structuredSymptoms,
+  vitals,
+  healthTrends,
+  previousTriage,
+  signal,
+  timeoutMs = TIMEOUT_MS,
+  onPartial,
+} = {}) {
+  // Direct providers time out inside the engine; the proxy call is timed here
+  const timeout = withTimeout(signal, callsProxy(provider) ? timeoutMs : 0)
 
-    const content = data.choices[0].message.content.trim()
-    
-    // Remove markdown code blocks if present
-    let jsonString = content
-    if (content.startsWith('```')) {
-      jsonString = content.replace(/```json?\n?/g, '').replace(/```/g, '').trim()
+  try {
+    if (!callsProxy(provider)) {
+      return await runTriage(symptoms, {
+        provider: provider || getDefaultProvider(),
+        patient,
+        attachments,
+        structuredSymptoms,
+        vitals,
+        healthTrends,
+        previousTriage,
+        signal,
+        timeoutMs,
+        onPartial,
+      })
     }
+    const { result } = await callTriageApi({ symptoms, patient, attachments, structuredSymptoms, vitals, healthTrends, previousTriage }, { signal: timeout.signal, onPartial })
+    return result
+  } catch (error) {
+    if (signal?.aborted) throw error
+    console.error('Error getting triage result:', error)
+    // Fall back to a local estimate when the triage service is unreachable or misconfigured
+    const reason = timeout.timedOut() ? TIMEOUT_REASON : error.message
+    const symptomText = withStructuredSymptoms(symptoms, normalizeStructuredSymptoms(structuredSymptoms))
+    return getOfflineTriageResult(symptomText, { reason, patient: normalizePatientContext(patient), vitals: normalizeVitals(vitals) })
+  } finally {
+    timeout.clear()
+  }
+}
 
-    // Parse the JSON response
-    const result = JSON.parse(jsonString)
-    
-    return {
-      specialist: result.specialist || 'General Practitioner',
-      department: result.department || 'General Medicine',
-      urgency: result.urgency || 'normal',
-      facility_type: result.facility_type || 'hospital',
-      search_keywords: result.search_keywords || [],
-      emergency_required: result.emergency_required || false,
+/**
+ * Run one turn of a clarifying-question triage conversation.
+ * @param {Array<{role: 'user'|'assistant', content: string}>} conversation - Messages so far, starting with the user's symptoms
+ * @param {object} options
+ * @param {number} options.maxQuestions - Maximum number of follow-up questions the assistant may ask in total
+ * @param {object} options.provider - LLM provider to call directly instead of the configured one
+ * @param {object} options.patient - Optional patient context (age, sex, pregnancy, chronic conditions)
+ * @param {Array<object>} options.attachments - Redacted text extracted from attached documents ({ kind, text })
+ * @param {object} options.structuredSymptoms - Symptoms picked on the body map ({ regions: [{ region, descriptors, severity, duration }] })
+ * @param {object} options.vitals - Home vital-sign readings (temperature, SpO2, heart rate, blood pressure, glucose)
+ * @param {object} options.healthTrends - Recent heart rate, SpO2 and temperature trends imported from a health app
+ * @param {object} options.previousTriage - Earlier triage of the same episode when the user reports changed symptoms
+ * @param {AbortSignal} options.signal - Cancels the request; the promise then rejects with an AbortError
+ * @param {number} options.timeoutMs - Fall back to the offline estimate after this long (VITE_TRIAGE_TIMEOUT_MS by default)
+ * @param {(partial: object) => void} options.onPartial - Streams the routing fields as they arrive
+ * @returns {Promise<{question: string, attempts: number}|{result: object, attempts: number}>} Either a follow-up question or the final triage result
+ */
+export async function getTriageTurn(conversation, {
+  maxQuestions = 3,
+  provider,
+  patient,
+  attachments,
+  structuredSymptoms,
+  vitals,
+  healthTrends,
+  previousTriage,
+  signal,
+  timeoutMs = TIMEOUT_MS,
+  onPartial,
+} = {}) {
+  const timeout = withTimeout(signal, callsProxy(provider) ? timeoutMs : 0)
+
+  try {
+    if (!callsProxy(provider)) {
+      return await runTriageTurn(conversation, {
+        maxQuestions,
+        provider: provider || getDefaultProvider(),
+        patient,
+        attachments,
+        structuredSymptoms,
+        vitals,
+        healthTrends,
+        previousTriage,
+        signal,
+        timeoutMs,
+        onPartial,
+      })
     }
+    return await callTriageApi({ conversation, maxQuestions, patient, attachments, structuredSymptoms, vitals, healthTrends, previousTriage }, { signal: timeout.signal, onPartial })
   } catch (error) {
-    console.error('Error calling OpenRouter:', error)
-    throw error
+    if (signal?.aborted) throw error
+    console.error('Error getting triage turn:', error)
+    const symptomText = withStructuredSymptoms(
+      conversation
+        .filter((message) => message.role === 'user')
+        .map((message) => message.content)
+        .join('\n'),
+      normalizeStructuredSymptoms(structuredSymptoms),
+    )
+    const reason = timeout.timedOut() ? TIMEOUT_REASON : error.message
+    return {
+      result: getOfflineTriageResult(symptomText, { reason, patient: normalizePatientContext(patient), vitals: normalizeVitals(vitals) }),
+    }
+  } finally {
+    timeout.clear()
   }
 }
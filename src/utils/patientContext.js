@@ -0,0 +1,103 @@
+// Optional patient context (age, sex, pregnancy, chronic conditions) sent with triage.
+// Shared by the browser and the triage API server.
+import { redactText } from './redaction.js'
+
+export const SEX_OPTIONS = ['female', 'male', 'other']
+
+export const CHRONIC_CONDITIONS = [
+  { value: 'diabetes', label: 'Diabetes' },
+  { value: 'hypertension', label: 'High blood pressure' },
+  { value: 'heart_disease', label: 'Heart disease' },
+  { value: 'lung_disease', label: 'Asthma / COPD' },
+  { value: 'kidney_disease', label: 'Kidney disease' },
+  { value: 'immunocompromised', label: 'Weak immune system' },
+  { value: 'cancer', label: 'Cancer treatment' },
+]
+
+export const EMPTY_PATIENT_CONTEXT = {
+  age: '',
+  ageUnit: 'years',
+  sex: '',
+  pregnant: false,
+  chronicConditions: [],
+  otherConditions: '',
+}
+
+/**
+ * Patient age in months, for thresholds that matter in infancy.
+ * @param {object} patient - Patient context
+ * @returns {number|null} Age in months, or null if unknown
+ */
+export function getAgeInMonths(patient) {
+  if (patient?.age === '' || patient?.age == null) return null
+  const age = Number(patient.age)
+  if (!Number.isFinite(age) || age < 0) return null
+  return patient.ageUnit === 'months' ? age : age * 12
+}
+
+/**
+ * Age band used for routing (e.g. pediatrics) from a patient context.
+ * @param {object} patient - Patient context
+ * @returns {string|null} 'infant' | 'child' | 'adolescent' | 'adult' | 'older_adult', or null if age is unknown
+ */
+export function getAgeBand(patient) {
+  const months = getAgeInMonths(patient)
+  if (months === null) return null
+
+  const years = months / 12
+  if (years < 1) return 'infant'
+  if (years < 13) return 'child'
+  if (years < 18) return 'adolescent'
+  if (years < 65) return 'adult'
+  return 'older_adult'
+}
+
+/**
+ * Clean up a patient context so it is safe to store and to send to the model.
+ * @param {object} patient - Raw patient context from the form or request body
+ * @returns {object|null} Sanitized context, or null if nothing useful was provided
+ */
+export function normalizePatientContext(patient) {
+  if (!patient || typeof patient !== 'object') return null
+
+  const age = Number(patient.age)
+  const hasAge = patient.age !== '' && patient.age !== null && Number.isFinite(age) && age >= 0 && age <= 130
+  const sex = SEX_OPTIONS.includes(patient.sex) ? patient.sex : ''
+  const knownConditions = CHRONIC_CONDITIONS.map((condition) => condition.value)
+  const chronicConditions = Array.isArray(patient.chronicConditions)
+    ? patient.chronicConditions.filter((condition) => knownConditions.includes(condition))
+    : []
+  // Free text, so personal identifiers are masked like typed symptoms
+  const otherConditions = typeof patient.otherConditions === 'string' ? redactText(patient.otherConditions.trim()).text.slice(0, 200) : ''
+
+  const normalized = {
+    age: hasAge ? age : '',
+    ageUnit: patient.ageUnit === 'months' ? 'months' : 'years',
+    sex,
+    pregnant: sex === 'female' && patient.pregnant === true,
+    chronicConditions,
+    otherConditions,
+  }
+
+  const isEmpty = !hasAge && !sex && !chronicConditions.length && !otherConditions
+  return isEmpty ? null : normalized
+}
+
+/**
+ * Structured patient context as sent to the model.
+ * @param {object|null} patient - Normalized patient context
+ * @returns {object|null}
+ */
+export function toPromptPatientContext(patient) {
+  if (!patient) return null
+  return {
+    age: patient.age === '' ? 'unknown' : `${patient.age} ${patient.ageUnit}`,
+    age_band: getAgeBand(patient) || 'unknown',
+    sex: patient.sex || 'unknown',
+    pregnant: patient.pregnant,
+    chronic_conditions: [
+      ...patient.chronicConditions,
+      ...(patient.otherConditions ? [patient.otherConditions] : []),
+    ],
+  }
+}
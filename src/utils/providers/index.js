@@ -0,0 +1,28 @@
+// Pluggable LLM providers for triage. Every provider exposes the same interface:
+//   { name, model, complete(messages, { temperature, maxTokens, signal, onToken }) => Promise<string> }
+// and returns the raw message content; parsing and validation happen in the caller,
+// so the triage result has the same shape whichever provider is used.
+// `signal` aborts the request; `onToken(delta, textSoFar)` opts into streaming.
+import { createOpenRouterProvider } from './openRouter.js'
+import { createOpenAICompatibleProvider } from './openaiCompatible.js'
+import { createMockProvider } from './mock.js'
+
+export const PROVIDERS = {
+  openrouter: createOpenRouterProvider,
+  'openai-compatible': createOpenAICompatibleProvider,
+  mock: createMockProvider,
+}
+
+/**
+ * Create a provider from configuration.
+ * @param {object} config
+ * @param {string} config.provider - One of the keys of PROVIDERS
+ * @returns {{name: string, model: string, complete: Function}}
+ */
+export function createProvider({ provider = 'openrouter', ...config } = {}) {
+  const factory = PROVIDERS[provider]
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${provider}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`)
+  }
+  return factory(config)
+}
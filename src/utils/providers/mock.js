@@ -0,0 +1,63 @@
+// Deterministic fixture-based provider for demos and tests. Never touches the network.
+import { MOCK_FIXTURES, MOCK_DEFAULT_RESULT } from './mockFixtures.js'
+
+// Size of the pieces a streamed mock response is split into
+const STREAM_CHUNK_SIZE = 16
+
+// Resolve after `ms`, or reject with the abort reason if `signal` aborts first
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted()
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(signal.reason)
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Create a mock provider that answers from keyword fixtures.
+ * @param {object} [config]
+ * @param {Array<{keywords: string[], result: object}>} [config.fixtures] - Fixtures to match against the user's messages
+ * @param {object} [config.defaultResult] - Result returned when nothing matches
+ * @param {number} [config.latencyMs] - Artificial delay, to make loading states visible in demos
+ * @param {number} [config.chunkDelayMs] - Delay between streamed chunks
+ * @returns {{name: string, model: string, complete: Function}}
+ */
+export function createMockProvider({
+  fixtures = MOCK_FIXTURES,
+  defaultResult = MOCK_DEFAULT_RESULT,
+  latencyMs = 0,
+  chunkDelayMs = 0,
+} = {}) {
+  async function complete(messages, { signal, onToken } = {}) {
+    signal?.throwIfAborted()
+    if (latencyMs > 0) {
+      await delay(latencyMs, signal)
+    }
+
+    const userText = messages
+      .filter((message) => message.role === 'user')
+      .map((message) => message.content)
+      .join('\n')
+      .toLowerCase()
+
+    const fixture = fixtures.find(({ keywords }) => keywords.some((keyword) => userText.includes(keyword)))
+    const content = JSON.stringify(fixture ? fixture.result : defaultResult)
+
+    if (typeof onToken === 'function') {
+      for (let end = STREAM_CHUNK_SIZE; end < content.length + STREAM_CHUNK_SIZE; end += STREAM_CHUNK_SIZE) {
+        if (chunkDelayMs > 0) await delay(chunkDelayMs, signal)
+        onToken(content.slice(end - STREAM_CHUNK_SIZE, end), content.slice(0, end))
+      }
+    }
+    return content
+  }
+
+  return { name: 'mock', model: 'fixtures', complete }
+}
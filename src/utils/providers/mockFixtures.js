@@ -0,0 +1,125 @@
+// Canned triage responses for the mock provider, matched by keyword.
+// The first fixture whose keywords appear in the user's messages wins.
+
+export const MOCK_FIXTURES = [
+  {
+    keywords: ['hopeless', 'no point living', 'disappear forever'],
+    result: {
+      specialist: 'Psychiatrist',
+      department: 'Psychiatry',
+      urgency: 'emergency',
+      facility_type: 'hospital',
+      search_keywords: ['psychiatric emergency', 'mental health hospital'],
+      emergency_required: true,
+      crisis_risk: true,
+      alternatives: [
+        { specialist: 'Psychiatrist', department: 'Psychiatry', confidence: 0.9, search_keywords: ['psychiatric emergency', 'mental health hospital'] },
+        { specialist: 'Emergency Physician', department: 'Emergency', confidence: 0.1, search_keywords: ['emergency room'] },
+      ],
+    },
+  },
+  {
+    keywords: ['chest pain', 'chest pressure', 'heart'],
+    result: {
+      specialist: 'Cardiologist',
+      department: 'Cardiology',
+      urgency: 'emergency',
+      facility_type: 'emergency_room',
+      search_keywords: ['cardiology hospital', 'heart specialist', 'emergency care'],
+      emergency_required: true,
+      alternatives: [
+        { specialist: 'Cardiologist', department: 'Cardiology', confidence: 0.8, search_keywords: ['cardiology hospital', 'heart specialist'] },
+        { specialist: 'Emergency Physician', department: 'Emergency', confidence: 0.2, search_keywords: ['emergency room'] },
+      ],
+    },
+  },
+  {
+    keywords: ['breath', 'cough', 'wheez'],
+    result: {
+      specialist: 'Pulmonologist',
+      department: 'Pulmonology',
+      urgency: 'urgent',
+      facility_type: 'hospital',
+      search_keywords: ['pulmonology hospital', 'chest specialist'],
+      emergency_required: false,
+      alternatives: [
+        { specialist: 'Pulmonologist', department: 'Pulmonology', confidence: 0.7, search_keywords: ['pulmonology hospital', 'chest specialist'] },
+        { specialist: 'General Physician', department: 'General Medicine', confidence: 0.3, search_keywords: ['general physician'] },
+      ],
+    },
+  },
+  {
+    keywords: ['headache', 'migraine', 'dizz', 'numb'],
+    result: {
+      specialist: 'Neurologist',
+      department: 'Neurology',
+      urgency: 'normal',
+      facility_type: 'clinic',
+      search_keywords: ['neurologist', 'neurology clinic'],
+      emergency_required: false,
+      alternatives: [
+        { specialist: 'Neurologist', department: 'Neurology', confidence: 0.6, search_keywords: ['neurologist', 'neurology clinic'] },
+        { specialist: 'General Physician', department: 'General Medicine', confidence: 0.4, search_keywords: ['general physician'] },
+      ],
+    },
+  },
+  {
+    keywords: ['stomach', 'abdominal', 'abdomen', 'vomit', 'diarrh', 'nausea'],
+    result: {
+      specialist: 'Gastroenterologist',
+      department: 'Gastroenterology',
+      urgency: 'normal',
+      facility_type: 'clinic',
+      search_keywords: ['gastroenterologist', 'gastro clinic'],
+      emergency_required: false,
+      alternatives: [
+        { specialist: 'Gastroenterologist', department: 'Gastroenterology', confidence: 0.6, search_keywords: ['gastroenterologist', 'gastro clinic'] },
+        { specialist: 'Emergency Physician', department: 'Emergency', confidence: 0.25, search_keywords: ['emergency room', '24 hour hospital'] },
+        { specialist: 'General Physician', department: 'General Medicine', confidence: 0.15, search_keywords: ['general physician'] },
+      ],
+    },
+  },
+  {
+    keywords: ['rash', 'itch', 'skin', 'acne'],
+    result: {
+      specialist: 'Dermatologist',
+      department: 'Dermatology',
+      urgency: 'normal',
+      facility_type: 'clinic',
+      search_keywords: ['dermatologist', 'skin clinic'],
+      emergency_required: false,
+      alternatives: [
+        { specialist: 'Dermatologist', department: 'Dermatology', confidence: 0.85, search_keywords: ['dermatologist', 'skin clinic'] },
+        { specialist: 'General Physician', department: 'General Medicine', confidence: 0.15, search_keywords: ['general physician'] },
+      ],
+    },
+  },
+  {
+    keywords: ['fracture', 'broken', 'sprain', 'joint', 'back pain', 'knee'],
+    result: {
+      specialist: 'Orthopedic Surgeon',
+      department: 'Orthopedics',
+      urgency: 'urgent',
+      facility_type: 'hospital',
+      search_keywords: ['orthopedic hospital', 'bone specialist'],
+      emergency_required: false,
+      alternatives: [
+        { specialist: 'Orthopedic Surgeon', department: 'Orthopedics', confidence: 0.75, search_keywords: ['orthopedic hospital', 'bone specialist'] },
+        { specialist: 'Physiotherapist', department: 'Physiotherapy', confidence: 0.25, search_keywords: ['physiotherapy clinic'] },
+      ],
+    },
+  },
+]
+
+// Used when no fixture matches
+export const MOCK_DEFAULT_RESULT = {
+  specialist: 'General Physician',
+  department: 'General Medicine',
+  urgency: 'normal',
+  facility_type: 'clinic',
+  search_keywords: ['general physician', 'clinic'],
+  emergency_required: false,
+  alternatives: [
+    { specialist: 'General Physician', department: 'General Medicine', confidence: 1.0, search_keywords: ['general physician', 'clinic'] },
+  ],
+}
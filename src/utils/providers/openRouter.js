@@ -0,0 +1,31 @@
+// Provider for the hosted OpenRouter API
+import { configHint, createOpenAICompatibleProvider } from './openaiCompatible.js'
+
+export const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1'
+export const OPENROUTER_DEFAULT_MODEL = 'openai/gpt-4o-mini'
+
+/**
+ * Create a provider for OpenRouter.
+ * @param {object} config
+ * @param {string} config.apiKey - OpenRouter API key
+ * @param {string} [config.model] - Model name, defaults to openai/gpt-4o-mini
+ * @param {string} [config.referer] - Value for the HTTP-Referer header OpenRouter uses for app attribution
+ * @param {{apiKey?: string}} [config.envNames] - Variable the caller reads the key from, named in configuration errors
+ * @returns {{name: string, model: string, complete: Function}}
+ */
+export function createOpenRouterProvider({ apiKey, model = OPENROUTER_DEFAULT_MODEL, referer, envNames = {} }) {
+  if (!apiKey) {
+    throw new Error(`OpenRouter API key is not configured.${configHint(envNames.apiKey)}`)
+  }
+
+  return createOpenAICompatibleProvider({
+    name: 'openrouter',
+    baseUrl: OPENROUTER_BASE_URL,
+    model,
+    apiKey,
+    headers: {
+      ...(referer ? { 'HTTP-Referer': referer } : {}),
+      'X-Title': 'Lackecity Medical Triage',
+    },
+  })
+}
@@ -0,0 +1,110 @@
+// Provider for any server that speaks the OpenAI chat completions API
+// (OpenRouter, Ollama, llama.cpp server, vLLM, LM Studio, ...)
+import { readLines } from '../streaming.js'
+
+/**
+ * Hint for a missing setting, naming the variable the caller reads it from.
+ * @param {string} [envName] - Environment variable, e.g. LLM_MODEL on the server or VITE_LLM_MODEL in the browser
+ * @returns {string}
+ */
+export const configHint = (envName) => (envName ? ` Set ${envName} in your .env file.` : '')
+
+// Read a server-sent events completion stream, reporting the text received so far
+async function readCompletionStream(response, onToken, name) {
+  let content = ''
+
+  await readLines(response, (line) => {
+    if (!line.startsWith('data:')) return false
+    const data = line.slice(5).trim()
+    if (data === '[DONE]') return true
+
+    let chunk
+    try {
+      chunk = JSON.parse(data)
+    } catch {
+      return false
+    }
+    if (chunk.error) {
+      throw new Error(chunk.error.message || `${name} API stream error`)
+    }
+
+    const delta = chunk.choices?.[0]?.delta?.content
+    if (delta) {
+      content += delta
+      onToken(delta, content)
+    }
+    return false
+  })
+
+  return content
+}
+
+/**
+ * Create a provider backed by an OpenAI-compatible `/chat/completions` endpoint.
+ * @param {object} config
+ * @param {string} config.baseUrl - API base URL, e.g. http://localhost:11434/v1
+ * @param {string} config.model - Model name sent with every request
+ * @param {string} [config.apiKey] - Bearer token, if the server needs one
+ * @param {object} [config.headers] - Extra request headers
+ * @param {string} [config.name] - Provider name used in results and error messages
+ * @param {{baseUrl?: string, model?: string}} [config.envNames] - Variables the caller reads the settings from,
+ *   named in configuration errors
+ * @returns {{name: string, model: string, complete: Function}}
+ */
+export function createOpenAICompatibleProvider({ baseUrl, model, apiKey, headers = {}, name = 'openai-compatible', envNames = {} }) {
+  if (!baseUrl) {
+    throw new Error(`${name} provider needs a base URL.${configHint(envNames.baseUrl)}`)
+  }
+  if (!model) {
+    throw new Error(`${name} provider needs a model name.${configHint(envNames.model)}`)
+  }
+
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`
+
+  // Send a chat completion request and return the raw message content.
+  // With `onToken` the completion is streamed and onToken(delta, textSoFar) is called as it arrives.
+  async function complete(messages, { temperature = 0.3, maxTokens = 400, signal, onToken } = {}) {
+    const stream = typeof onToken === 'function'
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+        ...headers,
+      },
+      body: JSON.stringify({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        ...(stream ? { stream: true } : {}),
+      }),
+      signal,
+    })
+
+    if (stream && response.ok) {
+      const content = await readCompletionStream(response, onToken, name)
+      if (!content.trim()) {
+        throw new Error(`Empty response stream from ${name} API`)
+      }
+      return content.trim()
+    }
+
+    const data = await response.json().catch(() => ({}))
+
+    if (!response.ok) {
+      console.error(`${name} API error response:`, data)
+      const errorMsg = data.error?.message || `${name} API error: ${response.status}`
+      throw new Error(errorMsg)
+    }
+
+    if (!data.choices || !data.choices[0]?.message?.content) {
+      console.error('Unexpected API response format:', data)
+      throw new Error(`Unexpected response format from ${name} API`)
+    }
+
+    return data.choices[0].message.content.trim()
+  }
+
+  return { name, model, complete }
+}
@@ -0,0 +1,233 @@
+// Deterministic red-flag rules for medical triage.
+// These run locally before and after the LLM so that clearly dangerous symptom
+// patterns are always escalated, whatever the model returns (or if it fails).
+// Bump RED_FLAG_RULES_VERSION whenever a rule is added, removed or changed.
+// Patterns cover English plus common Hindi (Devanagari) and Hinglish phrasings;
+// \b does not work around Devanagari letters, so those patterns avoid it.
+
+import { URGENCY_LEVELS } from './triageSchema.js'
+import { getAgeInMonths } from './patientContext.js'
+
+export const RED_FLAG_RULES_VERSION = '1.2.0'
+
+const EMERGENCY_ROUTING = {
+  urgency: 'emergency',
+  specialist: 'Emergency Medicine Physician',
+  department: 'Emergency',
+  facility_type: 'emergency_room',
+}
+
+export const RED_FLAG_RULES = [
+  {
+    id: 'cardiac-chest-pain',
+    label: 'Chest pain with crushing pressure or spreading to arm, jaw or back',
+    patterns: [
+      /crushing\s+(chest|pain)/i,
+      /chest\s+(pain|pressure|tightness|heaviness)\b.*\b(arm|jaw|neck|back|shoulder|sweat)/i,
+      /\b(arm|jaw)\b.*\bchest\s+(pain|pressure|tightness)/i,
+      /(seene|sine|chhati|chati)\s+(me|mein|main)\s+(dard|dabav|bhaari).*(baju|haath|jabda|pasina)/i,
+      /(सीने|छाती)\s*में\s*(दर्द|दबाव|भारीपन).*(बाजू|बांह|हाथ|जबड़|पसीना)/,
+    ],
+    ...EMERGENCY_ROUTING,
+    specialist: 'Cardiologist',
+    search_keywords: ['emergency room', 'cardiac emergency', 'heart hospital'],
+  },
+  {
+    id: 'stroke-signs',
+    label: 'Possible stroke signs (face drooping, slurred speech, one-sided weakness)',
+    patterns: [
+      /face\s+(is\s+)?(droop|drooping|numb)/i,
+      /slurred\s+speech|can'?t\s+speak|unable\s+to\s+speak/i,
+      /(sudden|one[-\s]sided)\s+(weakness|numbness|paralysis)/i,
+      /(weakness|numbness)\s+(on|in)\s+(one|the\s+(left|right))\s+side/i,
+      /(chehra|muh|munh)\s+(tedha|terha)|ek\s+taraf\s+(kamzori|sunn)|zuba+n\s+ladkhada/i,
+      /(चेहरा|मुँह|मुंह)\s*टेढ़ा|एक\s*तरफ\s*(कमज़ोरी|कमजोरी|सुन्न)|ज़ुबान\s*लड़खड़|जुबान\s*लड़खड़/,
+    ],
+    ...EMERGENCY_ROUTING,
+    specialist: 'Neurologist',
+    search_keywords: ['emergency room', 'stroke center', 'neurology emergency'],
+  },
+  {
+    id: 'severe-breathing',
+    label: 'Severe difficulty breathing',
+    patterns: [
+      /can'?t\s+breathe|cannot\s+breathe|unable\s+to\s+breathe/i,
+      /gasping|choking/i,
+      /(blue|bluish)\s+(lips|face|skin)|lips\s+(are\s+)?(turning\s+)?blue/i,
+      /severe\s+(shortness\s+of\s+breath|breathlessness|difficulty\s+breathing)/i,
+      /saans\s+(nahi|nahin|nhi)\s+(aa|le)/i,
+      /साँस\s*(नहीं|नही)\s*(आ|ले)|सांस\s*(नहीं|नही)\s*(आ|ले)/,
+    ],
+    ...EMERGENCY_ROUTING,
+    search_keywords: ['emergency room', 'emergency care', 'hospital emergency'],
+  },
+  {
+    id: 'anaphylaxis',
+    label: 'Possible severe allergic reaction (throat, tongue or lip swelling)',
+    patterns: [
+      /(throat|tongue|lips?)\s+(is\s+|are\s+)?(swelling|swollen|closing)/i,
+      /swollen\s+(throat|tongue|lips?)/i,
+      /anaphyla/i,
+    ],
+    ...EMERGENCY_ROUTING,
+    search_keywords: ['emergency room', 'emergency care'],
+  },
+  {
+    id: 'loss-of-consciousness',
+    label: 'Unconscious, unresponsive or having a seizure',
+    patterns: [
+      /unconscious|unresponsive|passed\s+out|not\s+waking\s+up/i,
+      /seizure|convulsion/i,
+      /behosh|daura\s+pad/i,
+      /बेहोश|दौरा\s*पड़/,
+    ],
+    ...EMERGENCY_ROUTING,
+    search_keywords: ['emergency room', 'emergency care'],
+  },
+  {
+    id: 'severe-bleeding',
+    label: 'Severe bleeding or vomiting/coughing blood',
+    patterns: [
+      /(heavy|severe|uncontrolled|won'?t\s+stop)\s+bleeding|bleeding\s+(heavily|won'?t\s+stop)/i,
+      /(vomiting|coughing|throwing\s+up)\s+blood/i,
+      /khoon\s+(ki\s+ulti|ki\s+ultee|nahi\s+ruk)/i,
+      /खून\s*की\s*उल्टी|खून\s*(नहीं|नही)\s*रुक/,
+    ],
+    ...EMERGENCY_ROUTING,
+    search_keywords: ['emergency room', 'trauma care'],
+  },
+  {
+    id: 'thunderclap-headache',
+    label: 'Sudden, worst-ever headache',
+    patterns: [
+      /worst\s+headache/i,
+      /thunderclap/i,
+      /sudden\s+severe\s+headache/i,
+    ],
+    ...EMERGENCY_ROUTING,
+    specialist: 'Neurologist',
+    search_keywords: ['emergency room', 'neurology emergency'],
+  },
+  {
+    id: 'fever-stiff-neck',
+    label: 'Fever with stiff neck',
+    patterns: [
+      /fever\b.*\bstiff\s+neck|stiff\s+neck\b.*\bfever/i,
+    ],
+    ...EMERGENCY_ROUTING,
+    search_keywords: ['emergency room', 'emergency care'],
+  },
+  {
+    id: 'poisoning-overdose',
+    label: 'Poisoning or overdose',
+    patterns: [
+      /\boverdos(e|ed)\b/i,
+      /(swallowed|drank|ingested)\s+(bleach|poison|pesticide|chemicals?|too\s+many\s+(pills|tablets))/i,
+    ],
+    ...EMERGENCY_ROUTING,
+    search_keywords: ['emergency room', 'poison treatment'],
+  },
+  {
+    id: 'infant-fever',
+    label: 'Fever in a baby under 3 months old',
+    patterns: [
+      /fever|temperature|feels?\s+(very\s+)?hot/i,
+    ],
+    // Only applies when the patient context says the patient is a young infant
+    when: (patient) => {
+      const months = getAgeInMonths(patient)
+      return months !== null && months < 3
+    },
+    ...EMERGENCY_ROUTING,
+    specialist: 'Pediatrician',
+    search_keywords: ['pediatric emergency', 'children hospital emergency'],
+  },
+  {
+    id: 'pregnancy-bleeding-pain',
+    label: 'Bleeding or severe abdominal pain during pregnancy',
+    patterns: [
+      /bleeding|spotting/i,
+      /(severe|bad|sharp)\s+(abdominal|stomach|belly|pelvic)\s+pain/i,
+    ],
+    when: (patient) => patient?.pregnant === true,
+    ...EMERGENCY_ROUTING,
+    specialist: 'Gynecologist',
+    search_keywords: ['maternity emergency', 'obstetrics emergency'],
+  },
+  {
+    id: 'high-fever',
+    label: 'Very high fever',
+    patterns: [
+      /\b10[4-9](\.\d)?\s*(°|deg(rees)?)?\s*(f|fahrenheit)\b/i,
+      /\b4[0-2](\.\d)?\s*((°|deg(rees)?)\s*c?|c|celsius)\b/i,
+      /fever\D{0,15}\b10[4-9]\b/i,
+      /very\s+high\s+fever/i,
+    ],
+    urgency: 'urgent',
+    specialist: 'General Physician',
+    department: 'General Medicine',
+    facility_type: 'hospital',
+    search_keywords: ['hospital', 'urgent care'],
+  },
+]
+
+const urgencyRank = (urgency) => Math.max(URGENCY_LEVELS.indexOf(urgency), 0)
+
+/**
+ * Find every red-flag rule matching the given symptom text, most urgent first.
+ * @param {string} text - Free-text symptoms
+ * @param {object|null} [patient] - Normalized patient context; rules with a `when` condition need it
+ * @returns {Array<object>} Matching rules
+ */
+export function matchRedFlags(text, patient = null) {
+  if (!text) return []
+  return RED_FLAG_RULES
+    .filter((rule) => !rule.when || rule.when(patient))
+    .filter((rule) => rule.patterns.some((pattern) => pattern.test(text)))
+    .sort((a, b) => urgencyRank(b.urgency) - urgencyRank(a.urgency))
+}
+
+function describeRule(rule) {
+  return { id: rule.id, label: rule.label, urgency: rule.urgency, rules_version: RED_FLAG_RULES_VERSION }
+}
+
+/**
+ * Escalate a triage result according to a red-flag rule. Never lowers urgency.
+ * @param {object} result - Normalized triage result
+ * @param {object|null} rule - The rule that fired, as returned by matchRedFlags
+ * @returns {object} The (possibly escalated) result, with `red_flag` set when a rule fired
+ */
+export function applyRedFlag(result, rule) {
+  if (!rule) return result
+
+  const escalated = urgencyRank(rule.urgency) > urgencyRank(result.urgency)
+  const urgency = escalated ? rule.urgency : result.urgency
+
+  return {
+    ...result,
+    urgency,
+    emergency_required: urgency === 'emergency' || result.emergency_required,
+    facility_type: escalated ? rule.facility_type : result.facility_type,
+    search_keywords: escalated
+      ? [...new Set([...rule.search_keywords, ...(result.search_keywords || [])])]
+      : result.search_keywords,
+    red_flag: describeRule(rule),
+  }
+}
+
+/**
+ * Build a complete triage result from a red-flag rule alone, for when the LLM is unavailable.
+ * @param {object} rule - The rule that fired
+ * @returns {object} Triage result
+ */
+export function buildRedFlagResult(rule) {
+  return {
+    specialist: rule.specialist,
+    department: rule.department,
+    urgency: rule.urgency,
+    facility_type: rule.facility_type,
+    search_keywords: rule.search_keywords,
+    emergency_required: rule.urgency === 'emergency',
+    red_flag: describeRule(rule),
+  }
+}
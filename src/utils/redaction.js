@@ -0,0 +1,151 @@
+// Masks personal identifiers in free text before it is sent to the triage model or saved.
+// Pure and dependency-free so it can run in the browser and on the server.
+// Rules are deliberately conservative about numbers so that ages, temperatures,
+// blood pressure readings and durations are left alone.
+
+// Placeholder written in place of each kind of identifier
+export const REDACTION_PLACEHOLDERS = {
+  email: '[EMAIL]',
+  phone: '[PHONE]',
+  id_number: '[ID NUMBER]',
+  date_of_birth: '[DATE OF BIRTH]',
+  address: '[ADDRESS]',
+  pincode: '[PINCODE]',
+  name: '[NAME]',
+}
+
+const NAME_WORDS = "[A-Z][a-zA-Z'-]+(?:\\s+[A-Z][a-zA-Z'-]+){0,2}"
+// Phone-like groupings only, so runs of readings such as "120 80 98 101" don't match
+const PHONE_GROUPINGS = [
+  '\\d{10}', // 9820466726
+  '\\d{5}[\\s-]\\d{5}', // 98204 66726
+  '\\d{3}[\\s-]\\d{3}[\\s-]\\d{4}', // 800-555-0199
+  '\\d{4}[\\s-]\\d{3}[\\s-]\\d{3}', // 9820 466 726
+  '\\(?0\\d{2,4}\\)?[\\s-]?\\d{3,4}[\\s-]?\\d{4}', // landline with STD code: (022) 2345 6789
+].join('|')
+const ADDRESS_SUFFIXES = 'road|rd|street|st|lane|marg|nagar|colony|sector|avenue|ave|vihar|enclave|apartments?|society'
+// Counts, durations and doses: "fell 3 times on the road" is clinical detail, not an address
+const COUNT_WORDS = "times?|x|days?|weeks?|months?|years?|yrs?|hours?|hrs?|minutes?|mins?|seconds?|secs?|am|pm|o'?clock|" +
+  'mg|mcg|ml|g|kg|km|m|tablets?|tabs?|pills?|doses?|drops?|puffs?|units?|glass(?:es)?|cups?|steps?|floors?|kms?'
+// Case-sensitive, so "45 MG Road" is still an address
+const STARTS_WITH_COUNT = new RegExp(`^\\d+\\s*(?:${COUNT_WORDS})\\b`)
+
+// Verhoeff check used by Aadhaar numbers: the last digit checks the other eleven
+const VERHOEFF_MULTIPLY = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 2, 3, 4, 0, 6, 7, 8, 9, 5], [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7], [4, 0, 1, 2, 3, 9, 5, 6, 7, 8], [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2], [7, 6, 5, 9, 8, 2, 1, 0, 4, 3], [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+]
+const VERHOEFF_PERMUTE = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 5, 7, 6, 2, 8, 3, 0, 9, 4], [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7], [9, 4, 5, 3, 1, 2, 6, 8, 7, 0], [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5], [7, 0, 4, 6, 9, 1, 3, 2, 5, 8],
+]
+
+function hasValidVerhoeffDigit(digits) {
+  const reversed = [...digits].reverse().map(Number)
+  const check = reversed.reduce((sum, digit, index) => VERHOEFF_MULTIPLY[sum][VERHOEFF_PERMUTE[index % 8][digit]], 0)
+  return check === 0
+}
+
+// Each pattern's `value` group is masked; an optional `prefix` group (e.g. "my name is") is kept.
+// Order matters: longer identifiers run first so a phone rule can't eat part of an ID number.
+const REDACTION_RULES = [
+  {
+    type: 'email',
+    pattern: /(?<value>[\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g,
+  },
+  {
+    type: 'date_of_birth',
+    pattern: /(?<prefix>\b(?:dob|d\.o\.b\.?|date of birth|born on)\s*:?\s*)(?<value>\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}|\d{1,2}\s+[a-z]+\s+\d{4})/gi,
+  },
+  {
+    // Aadhaar: 12 digits grouped 4-4-4, or written after "aadhaar" / "uid", never starting with 0 or 1.
+    // Bare 12-digit runs are often order or reference numbers, so they need the cue.
+    type: 'id_number',
+    pattern: /(?<prefix>\b(?:aadhaa?r|uid)(?:\s*(?:card|no\.?|number|#))*\s*:?\s*)(?<value>[2-9]\d{3}[\s-]?\d{4}[\s-]?\d{4})\b|(?<value2>\b[2-9]\d{3}(?<separator>[\s-])\d{4}\k<separator>\d{4}\b)/gi,
+    accept: (value) => hasValidVerhoeffDigit(value.replace(/\D/g, '')),
+  },
+  {
+    // PAN (ABCDE1234F)
+    type: 'id_number',
+    pattern: /(?<value>\b[A-Z]{5}\d{4}[A-Z]\b)/g,
+  },
+  {
+    type: 'phone',
+    // Optionally led by a country code: +91 98204 66726
+    pattern: new RegExp(`(?<value>(?<![\\w+])(?:(?:\\+|00)\\d{1,3}[\\s-]?)?(?:${PHONE_GROUPINGS})(?!\\w))`, 'g'),
+    // 10-13 digits in all
+    accept: (value) => {
+      const digits = value.replace(/\D/g, '').length
+      return digits >= 10 && digits <= 13
+    },
+  },
+  {
+    type: 'address',
+    pattern: new RegExp(
+      `(?<value>\\b(?:house|flat|h\\.?\\s?no|plot|door)\\.?\\s*(?:no\\.?|number|#)?\\s*\\d[\\w/-]*(?:,?\\s+(?!(?:and|or|with|since|but|i|my)\\b)[\\w.-]+){0,2}` +
+      // A street needs a locality or pincode after it: "12 Park Street, Kolkata"
+      `|\\b\\d+[\\w/-]*,?\\s+(?:[A-Za-z.]+\\s+){0,3}(?:${ADDRESS_SUFFIXES})\\b` +
+      `(?=\\s*,\\s*[A-Za-z]{3,}|\\s*[-,]?\\s*\\d{6}\\b))`,
+      'gi'
+    ),
+    accept: (value) => !STARTS_WITH_COUNT.test(value),
+  },
+  {
+    type: 'pincode',
+    pattern: /(?<prefix>\b(?:pin|pincode|pin code|postal code|zip)\s*:?\s*)(?<value>\d{5,6})\b/gi,
+  },
+  {
+    type: 'name',
+    pattern: new RegExp(
+      `(?<prefix>\\b(?:my name is|name is|name:|i am called|mera naam|patient name:?)\\s+)(?<value>${NAME_WORDS})` +
+      `|(?<value2>\\b(?:Mr|Mrs|Ms|Dr|Shri|Smt)\\.?\\s+${NAME_WORDS})`,
+      'g'
+    ),
+  },
+]
+
+/**
+ * Mask personal identifiers in a piece of text.
+ * @param {string} text - Free text typed or pasted by the user
+ * @returns {{text: string, redactions: Array<{type: string, value: string, placeholder: string}>}}
+ *   The masked text and what was masked, in order of appearance per rule
+ */
+export function redactText(text) {
+  if (!text) return { text: text || '', redactions: [] }
+
+  const redactions = []
+  let redacted = text
+
+  for (const rule of REDACTION_RULES) {
+    const placeholder = REDACTION_PLACEHOLDERS[rule.type]
+    redacted = redacted.replace(rule.pattern, (match, ...args) => {
+      const groups = args[args.length - 1]
+      const value = groups.value ?? groups.value2
+      if (!value || (rule.accept && !rule.accept(value))) return match
+      redactions.push({ type: rule.type, value, placeholder })
+      return match.replace(value, placeholder)
+    })
+  }
+
+  return { text: redacted, redactions }
+}
+
+/**
+ * Mask personal identifiers in every user message of a conversation.
+ * Assistant messages are model output and are left unchanged.
+ * @param {Array<{role: string, content: string}>} messages - Conversation so far
+ * @returns {{messages: Array<{role: string, content: string}>, redactions: Array<object>}}
+ */
+export function redactConversation(messages) {
+  const redactions = []
+  const redactedMessages = messages.map((message) => {
+    if (message.role !== 'user') return message
+    const result = redactText(message.content)
+    redactions.push(...result.redactions)
+    return { ...message, content: result.text }
+  })
+  return { messages: redactedMessages, redactions }
+}
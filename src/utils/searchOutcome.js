@@ -0,0 +1,81 @@
+// What happened after a triage: whether the user visited a facility, which one, and whether
+// the suggested specialist was right. Answers are stored on the search document and give a
+// real-world accuracy signal for the routing.
+import { FACILITY_TYPES } from './triageSchema'
+
+export const VISIT_OPTIONS = [
+  { value: 'yes', label: 'Yes' },
+  { value: 'no', label: 'No' },
+]
+
+export const SPECIALIST_VERDICTS = [
+  { value: 'right', label: 'Yes, it was right' },
+  { value: 'wrong', label: 'No, I needed someone else' },
+  { value: 'unsure', label: 'Not sure' },
+]
+
+export const EMPTY_OUTCOME = {
+  visited: '',
+  facilityName: '',
+  facilityType: '',
+  specialistVerdict: '',
+  actualSpecialist: '',
+}
+
+const MAX_NAME_LENGTH = 120
+
+// Users are asked about a search once it is old enough to have been acted on, and not after a month
+export const OUTCOME_PROMPT_AFTER_HOURS = 12
+export const OUTCOME_PROMPT_MAX_DAYS = 30
+
+const cleanText = (value) => (typeof value === 'string' ? value.trim().slice(0, MAX_NAME_LENGTH) : '')
+
+/**
+ * Sanitize outcome answers before they are saved.
+ * @param {object} value - Outcome form values
+ * @returns {object|null} The outcome, or null if the visit question is unanswered
+ */
+export function normalizeOutcome(value) {
+  if (!value || !VISIT_OPTIONS.some((option) => option.value === value.visited)) return null
+  if (value.visited === 'no') return { visited: 'no' }
+
+  const specialistVerdict = SPECIALIST_VERDICTS.some((option) => option.value === value.specialistVerdict)
+    ? value.specialistVerdict
+    : ''
+  return {
+    visited: 'yes',
+    facilityName: cleanText(value.facilityName),
+    facilityType: FACILITY_TYPES.includes(value.facilityType) ? value.facilityType : '',
+    specialistVerdict,
+    // Only asked when the suggested specialist was wrong
+    actualSpecialist: specialistVerdict === 'wrong' ? cleanText(value.actualSpecialist) : '',
+  }
+}
+
+/**
+ * The specialist the user actually went looking for: a ranked alternative picked on the
+ * result card, otherwise the top suggestion. Compare outcome verdicts against this.
+ * @param {object} search - Saved search
+ * @returns {string|undefined}
+ */
+export function getFollowedSpecialist(search) {
+  return search.chosenAlternative?.specialist || search.result?.specialist
+}
+
+/**
+ * The search to ask "Did you visit a facility?" about: the newest one that is old enough,
+ * has no outcome yet, and was not dismissed.
+ * @param {Array} searches - Search history, newest first
+ * @param {Date} [now]
+ * @returns {object|null}
+ */
+export function findOutcomePrompt(searches, now = new Date()) {
+  const newest = now.getTime() - OUTCOME_PROMPT_AFTER_HOURS * 60 * 60 * 1000
+  const oldest = now.getTime() - OUTCOME_PROMPT_MAX_DAYS * 24 * 60 * 60 * 1000
+  return searches.find((search) => (
+    !search.outcome &&
+    !search.outcomeDismissedAt &&
+    search.createdAt.getTime() <= newest &&
+    search.createdAt.getTime() >= oldest
+  )) || null
+}
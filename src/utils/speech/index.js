@@ -0,0 +1,35 @@
+// Pluggable speech-to-text engines for voice symptom input. Every engine exposes:
+//   { name, isSupported() => boolean, start({ language, onTranscript, onError, onEnd }) => { stop(), abort() } }
+// `onTranscript({ final, interim })` receives the whole session so far: `final` is text the
+// engine will not change any more, `interim` the words still being recognized.
+// A local/offline recognizer (e.g. a WebAssembly model) only has to implement the same
+// interface and be added to SPEECH_ENGINES.
+import { createWebSpeechEngine } from './webSpeech.js'
+import { createStubSpeechEngine } from './stub.js'
+
+export const SPEECH_ENGINES = {
+  'web-speech': createWebSpeechEngine,
+  stub: createStubSpeechEngine,
+}
+
+// Recognition languages offered next to the mic; symptoms can be spoken in any of them
+export const SPEECH_LANGUAGES = [
+  { value: 'en-IN', label: 'English (India)' },
+  { value: 'en-US', label: 'English (US)' },
+  { value: 'en-GB', label: 'English (UK)' },
+  { value: 'hi-IN', label: 'हिन्दी' },
+]
+
+/**
+ * Create a speech engine from configuration.
+ * @param {object} [config]
+ * @param {string} [config.engine] - One of the keys of SPEECH_ENGINES
+ * @returns {{name: string, isSupported: Function, start: Function}}
+ */
+export function createSpeechEngine({ engine = 'web-speech', ...config } = {}) {
+  const factory = SPEECH_ENGINES[engine]
+  if (!factory) {
+    throw new Error(`Unknown speech engine "${engine}". Use one of: ${Object.keys(SPEECH_ENGINES).join(', ')}`)
+  }
+  return factory(config)
+}
@@ -0,0 +1,45 @@
+// Scripted speech engine for demos and tests. Never touches the microphone:
+// it "hears" a fixed transcript word by word, then finishes.
+
+/**
+ * Create a stub engine that replays a transcript.
+ * @param {object} [config]
+ * @param {string|Object<string, string>} [config.transcript] - Text to "recognize", or one text per language
+ * @param {number} [config.wordDelayMs] - Delay between words
+ * @returns {{name: string, isSupported: Function, start: Function}}
+ */
+export function createStubSpeechEngine({
+  transcript = 'I have had a headache and mild fever since yesterday',
+  wordDelayMs = 150,
+} = {}) {
+  function start({ language, onTranscript, onEnd }) {
+    const text = typeof transcript === 'string' ? transcript : transcript[language] || Object.values(transcript)[0]
+    const words = text.split(/\s+/)
+    let heard = 0
+    let ended = false
+
+    const finish = (final) => {
+      if (ended) return
+      ended = true
+      clearInterval(timer)
+      if (final) onTranscript?.({ final: words.slice(0, heard).join(' '), interim: '' })
+      onEnd?.()
+    }
+
+    const timer = setInterval(() => {
+      heard += 1
+      if (heard >= words.length) {
+        finish(true)
+      } else {
+        onTranscript?.({ final: '', interim: words.slice(0, heard).join(' ') })
+      }
+    }, wordDelayMs)
+
+    return {
+      stop: () => finish(true),
+      abort: () => finish(false),
+    }
+  }
+
+  return { name: 'stub', isSupported: () => true, start }
+}
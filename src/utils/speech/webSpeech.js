@@ -0,0 +1,44 @@
+// Browser speech recognition (Web Speech API). Chrome and Safari send the audio to
+// their own recognition service; Firefox does not support it at all.
+
+const getRecognition = () =>
+  typeof window === 'undefined' ? null : window.SpeechRecognition || window.webkitSpeechRecognition || null
+
+/**
+ * Create an engine backed by the browser's SpeechRecognition.
+ * @returns {{name: string, isSupported: Function, start: Function}}
+ */
+export function createWebSpeechEngine() {
+  function start({ language, onTranscript, onError, onEnd }) {
+    const Recognition = getRecognition()
+    const recognition = new Recognition()
+    recognition.lang = language
+    recognition.interimResults = true
+    recognition.continuous = true
+
+    recognition.onresult = (event) => {
+      let final = ''
+      let interim = ''
+      for (const result of event.results) {
+        if (result.isFinal) final += result[0].transcript
+        else interim += result[0].transcript
+      }
+      onTranscript?.({ final, interim })
+    }
+    // The event carries a code such as 'not-allowed', 'no-speech' or 'network'
+    recognition.onerror = (event) => {
+      const error = new Error(event.message || event.error)
+      error.code = event.error
+      onError?.(error)
+    }
+    recognition.onend = () => onEnd?.()
+    recognition.start()
+
+    return {
+      stop: () => recognition.stop(),
+      abort: () => recognition.abort(),
+    }
+  }
+
+  return { name: 'web-speech', isSupported: () => Boolean(getRecognition()), start }
+}
@@ -0,0 +1,67 @@
+// Helpers for streamed, cancellable triage requests.
+// Shared by the browser and the triage API server.
+
+/**
+ * Combine an optional caller signal with a timeout.
+ * @param {AbortSignal} [signal] - Caller's signal, e.g. from an AbortController in a component
+ * @param {number} [timeoutMs] - Abort after this many milliseconds; 0 disables the timeout
+ * @returns {{signal: AbortSignal, timedOut: () => boolean, clear: () => void}} Call `clear` once the request settles
+ */
+export function withTimeout(signal, timeoutMs) {
+  const controller = new AbortController()
+  let timedOut = false
+
+  const onAbort = () => controller.abort(signal.reason)
+  if (signal?.aborted) {
+    onAbort()
+  } else {
+    signal?.addEventListener('abort', onAbort, { once: true })
+  }
+
+  const timer = timeoutMs > 0
+    ? setTimeout(() => {
+      timedOut = true
+      controller.abort(new DOMException('The request timed out', 'TimeoutError'))
+    }, timeoutMs)
+    : null
+
+  return {
+    signal: controller.signal,
+    timedOut: () => timedOut,
+    clear: () => {
+      clearTimeout(timer)
+      signal?.removeEventListener('abort', onAbort)
+    },
+  }
+}
+
+/**
+ * Read a fetch response body line by line (SSE and NDJSON streams).
+ * @param {Response} response - Fetch response with a readable body
+ * @param {(line: string) => boolean|void} onLine - Called for each non-empty line; return true to stop reading
+ * @returns {Promise<void>}
+ */
+export async function readLines(response, onLine) {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read()
+      buffer += done ? decoder.decode() : decoder.decode(value, { stream: true })
+
+      const lines = buffer.split('\n')
+      buffer = done ? '' : lines.pop()
+      for (const line of lines) {
+        if (line.trim() && onLine(line.trim()) === true) {
+          await reader.cancel()
+          return
+        }
+      }
+      if (done) return
+    }
+  } finally {
+    reader.releaseLock()
+  }
+}
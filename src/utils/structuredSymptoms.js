@@ -0,0 +1,139 @@
+// Structured symptoms picked on the body map: region, descriptors, severity and duration.
+// Sent to the model next to (or instead of) the free-text description, and stored with the search.
+// Shared by the browser and the triage API server.
+
+// `view` is where the region is drawn on the body map ('other' regions are offered as chips);
+// `noun` prefixes located descriptors in the description, e.g. "chest pain"
+export const BODY_REGIONS = [
+  { value: 'head', label: 'Head', noun: 'head', view: 'front' },
+  { value: 'neck', label: 'Neck / throat', noun: 'neck', view: 'front' },
+  { value: 'chest', label: 'Chest', noun: 'chest', view: 'front' },
+  { value: 'abdomen', label: 'Abdomen', noun: 'abdominal', view: 'front' },
+  { value: 'pelvis', label: 'Pelvis / groin', noun: 'pelvic', view: 'front' },
+  { value: 'left_arm', label: 'Left arm', noun: 'left arm', view: 'front' },
+  { value: 'right_arm', label: 'Right arm', noun: 'right arm', view: 'front' },
+  { value: 'left_leg', label: 'Left leg', noun: 'left leg', view: 'front' },
+  { value: 'right_leg', label: 'Right leg', noun: 'right leg', view: 'front' },
+  { value: 'back', label: 'Back', noun: 'back', view: 'other' },
+  { value: 'skin', label: 'Skin', noun: 'skin', view: 'other' },
+  { value: 'whole_body', label: 'Whole body', noun: '', view: 'other' },
+]
+
+// `located` descriptors only make sense with the region ("left leg swelling"), the others stand alone
+export const SYMPTOM_DESCRIPTORS = [
+  { value: 'pain', label: 'pain', located: true },
+  { value: 'pressure', label: 'pressure or tightness', located: true },
+  { value: 'swelling', label: 'swelling', located: true },
+  { value: 'numbness', label: 'numbness or tingling', located: true },
+  { value: 'weakness', label: 'weakness', located: true },
+  { value: 'injury', label: 'injury', located: true },
+  { value: 'bleeding', label: 'bleeding', located: true },
+  { value: 'rash', label: 'rash or itching', located: true },
+  { value: 'dizziness', label: 'dizziness' },
+  { value: 'vision_problems', label: 'vision problems' },
+  { value: 'sore_throat', label: 'sore throat' },
+  { value: 'cough', label: 'cough' },
+  { value: 'breathlessness', label: 'shortness of breath' },
+  { value: 'palpitations', label: 'palpitations' },
+  { value: 'nausea', label: 'nausea or vomiting' },
+  { value: 'diarrhea', label: 'diarrhea' },
+  { value: 'urinary_problems', label: 'urinary problems' },
+  { value: 'fever', label: 'fever' },
+  { value: 'fatigue', label: 'fatigue' },
+  { value: 'chills', label: 'chills' },
+]
+
+// Descriptors offered for each region, most common first
+export const REGION_DESCRIPTORS = {
+  head: ['pain', 'dizziness', 'vision_problems', 'injury', 'numbness'],
+  neck: ['pain', 'sore_throat', 'swelling', 'cough'],
+  chest: ['pain', 'pressure', 'breathlessness', 'palpitations', 'cough'],
+  abdomen: ['pain', 'nausea', 'diarrhea', 'swelling', 'bleeding'],
+  pelvis: ['pain', 'urinary_problems', 'bleeding', 'swelling'],
+  left_arm: ['pain', 'numbness', 'weakness', 'swelling', 'injury'],
+  right_arm: ['pain', 'numbness', 'weakness', 'swelling', 'injury'],
+  left_leg: ['pain', 'swelling', 'numbness', 'weakness', 'injury'],
+  right_leg: ['pain', 'swelling', 'numbness', 'weakness', 'injury'],
+  back: ['pain', 'numbness', 'weakness', 'injury'],
+  skin: ['rash', 'swelling', 'bleeding', 'injury'],
+  whole_body: ['fever', 'fatigue', 'chills', 'weakness', 'dizziness'],
+}
+
+export const SEVERITY_LEVELS = [
+  { value: 'mild', label: 'mild' },
+  { value: 'moderate', label: 'moderate' },
+  { value: 'severe', label: 'severe' },
+]
+
+export const SYMPTOM_DURATIONS = [
+  { value: 'under_24_hours', label: 'less than 24 hours' },
+  { value: '1_3_days', label: '1-3 days' },
+  { value: '4_7_days', label: '4-7 days' },
+  { value: 'over_1_week', label: 'more than a week' },
+  { value: 'over_1_month', label: 'more than a month' },
+]
+
+export const EMPTY_STRUCTURED_SYMPTOMS = { regions: [] }
+
+const values = (options) => options.map((option) => option.value)
+const findOption = (options, value) => options.find((option) => option.value === value)
+
+/**
+ * Clean up structured symptoms so they are safe to store and to send to the model.
+ * @param {object} structured - Raw structured symptoms from the body map or request body
+ * @returns {{regions: Array<{region: string, descriptors: string[], severity: string, duration: string}>}|null}
+ *   Sanitized symptoms, or null if no region has a descriptor
+ */
+export function normalizeStructuredSymptoms(structured) {
+  if (!Array.isArray(structured?.regions)) return null
+
+  const seen = new Set()
+  const regions = structured.regions
+    .filter((entry) => values(BODY_REGIONS).includes(entry?.region) && !seen.has(entry.region) && seen.add(entry.region))
+    .map((entry) => ({
+      region: entry.region,
+      descriptors: Array.isArray(entry.descriptors)
+        ? [...new Set(entry.descriptors.filter((descriptor) => REGION_DESCRIPTORS[entry.region].includes(descriptor)))]
+        : [],
+      severity: values(SEVERITY_LEVELS).includes(entry.severity) ? entry.severity : '',
+      duration: values(SYMPTOM_DURATIONS).includes(entry.duration) ? entry.duration : '',
+    }))
+    .filter((entry) => entry.descriptors.length)
+
+  return regions.length ? { regions } : null
+}
+
+/**
+ * Plain-English description of structured symptoms, e.g. "severe chest pain, shortness of breath for less than 24 hours".
+ * Used as the symptom text when nothing was typed, and by the local red-flag and keyword rules,
+ * so it is phrased the way those rules expect.
+ * @param {object|null} structured - Normalized structured symptoms
+ * @returns {string}
+ */
+export function describeStructuredSymptoms(structured) {
+  if (!structured) return ''
+  return structured.regions
+    .map(({ region, descriptors, severity, duration }) => {
+      const { noun } = findOption(BODY_REGIONS, region)
+      const symptoms = descriptors.map((value) => {
+        const descriptor = findOption(SYMPTOM_DESCRIPTORS, value)
+        return descriptor.located && noun ? `${noun} ${descriptor.label}` : descriptor.label
+      })
+      const severityText = severity ? `${findOption(SEVERITY_LEVELS, severity).label} ` : ''
+      const durationText = duration ? ` for ${findOption(SYMPTOM_DURATIONS, duration).label}` : ''
+      return `${severityText}${symptoms.join(', ')}${durationText}`
+    })
+    .join('; ')
+}
+
+/**
+ * Free text plus the description of the structured symptoms, for the local rules.
+ * @param {string} text - Typed symptoms
+ * @param {object|null} structured - Normalized structured symptoms
+ * @returns {string}
+ */
+export function withStructuredSymptoms(text, structured) {
+  const description = describeStructuredSymptoms(structured)
+  if (!description || text?.includes(description)) return text || ''
+  return text ? `${text}\n${description}` : description
+}
@@ -0,0 +1,136 @@
+// "My symptoms changed": a new triage linked to an earlier history entry of the same episode.
+// The earlier description and result are sent to the model alongside the new symptoms, and the two
+// results are compared locally to highlight what changed (urgency, specialist, facility).
+// Shared by the browser and the triage API server.
+
+import { URGENCY_LEVELS, FACILITY_TYPES } from './triageSchema.js'
+
+// Same limit as a typed symptom description
+const MAX_PREVIOUS_SYMPTOMS_LENGTH = 2000
+const MAX_SPECIALIST_LENGTH = 100
+// Longer descriptions are compared as a whole instead of word by word
+const MAX_DIFF_WORDS = 500
+
+const urgencyRank = (urgency) => URGENCY_LEVELS.indexOf(urgency)
+
+/**
+ * Snapshot of a history entry, as linked to the triage that follows it.
+ * @param {{symptoms: string, result: object, createdAt?: Date}} search - A saved search
+ * @returns {object} { symptoms, urgency, specialist, facility_type, createdAt }
+ */
+export function toPreviousTriage({ symptoms, result, createdAt }) {
+  return {
+    symptoms,
+    urgency: result?.urgency,
+    specialist: result?.specialist,
+    facility_type: result?.facility_type,
+    createdAt: createdAt instanceof Date ? createdAt.toISOString() : null,
+  }
+}
+
+/**
+ * Validate a previous triage snapshot received from the client.
+ * @param {object} value - As returned by toPreviousTriage
+ * @returns {object|null} The sanitized snapshot, or null if it is unusable
+ */
+export function normalizePreviousTriage(value) {
+  if (!value || typeof value !== 'object') return null
+  const symptoms = typeof value.symptoms === 'string' ? value.symptoms.trim().slice(0, MAX_PREVIOUS_SYMPTOMS_LENGTH) : ''
+  if (!symptoms || !URGENCY_LEVELS.includes(value.urgency)) return null
+
+  return {
+    symptoms,
+    urgency: value.urgency,
+    specialist: typeof value.specialist === 'string' ? value.specialist.trim().slice(0, MAX_SPECIALIST_LENGTH) : '',
+    facility_type: FACILITY_TYPES.includes(value.facility_type) ? value.facility_type : null,
+    createdAt: typeof value.createdAt === 'string' && !Number.isNaN(Date.parse(value.createdAt))
+      ? new Date(value.createdAt).toISOString()
+      : null,
+  }
+}
+
+/**
+ * The previous triage as sent to the model.
+ * @param {object|null} previous - Normalized previous triage
+ * @returns {object|null}
+ */
+export function toPromptPreviousTriage(previous) {
+  if (!previous) return null
+  return {
+    symptoms: previous.symptoms,
+    urgency: previous.urgency,
+    ...(previous.specialist ? { specialist: previous.specialist } : {}),
+    ...(previous.facility_type ? { facility_type: previous.facility_type } : {}),
+    ...(previous.createdAt ? { assessed_at: previous.createdAt.slice(0, 16).replace('T', ' ') + ' UTC' } : {}),
+  }
+}
+
+/**
+ * Compare a new triage result with the previous one.
+ * @param {object} previous - Normalized previous triage
+ * @param {object} result - The new triage result
+ * @returns {Array<{field: string, from: string, to: string, direction?: 'escalated'|'de-escalated'}>} Changed fields, urgency first
+ */
+export function diffTriageResults(previous, result) {
+  const changes = []
+  if (previous.urgency !== result.urgency) {
+    changes.push({
+      field: 'urgency',
+      from: previous.urgency,
+      to: result.urgency,
+      direction: urgencyRank(result.urgency) > urgencyRank(previous.urgency) ? 'escalated' : 'de-escalated',
+    })
+  }
+  if (previous.specialist && previous.specialist !== result.specialist) {
+    changes.push({ field: 'specialist', from: previous.specialist, to: result.specialist })
+  }
+  if (previous.facility_type && previous.facility_type !== result.facility_type) {
+    changes.push({ field: 'facility_type', from: previous.facility_type, to: result.facility_type })
+  }
+  return changes
+}
+
+/**
+ * Word-level difference between two symptom descriptions.
+ * @param {string} before - The previous description
+ * @param {string} after - The new description
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>} Consecutive words of the same type are merged
+ */
+export function diffSymptomText(before, after) {
+  const a = before.split(/\s+/).filter(Boolean)
+  const b = after.split(/\s+/).filter(Boolean)
+  if (a.length > MAX_DIFF_WORDS || b.length > MAX_DIFF_WORDS) {
+    return [{ type: 'removed', text: before }, { type: 'added', text: after }]
+  }
+
+  // Longest common subsequence of words, compared without case or punctuation
+  const comparable = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '')
+  const same = (i, j) => comparable(a[i]) === comparable(b[j])
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = same(i, j) ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+
+  const parts = []
+  const push = (type, word) => {
+    const last = parts[parts.length - 1]
+    if (last?.type === type) last.text += ` ${word}`
+    else parts.push({ type, text: word })
+  }
+  let i = 0
+  let j = 0
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && same(i, j)) {
+      push('same', b[j])
+      i++
+      j++
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      push('removed', a[i++])
+    } else {
+      push('added', b[j++])
+    }
+  }
+  return parts
+}
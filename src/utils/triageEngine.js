@@ -0,0 +1,311 @@
+// Provider-agnostic triage pipeline: response validation/repair and red-flag rules.
+// The prompts themselves are versioned in ./triagePrompts.js.
+// Shared by the browser (direct provider mode) and the server-side proxy in /server,
+// so it must not touch import.meta.env or window.
+import { matchRedFlags, applyRedFlag } from './redFlags.js'
+import { matchCrisis, applyCrisis } from './crisis.js'
+import { validateTriageResult, URGENCY_LEVELS, FACILITY_TYPES } from './triageSchema.js'
+import { getOfflineTriageResult } from './offlineTriage.js'
+import { normalizePatientContext, toPromptPatientContext } from './patientContext.js'
+import { normalizeAttachments } from './attachments.js'
+import { normalizeStructuredSymptoms, withStructuredSymptoms } from './structuredSymptoms.js'
+import { normalizeVitals, toPromptVitals, matchVitalAlerts, applyVitalAlert, VITAL_THRESHOLDS } from './vitals.js'
+import { normalizeHealthTrends, toPromptHealthTrends } from './healthTrends.js'
+import { normalizePreviousTriage, toPromptPreviousTriage } from './symptomChange.js'
+import { withTimeout } from './streaming.js'
+import { CURRENT_PROMPT_VERSION, getTriagePrompts } from './triagePrompts.js'
+
+// How long to wait for the model, including repair attempts, before falling back offline
+export const DEFAULT_TIMEOUT_MS = 30000
+
+export const TIMEOUT_REASON = 'The triage assistant took too long to respond.'
+
+// How many times the model may be asked to repair an invalid response
+const MAX_REPAIR_ATTEMPTS = 2
+
+// Parse the model output, removing markdown code blocks if present
+function parseJsonContent(content) {
+  let jsonString = content
+  if (content.startsWith('```')) {
+    jsonString = content.replace(/```json?\n?/g, '').replace(/```/g, '').trim()
+  }
+  return JSON.parse(jsonString)
+}
+
+// Top-level routing fields that are complete in a partially streamed JSON response.
+// The top-level fields come before "alternatives", so the first match of each key is the right one.
+function extractPartialTriage(text) {
+  const partial = {}
+
+  for (const field of ['specialist', 'department', 'urgency', 'facility_type']) {
+    const match = text.match(new RegExp(`"${field}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)"`))
+    if (match?.[1].trim()) partial[field] = match[1].trim()
+  }
+  if (partial.urgency && !URGENCY_LEVELS.includes(partial.urgency)) delete partial.urgency
+  if (partial.facility_type && !FACILITY_TYPES.includes(partial.facility_type)) delete partial.facility_type
+
+  return Object.keys(partial).length ? partial : null
+}
+
+// Check one model response; returns a question, a validated result, or validation errors
+function checkTriageContent(content, { allowQuestion }) {
+  let parsed
+  try {
+    parsed = parseJsonContent(content)
+  } catch {
+    return { errors: ['Response is not valid JSON'] }
+  }
+
+  if (parsed && typeof parsed.question === 'string') {
+    if (!allowQuestion) {
+      return { errors: ['Follow-up questions are not allowed now; return the routing JSON instead'] }
+    }
+    if (parsed.question.trim()) {
+      return { question: parsed.question.trim(), errors: [] }
+    }
+  }
+
+  const { errors, value } = validateTriageResult(parsed)
+  return { result: value, errors }
+}
+
+/**
+ * Request a triage response and validate it, asking the model to repair invalid output.
+ * @param {object} provider - LLM provider, see ./providers
+ * @param {Array<object>} messages - Chat messages, including the system prompt
+ * @param {object} options
+ * @param {object} options.prompts - Prompt set the messages were built from, see ./triagePrompts
+ * @param {boolean} options.allowQuestion - Whether a {"question": ""} response is acceptable
+ * @param {AbortSignal} [options.signal] - Aborts the model request
+ * @param {(partial: object) => void} [options.onPartial] - Streams the routing fields received so far
+ * @returns {Promise<{question?: string, result?: object, attempts: number}>}
+ */
+async function requestValidatedTriage(provider, messages, { prompts, allowQuestion = false, signal, onPartial }) {
+  let repairMessages = messages
+  let lastPartial = null
+  // Only report partial results when another field has completed
+  const onToken = onPartial
+    ? (delta, text) => {
+      const partial = extractPartialTriage(text)
+      const serialized = JSON.stringify(partial)
+      if (partial && serialized !== lastPartial) {
+        lastPartial = serialized
+        onPartial(partial)
+      }
+    }
+    : undefined
+
+  for (let attempts = 1; ; attempts++) {
+    const content = await provider.complete(repairMessages, { signal, onToken })
+    const { question, result, errors } = checkTriageContent(content, { allowQuestion })
+
+    if (!errors.length) {
+      return question
+        ? { question, attempts }
+        : { result: { ...result, attempts, provider: provider.name, prompt_version: prompts.version }, attempts }
+    }
+
+    console.warn(`Invalid triage response (attempt ${attempts}):`, errors)
+    if (attempts > MAX_REPAIR_ATTEMPTS) {
+      const error = new Error('The triage assistant returned an invalid response. Please try again.')
+      error.validationErrors = errors
+      error.attempts = attempts
+      throw error
+    }
+
+    repairMessages = [
+      ...repairMessages,
+      { role: 'assistant', content },
+      { role: 'user', content: prompts.repair(errors) },
+    ]
+  }
+}
+
+// First user message: the symptoms plus the optional earlier triage of the same episode, patient context,
+// vital signs, health app trends, body-map symptoms and attached documents
+function buildUserPrompt(symptoms, patient, {
+  attachments = [],
+  structuredSymptoms = null,
+  vitals = null,
+  healthTrends = null,
+  previousTriage = null,
+} = {}) {
+  const context = toPromptPatientContext(patient)
+  const vitalSigns = toPromptVitals(vitals)
+  const trends = toPromptHealthTrends(healthTrends)
+  const previous = toPromptPreviousTriage(previousTriage)
+  const lines = [`User symptoms: "${symptoms}"`]
+  if (previous) lines.push(`Previous triage: ${JSON.stringify(previous)}`)
+  if (structuredSymptoms) lines.push(`Structured symptoms: ${JSON.stringify(structuredSymptoms.regions)}`)
+  if (context) lines.push(`Patient context: ${JSON.stringify(context)}`)
+  if (vitalSigns) lines.push(`Vital signs: ${JSON.stringify(vitalSigns)}`)
+  if (trends) lines.push(`Health app trends: ${JSON.stringify(trends)}`)
+  if (attachments.length) lines.push(`Attached documents: ${JSON.stringify(attachments)}`)
+  return lines.join('\n')
+}
+
+/**
+ * Get routing information for a one-shot symptom description.
+ * @param {string} symptoms - The user's symptoms
+ * @param {object} options
+ * @param {object} options.provider - LLM provider, see ./providers
+ * @param {object} [options.patient] - Optional patient context, see ./patientContext
+ * @param {Array<object>} [options.attachments] - Text extracted from attached documents, see ./attachments
+ * @param {object} [options.structuredSymptoms] - Symptoms picked on the body map, see ./structuredSymptoms
+ * @param {object} [options.vitals] - Home vital-sign readings, see ./vitals
+ * @param {Array<object>} [options.vitalThresholds] - Thresholds that escalate urgency; defaults to VITAL_THRESHOLDS
+ * @param {object} [options.healthTrends] - Recent trends imported from a health app, see ./healthTrends
+ * @param {object} [options.previousTriage] - Earlier triage of the same episode when the symptoms changed, see ./symptomChange
+ * @param {AbortSignal} [options.signal] - Cancels the request; the promise then rejects with the abort reason
+ * @param {number} [options.timeoutMs] - Give up on the model after this long; 0 disables the timeout
+ * @param {(partial: object) => void} [options.onPartial] - Stream the routing fields as they arrive
+ * @param {string} [options.promptVersion] - Prompt version to use, see ./triagePrompts
+ * @returns {Promise<object>} Validated triage result; `attempts` is the number of model calls it took
+ *   and `prompt_version` the prompt it was produced with.
+ *   If the model fails or times out, an offline estimate with `offline: true` is returned instead.
+ */
+export async function runTriage(symptoms, {
+  provider,
+  patient,
+  attachments,
+  structuredSymptoms,
+  vitals,
+  vitalThresholds = VITAL_THRESHOLDS,
+  healthTrends,
+  previousTriage,
+  signal,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  onPartial,
+  promptVersion = CURRENT_PROMPT_VERSION,
+}) {
+  const prompts = getTriagePrompts(promptVersion)
+  const patientContext = normalizePatientContext(patient)
+  const structured = normalizeStructuredSymptoms(structuredSymptoms)
+  const vitalReadings = normalizeVitals(vitals)
+  const userPrompt = buildUserPrompt(symptoms, patientContext, {
+    attachments: normalizeAttachments(attachments),
+    structuredSymptoms: structured,
+    vitals: vitalReadings,
+    healthTrends: normalizeHealthTrends(healthTrends),
+    previousTriage: normalizePreviousTriage(previousTriage),
+  })
+  // Red-flag and crisis rules only look at the symptoms: documents describe past events
+  const symptomText = withStructuredSymptoms(symptoms, structured)
+  const [redFlag] = matchRedFlags(symptomText, patientContext)
+  const crisis = matchCrisis(symptomText)
+  const [vitalAlert] = matchVitalAlerts(vitalReadings, patientContext, vitalThresholds)
+  const timeout = withTimeout(signal, timeoutMs)
+
+  try {
+    const { result } = await requestValidatedTriage(provider, [
+      { role: 'system', content: prompts.system },
+      { role: 'user', content: userPrompt },
+    ], { prompts, signal: timeout.signal, onPartial })
+    return applyCrisis(applyVitalAlert(applyRedFlag(result, redFlag), vitalAlert), crisis)
+  } catch (error) {
+    // Cancelled by the caller: there is nobody left to show a fallback to
+    if (signal?.aborted) throw error
+    console.error('Error calling triage model:', error)
+    // Red flags and keyword rules still route the user when the model is unavailable
+    const reason = timeout.timedOut() ? TIMEOUT_REASON : error.message
+    return getOfflineTriageResult(symptomText, { reason, patient: patientContext, vitals: vitalReadings, vitalThresholds })
+  } finally {
+    timeout.clear()
+  }
+}
+
+/**
+ * Run one turn of a clarifying-question triage conversation.
+ * @param {Array<{role: 'user'|'assistant', content: string}>} conversation - Messages so far, starting with the user's symptoms
+ * @param {object} options
+ * @param {number} options.maxQuestions - Maximum number of follow-up questions the assistant may ask in total
+ * @param {object} options.provider - LLM provider, see ./providers
+ * @param {object} [options.patient] - Optional patient context, see ./patientContext
+ * @param {Array<object>} [options.attachments] - Text extracted from attached documents, see ./attachments
+ * @param {object} [options.structuredSymptoms] - Symptoms picked on the body map, see ./structuredSymptoms
+ * @param {object} [options.vitals] - Home vital-sign readings, see ./vitals
+ * @param {Array<object>} [options.vitalThresholds] - Thresholds that escalate urgency; defaults to VITAL_THRESHOLDS
+ * @param {object} [options.healthTrends] - Recent trends imported from a health app, see ./healthTrends
+ * @param {object} [options.previousTriage] - Earlier triage of the same episode when the symptoms changed, see ./symptomChange
+ * @param {AbortSignal} [options.signal] - Cancels the request; the promise then rejects with the abort reason
+ * @param {number} [options.timeoutMs] - Give up on the model after this long; 0 disables the timeout
+ * @param {(partial: object) => void} [options.onPartial] - Stream the routing fields as they arrive
+ * @param {string} [options.promptVersion] - Prompt version to use, see ./triagePrompts
+ * @returns {Promise<{question: string, attempts: number}|{result: object, attempts: number}>} Either a follow-up question or the final triage result
+ */
+export async function runTriageTurn(conversation, {
+  maxQuestions = 3,
+  provider,
+  patient,
+  attachments,
+  structuredSymptoms,
+  vitals,
+  vitalThresholds = VITAL_THRESHOLDS,
+  healthTrends,
+  previousTriage,
+  signal,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  onPartial,
+  promptVersion = CURRENT_PROMPT_VERSION,
+}) {
+  const prompts = getTriagePrompts(promptVersion)
+  const patientContext = normalizePatientContext(patient)
+  const promptContext = {
+    attachments: normalizeAttachments(attachments),
+    structuredSymptoms: normalizeStructuredSymptoms(structuredSymptoms),
+    vitals: normalizeVitals(vitals),
+    healthTrends: normalizeHealthTrends(healthTrends),
+    previousTriage: normalizePreviousTriage(previousTriage),
+  }
+  const askedQuestions = conversation.filter((message) => message.role === 'assistant').length
+  const symptomText = withStructuredSymptoms(
+    conversation
+      .filter((message) => message.role === 'user')
+      .map((message) => message.content)
+      .join('\n'),
+    promptContext.structuredSymptoms,
+  )
+  const [redFlag] = matchRedFlags(symptomText, patientContext)
+  const crisis = matchCrisis(symptomText)
+  const [vitalAlert] = matchVitalAlerts(promptContext.vitals, patientContext, vitalThresholds)
+  // A red flag, emergency vital sign or crisis skips the remaining questions and goes straight to a result
+  const emergencyVitals = vitalAlert?.urgency === 'emergency'
+  const remainingQuestions = redFlag || emergencyVitals || crisis ? 0 : Math.max(maxQuestions - askedQuestions, 0)
+
+  const messages = [
+    {
+      role: 'system',
+      content: prompts.system + (remainingQuestions > 0 ? prompts.clarify(remainingQuestions) : prompts.forceResult),
+    },
+    ...conversation.map((message, index) => ({
+      role: message.role,
+      content: index === 0 ? buildUserPrompt(message.content, patientContext, promptContext) : message.content,
+    })),
+  ]
+
+  const timeout = withTimeout(signal, timeoutMs)
+
+  try {
+    const { question, result, attempts } = await requestValidatedTriage(provider, messages, {
+      prompts,
+      allowQuestion: remainingQuestions > 0,
+      signal: timeout.signal,
+      onPartial,
+    })
+
+    if (question) {
+      return { question, attempts }
+    }
+
+    return { result: applyCrisis(applyVitalAlert(applyRedFlag(result, redFlag), vitalAlert), crisis), attempts }
+  } catch (error) {
+    if (signal?.aborted) throw error
+    console.error('Error calling triage model:', error)
+    const reason = timeout.timedOut() ? TIMEOUT_REASON : error.message
+    return {
+      result: getOfflineTriageResult(symptomText, { reason, patient: patientContext, vitals: promptContext.vitals, vitalThresholds }),
+    }
+  } finally {
+    timeout.clear()
+  }
+}
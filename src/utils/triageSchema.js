@@ -0,0 +1,156 @@
+// Strict schema for the triage routing JSON returned by the model.
+// Everything downstream (TriageMapRouter, search history) relies on these
+// fields having exactly these types and values.
+
+// Urgency levels, lowest to highest
+export const URGENCY_LEVELS = ['normal', 'urgent', 'emergency']
+
+export const FACILITY_TYPES = ['clinic', 'hospital', 'emergency_room']
+
+// Maximum number of ranked specialist/department candidates in `alternatives`
+export const MAX_ALTERNATIVES = 4
+
+// One ranked candidate; confidence is between 0 and 1.
+// `latin` fields feed Places search and the locale label tables, so they must stay in English
+// even when the user writes in another language.
+export const ALTERNATIVE_SCHEMA = {
+  specialist: { type: 'string', latin: true },
+  department: { type: 'string', latin: true },
+  confidence: { type: 'number', min: 0, max: 1 },
+  search_keywords: { type: 'array', items: 'string', minItems: 1, latin: true },
+}
+
+export const TRIAGE_SCHEMA = {
+  specialist: { type: 'string', latin: true },
+  department: { type: 'string', latin: true },
+  urgency: { type: 'string', enum: URGENCY_LEVELS },
+  facility_type: { type: 'string', enum: FACILITY_TYPES },
+  search_keywords: { type: 'array', items: 'string', minItems: 1, latin: true },
+  emergency_required: { type: 'boolean' },
+  // Asked for from prompt 1.1.0 on; earlier prompts don't produce it
+  crisis_risk: { type: 'boolean', optional: true },
+  alternatives: { type: 'array', items: ALTERNATIVE_SCHEMA, minItems: 1, maxItems: MAX_ALTERNATIVES },
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array'
+  if (value === null) return 'null'
+  return typeof value
+}
+
+// Anything outside Latin letters, digits, punctuation and symbols (e.g. Devanagari)
+const NON_LATIN_PATTERN = /[^\p{Script=Latin}\p{N}\p{P}\p{S}\s]/u
+
+const sameRouting = (a, b) =>
+  a.specialist.toLowerCase() === b.specialist.toLowerCase() &&
+  a.department.toLowerCase() === b.department.toLowerCase()
+
+// Validate an array field whose items are objects described by `rule.items`
+function validateObjectItems(field, items, rule, errors) {
+  const cleaned = []
+  items.forEach((item, index) => {
+    const path = `${field}[${index}]`
+    if (typeOf(item) !== 'object') {
+      errors.push(`Field "${path}" must be of type object, got ${typeOf(item)}`)
+      return
+    }
+    const itemErrors = []
+    const value = validateFields(item, rule.items, itemErrors, `${path}.`)
+    errors.push(...itemErrors)
+    if (!itemErrors.length) cleaned.push(value)
+  })
+  return cleaned
+}
+
+// Check `value` against a field schema, pushing readable errors; returns the cleaned copy
+function validateFields(value, schema, errors, prefix = '') {
+  const cleaned = {}
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const fieldValue = value[field]
+    const actualType = typeOf(fieldValue)
+    const name = `${prefix}${field}`
+
+    if (fieldValue === undefined) {
+      if (!rule.optional) errors.push(`Missing required field "${name}"`)
+      continue
+    }
+    if (actualType !== rule.type) {
+      errors.push(`Field "${name}" must be of type ${rule.type}, got ${actualType}`)
+      continue
+    }
+
+    if (rule.type === 'string') {
+      const trimmed = fieldValue.trim()
+      if (!trimmed) {
+        errors.push(`Field "${name}" must not be empty`)
+      } else if (rule.enum && !rule.enum.includes(trimmed)) {
+        errors.push(`Field "${name}" must be one of ${rule.enum.map((v) => `"${v}"`).join(', ')}, got "${trimmed}"`)
+      } else if (rule.latin && NON_LATIN_PATTERN.test(trimmed)) {
+        errors.push(`Field "${name}" must be written in English`)
+      }
+      cleaned[field] = trimmed
+    } else if (rule.type === 'number') {
+      if (!Number.isFinite(fieldValue) || fieldValue < rule.min || fieldValue > rule.max) {
+        errors.push(`Field "${name}" must be a number between ${rule.min} and ${rule.max}`)
+      }
+      cleaned[field] = fieldValue
+    } else if (rule.type === 'array' && typeof rule.items === 'object') {
+      const items = validateObjectItems(name, fieldValue, rule, errors)
+      if (fieldValue.length < rule.minItems || fieldValue.length > rule.maxItems) {
+        errors.push(`Field "${name}" must contain between ${rule.minItems} and ${rule.maxItems} item(s)`)
+      }
+      cleaned[field] = items
+    } else if (rule.type === 'array') {
+      if (fieldValue.some((item) => typeOf(item) !== rule.items)) {
+        errors.push(`Field "${name}" must only contain ${rule.items} values`)
+      }
+      const items = fieldValue.filter((item) => typeOf(item) === rule.items).map((item) => item.trim()).filter(Boolean)
+      if (items.length < rule.minItems) {
+        errors.push(`Field "${name}" must contain at least ${rule.minItems} item(s)`)
+      }
+      if (rule.latin && items.some((item) => NON_LATIN_PATTERN.test(item))) {
+        errors.push(`Field "${name}" must only contain English keywords`)
+      }
+      cleaned[field] = items
+    } else {
+      cleaned[field] = fieldValue
+    }
+  }
+
+  for (const field of Object.keys(value)) {
+    if (!(field in schema)) {
+      errors.push(`Unexpected field "${prefix}${field}"`)
+    }
+  }
+
+  return cleaned
+}
+
+/**
+ * Validate a parsed triage object against TRIAGE_SCHEMA.
+ * `alternatives` is returned sorted by confidence, highest first.
+ * @param {object} value - Parsed model output
+ * @returns {{valid: boolean, errors: string[], value: object|null}} Errors are written so they can be sent back to the model
+ */
+export function validateTriageResult(value) {
+  if (typeOf(value) !== 'object') {
+    return { valid: false, errors: ['Response must be a JSON object'], value: null }
+  }
+
+  const errors = []
+  const cleaned = validateFields(value, TRIAGE_SCHEMA, errors)
+
+  if (!errors.length && cleaned.emergency_required !== (cleaned.urgency === 'emergency')) {
+    errors.push('Field "emergency_required" must be true if and only if "urgency" is "emergency"')
+  }
+
+  if (!errors.length) {
+    cleaned.alternatives = [...cleaned.alternatives].sort((a, b) => b.confidence - a.confidence)
+    if (!sameRouting(cleaned.alternatives[0], cleaned)) {
+      errors.push('The highest-confidence entry in "alternatives" must have the same "specialist" and "department" as the top-level fields')
+    }
+  }
+
+  return { valid: errors.length === 0, errors, value: errors.length ? null : cleaned }
+}
@@ -0,0 +1,230 @@
+// Optional vital signs measured at home (thermometer, pulse oximeter, BP cuff, glucometer).
+// Readings are validated against their units, sent to the model, and checked against
+// age-aware thresholds that escalate urgency whatever the model returns (like red flags).
+// Shared by the browser and the triage API server.
+// Bump VITAL_RULES_VERSION whenever a threshold is added, removed or changed.
+
+import { URGENCY_LEVELS } from './triageSchema.js'
+import { getAgeInMonths } from './patientContext.js'
+
+export const VITAL_RULES_VERSION = '1.0.0'
+
+export const TEMPERATURE_UNITS = ['C', 'F']
+export const GLUCOSE_UNITS = ['mg/dL', 'mmol/L']
+
+// mg/dL per mmol/L of glucose
+const GLUCOSE_MMOL_FACTOR = 18
+
+// Plausible readings in canonical units (°C, mg/dL); anything outside is treated as a typo
+export const VITAL_RANGES = {
+  temperature: { min: 30, max: 45 },
+  spo2: { min: 50, max: 100 },
+  heartRate: { min: 20, max: 250 },
+  systolic: { min: 50, max: 260 },
+  diastolic: { min: 30, max: 160 },
+  glucose: { min: 20, max: 800 },
+}
+
+export const EMPTY_VITALS = {
+  temperature: '',
+  temperatureUnit: 'C',
+  spo2: '',
+  heartRate: '',
+  systolic: '',
+  diastolic: '',
+  glucose: '',
+  glucoseUnit: 'mg/dL',
+}
+
+const EMERGENCY_ESCALATION = {
+  urgency: 'emergency',
+  facility_type: 'emergency_room',
+  search_keywords: ['emergency room', 'hospital emergency'],
+}
+
+const URGENT_ESCALATION = {
+  urgency: 'urgent',
+  facility_type: 'hospital',
+  search_keywords: ['hospital', 'urgent care'],
+}
+
+const UNDER_1_YEAR = { maxAgeMonths: 12 }
+const CHILD = { minAgeMonths: 12, maxAgeMonths: 13 * 12 }
+const ADOLESCENT_OR_ADULT = { minAgeMonths: 13 * 12 }
+
+// Each threshold fires when the reading is `below` or `atLeast` the value, in canonical units.
+// `minAgeMonths` / `maxAgeMonths` limit it to an age range: with an unknown age, thresholds that need
+// a minimum age still apply (the patient is assumed to be an adult), child-only ones do not.
+// `pregnant: true` limits a threshold to pregnancy.
+export const VITAL_THRESHOLDS = [
+  { id: 'low-spo2', label: 'Oxygen saturation below 92%', vital: 'spo2', below: 92, ...EMERGENCY_ESCALATION },
+  { id: 'borderline-spo2', label: 'Oxygen saturation of 92-94%', vital: 'spo2', below: 95, ...URGENT_ESCALATION },
+
+  { id: 'young-infant-fever', label: 'Temperature of 38 °C (100.4 °F) or more under 3 months old', vital: 'temperature', atLeast: 38, maxAgeMonths: 3, ...EMERGENCY_ESCALATION },
+  { id: 'hyperpyrexia', label: 'Temperature of 41 °C (105.8 °F) or more', vital: 'temperature', atLeast: 41, ...EMERGENCY_ESCALATION },
+  { id: 'hypothermia', label: 'Temperature below 35 °C (95 °F)', vital: 'temperature', below: 35, ...EMERGENCY_ESCALATION },
+  { id: 'very-high-temperature', label: 'Temperature of 40 °C (104 °F) or more', vital: 'temperature', atLeast: 40, ...URGENT_ESCALATION },
+
+  { id: 'infant-tachycardia', label: 'Heart rate above 180 in a baby', vital: 'heartRate', atLeast: 181, ...UNDER_1_YEAR, ...EMERGENCY_ESCALATION },
+  { id: 'infant-bradycardia', label: 'Heart rate below 100 in a baby', vital: 'heartRate', below: 100, ...UNDER_1_YEAR, ...EMERGENCY_ESCALATION },
+  { id: 'child-tachycardia', label: 'Heart rate above 160 in a child', vital: 'heartRate', atLeast: 161, ...CHILD, ...EMERGENCY_ESCALATION },
+  { id: 'child-bradycardia', label: 'Heart rate below 60 in a child', vital: 'heartRate', below: 60, ...CHILD, ...EMERGENCY_ESCALATION },
+  { id: 'severe-tachycardia', label: 'Heart rate above 150', vital: 'heartRate', atLeast: 151, ...ADOLESCENT_OR_ADULT, ...EMERGENCY_ESCALATION },
+  { id: 'bradycardia', label: 'Heart rate below 40', vital: 'heartRate', below: 40, ...ADOLESCENT_OR_ADULT, ...EMERGENCY_ESCALATION },
+  { id: 'tachycardia', label: 'Heart rate above 120', vital: 'heartRate', atLeast: 121, ...ADOLESCENT_OR_ADULT, ...URGENT_ESCALATION },
+
+  { id: 'pregnancy-hypertension', label: 'Blood pressure of 160/110 or more during pregnancy', vital: 'systolic', atLeast: 160, pregnant: true, ...EMERGENCY_ESCALATION },
+  { id: 'pregnancy-hypertension-diastolic', label: 'Blood pressure of 160/110 or more during pregnancy', vital: 'diastolic', atLeast: 110, pregnant: true, ...EMERGENCY_ESCALATION },
+  { id: 'hypotension', label: 'Systolic blood pressure below 90', vital: 'systolic', below: 90, ...ADOLESCENT_OR_ADULT, ...EMERGENCY_ESCALATION },
+  { id: 'severe-hypertension', label: 'Blood pressure of 180/120 or more', vital: 'systolic', atLeast: 180, ...ADOLESCENT_OR_ADULT, ...URGENT_ESCALATION },
+  { id: 'severe-hypertension-diastolic', label: 'Blood pressure of 180/120 or more', vital: 'diastolic', atLeast: 120, ...ADOLESCENT_OR_ADULT, ...URGENT_ESCALATION },
+
+  { id: 'severe-hypoglycemia', label: 'Blood glucose below 54 mg/dL (3.0 mmol/L)', vital: 'glucose', below: 54, ...EMERGENCY_ESCALATION },
+  { id: 'severe-hyperglycemia', label: 'Blood glucose of 400 mg/dL (22.2 mmol/L) or more', vital: 'glucose', atLeast: 400, ...EMERGENCY_ESCALATION },
+  { id: 'hypoglycemia', label: 'Blood glucose below 70 mg/dL (3.9 mmol/L)', vital: 'glucose', below: 70, ...URGENT_ESCALATION },
+  { id: 'hyperglycemia', label: 'Blood glucose of 250 mg/dL (13.9 mmol/L) or more', vital: 'glucose', atLeast: 250, ...URGENT_ESCALATION },
+]
+
+const toNumber = (value) => (value === '' || value === null || value === undefined ? null : Number(value))
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits
+
+// Readings in canonical units (°C, mg/dL); null where nothing was entered, NaN where it is not a number
+function toCanonical(vitals) {
+  const temperature = toNumber(vitals.temperature)
+  const glucose = toNumber(vitals.glucose)
+  return {
+    temperature: temperature !== null && vitals.temperatureUnit === 'F' ? round((temperature - 32) * 5 / 9, 1) : temperature,
+    spo2: toNumber(vitals.spo2),
+    heartRate: toNumber(vitals.heartRate),
+    systolic: toNumber(vitals.systolic),
+    diastolic: toNumber(vitals.diastolic),
+    glucose: glucose !== null && vitals.glucoseUnit === 'mmol/L' ? Math.round(glucose * GLUCOSE_MMOL_FACTOR) : glucose,
+  }
+}
+
+/**
+ * Check vital-sign form values against their units and plausible ranges.
+ * @param {object} vitals - Raw vitals from the form
+ * @returns {Object<string, 'invalid'|'out_of_range'|'incomplete'|'diastolic_above_systolic'>} Error code per field; empty when valid
+ */
+export function getVitalErrors(vitals) {
+  if (!vitals) return {}
+  const readings = toCanonical(vitals)
+  const errors = {}
+
+  for (const [field, value] of Object.entries(readings)) {
+    if (value === null) continue
+    if (!Number.isFinite(value)) errors[field] = 'invalid'
+    else if (value < VITAL_RANGES[field].min || value > VITAL_RANGES[field].max) errors[field] = 'out_of_range'
+  }
+
+  // Blood pressure needs both numbers, the top one being the higher
+  if ((readings.systolic === null) !== (readings.diastolic === null)) {
+    errors[readings.systolic === null ? 'systolic' : 'diastolic'] = 'incomplete'
+  } else if (readings.systolic !== null && !errors.systolic && !errors.diastolic && readings.diastolic >= readings.systolic) {
+    errors.diastolic = 'diastolic_above_systolic'
+  }
+  return errors
+}
+
+/**
+ * Clean up vital signs so they are safe to store and to send to the model.
+ * Invalid readings are dropped, temperature is converted to °C and glucose to mg/dL.
+ * @param {object} vitals - Raw vitals from the form or request body
+ * @returns {object|null} Sanitized vitals in the EMPTY_VITALS shape, or null if no valid reading was provided
+ */
+export function normalizeVitals(vitals) {
+  if (!vitals || typeof vitals !== 'object') return null
+
+  const errors = getVitalErrors(vitals)
+  const readings = toCanonical(vitals)
+  const valid = (field) => (readings[field] !== null && !errors[field] ? readings[field] : '')
+  const bloodPressureValid = valid('systolic') !== '' && valid('diastolic') !== ''
+
+  const normalized = {
+    ...EMPTY_VITALS,
+    temperature: valid('temperature'),
+    spo2: valid('spo2'),
+    heartRate: valid('heartRate'),
+    systolic: bloodPressureValid ? readings.systolic : '',
+    diastolic: bloodPressureValid ? readings.diastolic : '',
+    glucose: valid('glucose'),
+  }
+
+  const isEmpty = ['temperature', 'spo2', 'heartRate', 'systolic', 'glucose'].every((field) => normalized[field] === '')
+  return isEmpty ? null : normalized
+}
+
+/**
+ * Vital signs as sent to the model, with units.
+ * @param {object|null} vitals - Normalized vitals
+ * @returns {object|null}
+ */
+export function toPromptVitals(vitals) {
+  if (!vitals) return null
+  return {
+    ...(vitals.temperature !== '' ? { temperature: `${vitals.temperature} °C` } : {}),
+    ...(vitals.spo2 !== '' ? { spo2: `${vitals.spo2}%` } : {}),
+    ...(vitals.heartRate !== '' ? { heart_rate: `${vitals.heartRate} bpm` } : {}),
+    ...(vitals.systolic !== '' ? { blood_pressure: `${vitals.systolic}/${vitals.diastolic} mmHg` } : {}),
+    ...(vitals.glucose !== '' ? { blood_glucose: `${vitals.glucose} mg/dL` } : {}),
+  }
+}
+
+const urgencyRank = (urgency) => Math.max(URGENCY_LEVELS.indexOf(urgency), 0)
+
+function appliesToPatient(threshold, patient) {
+  const months = getAgeInMonths(patient)
+  if (threshold.pregnant && patient?.pregnant !== true) return false
+  if (threshold.maxAgeMonths !== undefined && (months === null || months >= threshold.maxAgeMonths)) return false
+  if (threshold.minAgeMonths !== undefined && months !== null && months < threshold.minAgeMonths) return false
+  return true
+}
+
+/**
+ * Find every threshold crossed by the given vital signs, most urgent first.
+ * @param {object|null} vitals - Normalized vitals
+ * @param {object|null} [patient] - Normalized patient context, for age- and pregnancy-specific thresholds
+ * @param {Array<object>} [thresholds] - Threshold table; defaults to VITAL_THRESHOLDS
+ * @returns {Array<object>} Crossed thresholds, each with the `reading` that crossed it
+ */
+export function matchVitalAlerts(vitals, patient = null, thresholds = VITAL_THRESHOLDS) {
+  if (!vitals) return []
+  return thresholds
+    .filter((threshold) => vitals[threshold.vital] !== '' && vitals[threshold.vital] !== undefined)
+    .filter((threshold) => appliesToPatient(threshold, patient))
+    .filter(({ vital, below, atLeast }) => (below !== undefined && vitals[vital] < below) || (atLeast !== undefined && vitals[vital] >= atLeast))
+    .map((threshold) => ({ ...threshold, reading: vitals[threshold.vital] }))
+    .sort((a, b) => urgencyRank(b.urgency) - urgencyRank(a.urgency))
+}
+
+/**
+ * Escalate a triage result according to a crossed vital-sign threshold. Never lowers urgency.
+ * @param {object} result - Normalized triage result
+ * @param {object|null} alert - The threshold that fired, as returned by matchVitalAlerts
+ * @returns {object} The (possibly escalated) result, with `vital_alert` set when a threshold fired
+ */
+export function applyVitalAlert(result, alert) {
+  if (!alert) return result
+
+  const escalated = urgencyRank(alert.urgency) > urgencyRank(result.urgency)
+  const urgency = escalated ? alert.urgency : result.urgency
+
+  return {
+    ...result,
+    urgency,
+    emergency_required: urgency === 'emergency' || result.emergency_required,
+    facility_type: escalated ? alert.facility_type : result.facility_type,
+    search_keywords: escalated
+      ? [...new Set([...alert.search_keywords, ...(result.search_keywords || [])])]
+      : result.search_keywords,
+    vital_alert: {
+      id: alert.id,
+      label: alert.label,
+      urgency: alert.urgency,
+      vital: alert.vital,
+      reading: alert.reading,
+      rules_version: VITAL_RULES_VERSION,
+    },
+  }
+}
@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // Forward triage requests to the local API server (npm run server)
+    proxy: {
+      '/api': 'http://localhost:8787',
+    },
+  },
 })